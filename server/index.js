@@ -6,6 +6,19 @@ import studentsRouter from './routes/students.js';
 import classesRouter from './routes/classes.js';
 import attendanceRouter from './routes/attendance.js';
 import exportRouter from './routes/export.js';
+import assignmentsRouter from './routes/assignments.js';
+import calendarRouter from './routes/calendar.js';
+import academicYearsRouter from './routes/academicYears.js';
+import rolloverRouter from './routes/rollover.js';
+import guardiansRouter from './routes/guardians.js';
+import notificationsRouter from './routes/notifications.js';
+import alertsRouter from './routes/alerts.js';
+import bellScheduleRouter from './routes/bellSchedule.js';
+import excusesRouter from './routes/excuses.js';
+import { authenticate } from './middleware/auth.js';
+import { startNotificationWorker } from './lib/notifications/queue.js';
+import { startLessonDayWorker } from './lib/lessons.js';
+import { startAlertWorker } from './lib/alerts.js';
 
 dotenv.config();
 
@@ -19,8 +32,8 @@ const supabase = createClient(
 );
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+app.use(express.json({ limit: '5mb' })); // roster imports and excuse documents arrive base64 encoded
 
 // Make supabase available to routes
 app.use((req, res, next) => {
@@ -28,11 +41,20 @@ app.use((req, res, next) => {
   next();
 });
 
-// Routes
-app.use('/api/students', studentsRouter);
-app.use('/api/classes', classesRouter);
-app.use('/api/attendance', attendanceRouter);
-app.use('/api/export', exportRouter);
+// Routes (every API route requires a signed-in user; each route checks roles)
+app.use('/api/students', authenticate, studentsRouter);
+app.use('/api/classes', authenticate, classesRouter);
+app.use('/api/attendance', authenticate, attendanceRouter);
+app.use('/api/export', authenticate, exportRouter);
+app.use('/api/assignments', authenticate, assignmentsRouter);
+app.use('/api/calendar', authenticate, calendarRouter);
+app.use('/api/academic-years', authenticate, academicYearsRouter);
+app.use('/api/rollover', authenticate, rolloverRouter);
+app.use('/api/guardians', authenticate, guardiansRouter);
+app.use('/api/notifications', authenticate, notificationsRouter);
+app.use('/api/alerts', authenticate, alertsRouter);
+app.use('/api/bell-schedule', authenticate, bellScheduleRouter);
+app.use('/api/excuses', authenticate, excusesRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -53,6 +75,13 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Retry guardian notifications that could not be delivered straight away
+startNotificationWorker(supabase);
+// Tell guardians about lesson-derived absences once the day's lessons are over
+startLessonDayWorker(supabase);
+// Keep at-risk alerts in step with attendance
+startAlertWorker(supabase);
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
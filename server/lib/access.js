@@ -0,0 +1,53 @@
+import { ROLES } from '../middleware/auth.js';
+
+// Class IDs the caller is limited to, or null when they may see every class.
+// Admins and (read-only) viewers are school-wide; teachers only get the
+// classes they are assigned to as homeroom or co-teacher.
+export const getAssignedClassIds = async (req) => {
+  if (req.user.role !== ROLES.TEACHER) return null;
+
+  if (!req.assignedClassIds) {
+    const { data, error } = await req.supabase
+      .from('class_teachers')
+      .select('class_id')
+      .eq('teacher_id', req.user.id);
+
+    if (error) throw error;
+    req.assignedClassIds = data.map(assignment => assignment.class_id);
+  }
+
+  return req.assignedClassIds;
+};
+
+export const canAccessClass = async (req, classId) => {
+  const classIds = await getAssignedClassIds(req);
+  return classIds === null || classIds.includes(classId);
+};
+
+// Check that every given student sits in a class the caller may access
+export const canAccessStudents = async (req, studentIds) => {
+  const classIds = await getAssignedClassIds(req);
+  if (classIds === null) return true;
+
+  const { data, error } = await req.supabase
+    .from('students')
+    .select('id, class_id')
+    .in('id', studentIds);
+
+  if (error) throw error;
+  return data.every(student => classIds.includes(student.class_id));
+};
+
+// Check that every given attendance row was recorded in a class the caller may access.
+// Rows stay with their class, so a student's days from before they moved belong to the old one.
+export const canAccessAttendance = async (req, records) => {
+  const classIds = await getAssignedClassIds(req);
+  return classIds === null || records.every(record => classIds.includes(record.class_id));
+};
+
+export const forbidden = (res, error = 'You are not assigned to this class') => (
+  res.status(403).json({
+    success: false,
+    error
+  })
+);
@@ -0,0 +1,231 @@
+import { format, parseISO, subDays } from 'date-fns';
+import { getClosures, getInstructionalDays } from './calendar.js';
+import { getAcademicYearForDate } from './periods.js';
+import { fetchAllRows } from './pagination.js';
+
+// Early-warning rules for chronic absenteeism, evaluated over each student's attendance
+
+export const ALERT_METRICS = ['absence_rate', 'absence_count', 'consecutive_absences'];
+export const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Rules without a window look back over the academic year so far, or this many days outside one
+const DEFAULT_WINDOW_DAYS = 90;
+
+// An absence rate says little until a student has been enrolled for a couple of weeks
+const MIN_DAYS_FOR_RATE = 10;
+
+// Alerts are written back this many at a time
+const PAGE_SIZE = 1000;
+
+const getYearStart = async (req, today) => {
+  const year = await getAcademicYearForDate(req, today);
+  return year ? year.start_date : format(subDays(parseISO(today), DEFAULT_WINDOW_DAYS - 1), 'yyyy-MM-dd');
+};
+
+// The first yyyy-MM-dd date a rule looks at
+const getWindowStart = (rule, today, yearStart) => (
+  rule.window_days
+    ? format(subDays(parseISO(today), rule.window_days - 1), 'yyyy-MM-dd')
+    : yearStart
+);
+
+// Measure one student against one rule.
+// schoolDays are the instructional days in the rule's window while the student was enrolled,
+// absentDays the subset of those days the student was marked Absent.
+// Returns { value, met, last_absence_on }.
+export const measureRule = (rule, schoolDays, absentDays) => {
+  const threshold = Number(rule.threshold);
+  const lastAbsence = absentDays.length > 0 ? absentDays[absentDays.length - 1] : null;
+
+  if (rule.metric === 'absence_rate') {
+    const value = schoolDays.length > 0
+      ? Math.round((absentDays.length / schoolDays.length) * 1000) / 10
+      : 0;
+
+    return {
+      value,
+      met: schoolDays.length >= MIN_DAYS_FOR_RATE && value > threshold,
+      last_absence_on: lastAbsence
+    };
+  }
+
+  if (rule.metric === 'absence_count') {
+    return {
+      value: absentDays.length,
+      met: absentDays.length >= threshold,
+      last_absence_on: lastAbsence
+    };
+  }
+
+  // consecutive_absences: runs of school days marked Absent; any other day ends a run
+  const absent = new Set(absentDays);
+  let run = 0;
+  let longest = 0;
+  let latestQualifying = null;
+
+  schoolDays.forEach((date) => {
+    run = absent.has(date) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+    if (run >= threshold) latestQualifying = { value: run, last_absence_on: date };
+  });
+
+  return latestQualifying
+    ? { ...latestQualifying, met: true }
+    : { value: longest, met: false, last_absence_on: lastAbsence };
+};
+
+// Evaluate every active rule for the active students in the given classes (null for every class)
+// and keep attendance_alerts in step: new alerts are opened for students who meet a rule, and
+// unresolved alerts get the latest value. A resolved alert only comes back when the student is
+// absent again after it was resolved.
+export const evaluateAlerts = async (req, classIds = null) => {
+  const { data: rules, error: rulesError } = await req.supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('is_active', true);
+
+  if (rulesError) throw rulesError;
+  if (rules.length === 0) return;
+
+  const students = await fetchAllRows(() => {
+    let query = req.supabase
+      .from('students')
+      .select('id, created_at')
+      .eq('enrollment_status', 'active')
+      .order('id');
+
+    return classIds ? query.in('class_id', classIds) : query;
+  });
+
+  if (students.length === 0) return;
+
+  const today = format(new Date(), 'yyyy-MM-dd');
+  const yearStart = await getYearStart(req, today);
+  const windowStarts = Object.fromEntries(rules.map(rule => [rule.id, getWindowStart(rule, today, yearStart)]));
+  const earliest = Object.values(windowStarts).sort()[0];
+
+  const closures = await getClosures(req, earliest, today);
+  const instructionalDays = getInstructionalDays(earliest, today, closures);
+  const studentIds = new Set(students.map(student => student.id));
+
+  const absences = await fetchAllRows(() => req.supabase
+    .from('attendance')
+    .select('student_id, date')
+    .eq('status', 'Absent')
+    .gte('date', earliest)
+    .lte('date', today)
+    .order('date'));
+
+  const absencesByStudent = {};
+  absences.forEach(({ student_id, date }) => {
+    if (!studentIds.has(student_id)) return;
+    if (!absencesByStudent[student_id]) absencesByStudent[student_id] = new Set();
+    absencesByStudent[student_id].add(date);
+  });
+
+  const alerts = await fetchAllRows(() => req.supabase
+    .from('attendance_alerts')
+    .select('*')
+    .or(`status.neq.resolved,resolved_at.gte.${earliest}`)
+    .order('created_at'));
+
+  const unresolved = {};
+  const lastResolvedOn = {};
+  alerts.forEach((alert) => {
+    const key = `${alert.student_id}:${alert.rule_id}`;
+    if (alert.status !== 'resolved') {
+      unresolved[key] = alert;
+    } else {
+      lastResolvedOn[key] = alert.resolved_at.split('T')[0];
+    }
+  });
+
+  const evaluatedAt = new Date().toISOString();
+  const created = [];
+  const updated = [];
+
+  students.forEach((student) => {
+    const enrolledFrom = student.created_at.split('T')[0];
+    const studentAbsences = absencesByStudent[student.id] || new Set();
+
+    rules.forEach((rule) => {
+      const start = windowStarts[rule.id] > enrolledFrom ? windowStarts[rule.id] : enrolledFrom;
+      const schoolDays = instructionalDays.filter(date => date >= start);
+      const absentDays = schoolDays.filter(date => studentAbsences.has(date));
+      const result = measureRule(rule, schoolDays, absentDays);
+      const key = `${student.id}:${rule.id}`;
+      const alert = unresolved[key];
+
+      if (alert) {
+        if (Number(alert.metric_value) !== result.value || alert.threshold_met !== result.met) {
+          updated.push({
+            id: alert.id,
+            student_id: alert.student_id,
+            rule_id: alert.rule_id,
+            metric_value: result.value,
+            threshold_met: result.met,
+            last_absence_on: result.last_absence_on || alert.last_absence_on,
+            last_evaluated_at: evaluatedAt
+          });
+        }
+        return;
+      }
+
+      if (result.met && !(lastResolvedOn[key] && result.last_absence_on <= lastResolvedOn[key])) {
+        created.push({
+          student_id: student.id,
+          rule_id: rule.id,
+          metric_value: result.value,
+          last_absence_on: result.last_absence_on,
+          triggered_on: today,
+          last_evaluated_at: evaluatedAt
+        });
+      }
+    });
+  });
+
+  // Only the measurements change here; status and notes belong to whoever follows the alert up.
+  // The alerts already exist, so upserting on id updates a page of them per request.
+  for (let from = 0; from < updated.length; from += PAGE_SIZE) {
+    const { error } = await req.supabase
+      .from('attendance_alerts')
+      .upsert(updated.slice(from, from + PAGE_SIZE), { onConflict: 'id' });
+
+    if (error) throw error;
+  }
+
+  // Another evaluation running at the same time may have opened the same alerts first
+  for (let from = 0; from < created.length; from += PAGE_SIZE) {
+    const { error } = await req.supabase
+      .from('attendance_alerts')
+      .upsert(created.slice(from, from + PAGE_SIZE), {
+        onConflict: 'student_id,rule_id,unresolved',
+        ignoreDuplicates: true
+      });
+
+    if (error) throw error;
+  }
+};
+
+let evaluating = false;
+
+// Re-evaluate every class's alerts in the background (ALERTS_INTERVAL_MS, default fifteen
+// minutes) so reading the alert list never has to. The helpers only need req.supabase.
+export const startAlertWorker = (supabase) => {
+  const interval = Number(process.env.ALERTS_INTERVAL_MS || 15 * 60 * 1000);
+  const run = () => {
+    if (evaluating) return;
+    evaluating = true;
+
+    evaluateAlerts({ supabase })
+      .catch(error => console.error('Error evaluating attendance alerts:', error))
+      .finally(() => {
+        evaluating = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, interval);
+  timer.unref();
+  return timer;
+};
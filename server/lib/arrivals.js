@@ -0,0 +1,74 @@
+// Check-in times: how late a student arrived, and whether that makes them Late
+
+// Minutes since midnight for HH:mm or HH:mm:ss
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Status and minutes after the school start time for a check-in time.
+// Arriving within the grace period still counts as Present (and 0 minutes late).
+export const classifyArrival = (checkInTime, { school_start_time, late_grace_minutes }) => {
+  const minutesAfterStart = Math.max(0, toMinutes(checkInTime) - toMinutes(school_start_time));
+  const late = minutesAfterStart > late_grace_minutes;
+
+  return {
+    status: late ? 'Late' : 'Present',
+    minutes_late: late ? minutesAfterStart : 0
+  };
+};
+
+// Complete a daily record from its check-in time: Present and Late follow the clock, Excused
+// stays Excused but keeps its minutes late. Returns { record } or { error }.
+export const applyArrival = (record, settings) => {
+  if (!record.check_in_time) {
+    return {
+      record: {
+        ...record,
+        check_in_time: null,
+        minutes_late: record.status === 'Late' ? record.minutes_late ?? null : null
+      }
+    };
+  }
+
+  if (record.status === 'Absent') {
+    return { error: 'An absent student cannot have a check-in time' };
+  }
+
+  const arrival = classifyArrival(record.check_in_time, settings);
+
+  return {
+    record: {
+      ...record,
+      status: record.status === 'Excused' ? 'Excused' : arrival.status,
+      minutes_late: arrival.minutes_late
+    }
+  };
+};
+
+// Late arrivals and minutes late per student, most minutes first.
+// Records are attendance rows joined with students (and their classes).
+export const summarizeTardiness = (records) => {
+  const byStudent = {};
+
+  records
+    .filter(record => record.status === 'Late')
+    .forEach((record) => {
+      const student = record.students;
+      if (!byStudent[student.id]) {
+        byStudent[student.id] = {
+          student_id: student.id,
+          name: student.name,
+          class_name: student.classes?.class_name || null,
+          late_count: 0,
+          total_minutes: 0
+        };
+      }
+      byStudent[student.id].late_count++;
+      byStudent[student.id].total_minutes += record.minutes_late || 0;
+    });
+
+  return Object.values(byStudent).sort((a, b) => (
+    b.total_minutes - a.total_minutes || b.late_count - a.late_count || a.name.localeCompare(b.name)
+  ));
+};
@@ -0,0 +1,43 @@
+// Audit trail for attendance changes (attendance_history is written by a database trigger)
+
+// Current records for the given students on a date, keyed by student_id
+export const getExistingAttendance = async (req, studentIds, date) => {
+  const { data, error } = await req.supabase
+    .from('attendance')
+    .select('id, student_id, class_id, status, check_in_time, absence_reason, absence_note, change_source')
+    .in('student_id', studentIds)
+    .eq('date', date);
+
+  if (error) throw error;
+
+  return Object.fromEntries(data.map(record => [record.student_id, record]));
+};
+
+// The absence reason and note to store with each record. Present and Late days have none.
+// Records sent without them keep the stored ones (from an approved excuse, say) as long as the
+// status stays the same. Every row of an upsert needs the same columns, or the missing ones are cleared.
+export const withAbsenceReasons = (records, existing) => records.map((record) => {
+  if (['Present', 'Late'].includes(record.status)) {
+    return { ...record, absence_reason: null, absence_note: null };
+  }
+
+  const stored = existing[record.student_id]?.status === record.status ? existing[record.student_id] : {};
+
+  return {
+    ...record,
+    absence_reason: record.absence_reason !== undefined
+      ? record.absence_reason
+      : stored.absence_reason ?? null,
+    absence_note: record.absence_note !== undefined
+      ? record.absence_note || null
+      : stored.absence_note ?? null
+  };
+});
+
+// Who is saving and through which route, for every attendance row written.
+// The attendance_history trigger reads these to record the change in the same transaction.
+export const recordedBy = (req, source) => ({
+  recorded_by: req.user.id,
+  recorded_by_email: req.user.email,
+  change_source: source
+});
@@ -0,0 +1,40 @@
+import { format, parseISO, eachDayOfInterval, isWeekend } from 'date-fns';
+
+// Calendar events that close the school for at least one day in the range
+export const getClosures = async (req, startDate, endDate) => {
+  const { data, error } = await req.supabase
+    .from('calendar_events')
+    .select('*')
+    .lte('start_date', endDate)
+    .gte('end_date', startDate)
+    .order('start_date');
+
+  if (error) throw error;
+  return data || [];
+};
+
+// The event closing the school on a yyyy-MM-dd date, if any
+export const findClosure = (date, closures) => (
+  closures.find(event => event.start_date <= date && event.end_date >= date) || null
+);
+
+export const isInstructionalDay = (date, closures) => (
+  !isWeekend(parseISO(date)) && !findClosure(date, closures)
+);
+
+// Every instructional yyyy-MM-dd date between two dates (inclusive)
+export const getInstructionalDays = (startDate, endDate, closures) => {
+  if (startDate > endDate) return [];
+
+  return eachDayOfInterval({ start: parseISO(startDate), end: parseISO(endDate) })
+    .map(day => format(day, 'yyyy-MM-dd'))
+    .filter(date => isInstructionalDay(date, closures));
+};
+
+// Why the school is closed on a date, or null when it is open
+export const getClosureReason = (date, closures) => {
+  if (isWeekend(parseISO(date))) return 'weekend';
+
+  const closure = findClosure(date, closures);
+  return closure ? closure.title : null;
+};
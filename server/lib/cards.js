@@ -0,0 +1,89 @@
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { SCHOOL_NAME, HEADER_COLOR, setDownloadHeaders } from './reports.js';
+
+// Student ID cards for the check-in kiosk: credit-card sized (85.6 × 54 mm), eight to an A4
+// page, with the card code as a QR code and in print for scanners that only read text
+
+const CARD_WIDTH = 243;
+const CARD_HEIGHT = 153;
+const CARD_GAP = 12;
+const PAGE_MARGIN = 40;
+const QR_SIZE = 96;
+
+// The value a card's QR code holds; scanners type it back followed by Enter
+export const cardPayload = student => student.card_code;
+
+const drawCard = async (doc, student, x, y) => {
+  const qr = await QRCode.toBuffer(cardPayload(student), { margin: 0, width: QR_SIZE * 4 });
+
+  // Dashed outline to cut along
+  doc
+    .rect(x, y, CARD_WIDTH, CARD_HEIGHT)
+    .lineWidth(0.5)
+    .dash(3, { space: 3 })
+    .stroke('#BFBFBF')
+    .undash();
+
+  doc.rect(x, y, CARD_WIDTH, 26).fill(`#${HEADER_COLOR}`);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .fillColor('#FFFFFF')
+    .text(SCHOOL_NAME, x + 10, y + 9, { width: CARD_WIDTH - 20, lineBreak: false, ellipsis: true });
+
+  const textWidth = CARD_WIDTH - QR_SIZE - 30;
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(13)
+    .fillColor('#000000')
+    .text(student.name, x + 10, y + 40, { width: textWidth, height: 50, ellipsis: true });
+  doc
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor('#333333')
+    .text(`${student.classes?.class_name || ''} · Grade ${student.classes?.grade ?? ''}`, x + 10, y + 96, {
+      width: textWidth,
+      lineBreak: false,
+      ellipsis: true
+    });
+  doc
+    .font('Helvetica-Oblique')
+    .fontSize(8)
+    .fillColor('#666666')
+    .text('Scan at the classroom door', x + 10, y + 130, { width: textWidth, lineBreak: false });
+
+  const qrX = x + CARD_WIDTH - QR_SIZE - 10;
+  doc.image(qr, qrX, y + 34, { width: QR_SIZE, height: QR_SIZE });
+  doc
+    .font('Courier-Bold')
+    .fontSize(9)
+    .fillColor('#000000')
+    .text(student.card_code, qrX, y + 34 + QR_SIZE + 4, { width: QR_SIZE, align: 'center', lineBreak: false });
+};
+
+// Render one card per student (students joined with their classes) as a printable PDF
+export const sendStudentCards = async (res, filename, students) => {
+  setDownloadHeaders(res, 'application/pdf', filename);
+
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  doc.pipe(res);
+
+  const columns = Math.floor((doc.page.width - PAGE_MARGIN * 2 + CARD_GAP) / (CARD_WIDTH + CARD_GAP));
+  const rows = Math.floor((doc.page.height - PAGE_MARGIN * 2 + CARD_GAP) / (CARD_HEIGHT + CARD_GAP));
+  const perPage = columns * rows;
+
+  for (const [index, student] of students.entries()) {
+    const slot = index % perPage;
+    if (index > 0 && slot === 0) doc.addPage();
+
+    await drawCard(
+      doc,
+      student,
+      PAGE_MARGIN + (slot % columns) * (CARD_WIDTH + CARD_GAP),
+      PAGE_MARGIN + Math.floor(slot / columns) * (CARD_HEIGHT + CARD_GAP)
+    );
+  }
+
+  doc.end();
+};
@@ -0,0 +1,16 @@
+// Students who leave keep their attendance; they only drop off rosters and today's numbers
+
+export const ENROLLMENT_STATUSES = ['active', 'withdrawn', 'transferred', 'graduated'];
+
+// Limit a students query to those still enrolled on a yyyy-MM-dd date
+export const enrolledOn = (query, date) => (
+  query.or(`enrollment_status.eq.active,left_on.gt.${date}`)
+);
+
+export const isEnrolledOn = (student, date) => (
+  student.enrollment_status === 'active' || (!!student.left_on && student.left_on > date)
+);
+
+export const notEnrolledMessage = (student) => (
+  `${student.name} is ${student.enrollment_status} as of ${student.left_on}`
+);
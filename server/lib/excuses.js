@@ -0,0 +1,29 @@
+import { ABSENCE_REASONS } from '../../src/lib/absenceReasons.js';
+
+// Absence reasons and excuse documents
+
+// The reasons come from the frontend's list, so both offer and accept the same ones
+export { ABSENCE_REASONS };
+
+export const EXCUSE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Scans and photos of letters; HEIC is what iPhones take pictures in
+export const ATTACHMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/heic': 'heic'
+};
+
+// Stays under the 5mb JSON body limit once base64 encoded
+export const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024;
+
+// An excuse covers at most a month; longer absences are handled case by case
+export const MAX_EXCUSE_DAYS = 31;
+
+// "Sick: flu" for an attendance row with a reason, '' without one
+export const formatAbsenceReason = ({ absence_reason, absence_note }) => {
+  if (!absence_reason) return absence_note || '';
+  const label = ABSENCE_REASONS[absence_reason];
+  return absence_note ? `${label}: ${absence_note}` : label;
+};
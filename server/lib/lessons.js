@@ -0,0 +1,204 @@
+import { format, subDays } from 'date-fns';
+import { getSchoolSettings } from './settings.js';
+import { recordedBy, withAbsenceReasons } from './audit.js';
+import { fetchAllRows } from './pagination.js';
+import { enqueueAttendanceNotifications, kickNotificationQueue } from './notifications/queue.js';
+import { NOTIFIED_STATUSES } from './notifications/templates.js';
+
+// Lesson-level attendance for classes that take a register every period.
+// The daily attendance row is derived from the lesson records, so reports, alerts and
+// guardian notifications keep working from one status per student and day.
+
+export const LESSON_SELECT = `
+  *,
+  bell_periods (
+    id,
+    name,
+    start_time,
+    end_time
+  )
+`;
+
+// The daily status for a day's lesson statuses, in bell order.
+// periodCount is how many periods the student's class took a register for that day. Missing at
+// least absenceShare of them makes the day Absent (or Excused when most of the missed periods
+// were excused); otherwise missing or being late to the first recorded period makes the day Late.
+export const deriveDailyStatus = (statuses, periodCount, absenceShare) => {
+  const total = Math.max(periodCount, statuses.length);
+  const absent = statuses.filter(status => status === 'Absent').length;
+  const excused = statuses.filter(status => status === 'Excused').length;
+
+  if (total > 0 && (absent + excused) / total >= absenceShare) {
+    return absent >= excused ? 'Absent' : 'Excused';
+  }
+
+  return ['Late', 'Absent'].includes(statuses[0]) ? 'Late' : 'Present';
+};
+
+// Recompute and store the daily status of the given students from their lesson records on a date.
+// `existing` is their attendance before the change (see lib/audit.js): a day last set by an
+// approved excuse is left as it is. Only the status is derived, so a check-in time is kept; an
+// absence reason goes when the status changes.
+// Returns the saved daily attendance rows.
+export const syncDailyFromLessons = async (req, studentIds, date, existing) => {
+  const derivedIds = studentIds.filter(id => existing[id]?.change_source !== 'excuse');
+
+  if (derivedIds.length === 0) return [];
+
+  const [{ data: lessons, error: lessonsError }, settings] = await Promise.all([
+    req.supabase
+      .from('lesson_attendance')
+      .select('student_id, class_id, status, bell_periods ( start_time )')
+      .in('student_id', derivedIds)
+      .eq('date', date),
+    getSchoolSettings(req)
+  ]);
+
+  if (lessonsError) throw lessonsError;
+  if (lessons.length === 0) return [];
+
+  // The periods each class actually had a register taken for that day
+  const { data: classPeriods, error: periodsError } = await req.supabase
+    .from('lesson_attendance')
+    .select('class_id, period_id')
+    .in('class_id', [...new Set(lessons.map(lesson => lesson.class_id))])
+    .eq('date', date);
+
+  if (periodsError) throw periodsError;
+
+  const periodsByClass = {};
+  classPeriods.forEach(({ class_id, period_id }) => {
+    if (!periodsByClass[class_id]) periodsByClass[class_id] = new Set();
+    periodsByClass[class_id].add(period_id);
+  });
+
+  const byStudent = {};
+  lessons
+    .sort((a, b) => a.bell_periods.start_time.localeCompare(b.bell_periods.start_time))
+    .forEach((lesson) => {
+      if (!byStudent[lesson.student_id]) byStudent[lesson.student_id] = { statuses: [], classIds: new Set() };
+      byStudent[lesson.student_id].statuses.push(lesson.status);
+      byStudent[lesson.student_id].classIds.add(lesson.class_id);
+    });
+
+  const dailyRecords = Object.entries(byStudent).map(([student_id, { statuses, classIds }]) => {
+    const periodIds = new Set([...classIds].flatMap(classId => [...(periodsByClass[classId] || [])]));
+
+    return {
+      student_id,
+      date,
+      status: deriveDailyStatus(statuses, periodIds.size, settings.lesson_absence_share),
+      ...recordedBy(req, 'lesson')
+    };
+  });
+
+  const { data, error } = await req.supabase
+    .from('attendance')
+    .upsert(withAbsenceReasons(dailyRecords, existing), {
+      onConflict: 'student_id,date',
+      ignoreDuplicates: false
+    })
+    .select(`
+      *,
+      students (
+        id,
+        name,
+        classes (
+          id,
+          class_name,
+          grade
+        )
+      )
+    `);
+
+  if (error) throw error;
+  return data;
+};
+
+// Whether every lesson of a yyyy-MM-dd day is over: any earlier day, or today once the last
+// bell period in the schedule has ended. Until then a derived status may still change.
+export const isLessonDayOver = async (supabase, date) => {
+  const now = new Date();
+  const today = format(now, 'yyyy-MM-dd');
+  if (date !== today) return date < today;
+
+  const { data, error } = await supabase
+    .from('bell_periods')
+    .select('end_time')
+    .eq('is_active', true)
+    .order('end_time', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0 && format(now, 'HH:mm:ss') >= data[0].end_time;
+};
+
+// Finished days this far back are still checked, so a server that was down when the last
+// bell went still sends their notifications once it is back
+const LESSON_SWEEP_DAYS = 7;
+// Notifications are looked up for this many attendance rows per request
+const NOTIFIED_LOOKUP_SIZE = 200;
+
+// Guardians are not told about a status derived while the day's lessons were still being
+// recorded. Once they are over, queue a message for every lesson-derived Absent or Late day of
+// the past week that has not had one for its current status. Returns how many were queued.
+export const notifyFinishedLessonDays = async (supabase) => {
+  const now = new Date();
+  const today = format(now, 'yyyy-MM-dd');
+  const lastDay = await isLessonDayOver(supabase, today) ? today : format(subDays(now, 1), 'yyyy-MM-dd');
+
+  const records = await fetchAllRows(() => supabase
+    .from('attendance')
+    .select(`
+      *,
+      students (
+        id,
+        name
+      )
+    `)
+    .gte('date', format(subDays(now, LESSON_SWEEP_DAYS), 'yyyy-MM-dd'))
+    .lte('date', lastDay)
+    .eq('change_source', 'lesson')
+    .in('status', NOTIFIED_STATUSES)
+    .order('id'));
+
+  if (records.length === 0) return 0;
+
+  const notified = [];
+  for (let from = 0; from < records.length; from += NOTIFIED_LOOKUP_SIZE) {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('attendance_id, attendance_status')
+      .in('attendance_id', records.slice(from, from + NOTIFIED_LOOKUP_SIZE).map(record => record.id));
+
+    if (error) throw error;
+    notified.push(...data);
+  }
+
+  const notifiedKeys = new Set(notified.map(notification => `${notification.attendance_id}:${notification.attendance_status}`));
+  const pending = records.filter(record => !notifiedKeys.has(`${record.id}:${record.status}`));
+
+  return enqueueAttendanceNotifications(supabase, {}, pending);
+};
+
+let checking = false;
+
+// Look for finished lesson days as often as the notification worker runs
+export const startLessonDayWorker = (supabase) => {
+  const interval = Number(process.env.NOTIFICATIONS_INTERVAL_MS || 60 * 1000);
+  const timer = setInterval(() => {
+    if (checking) return;
+    checking = true;
+
+    notifyFinishedLessonDays(supabase)
+      .then((queued) => {
+        if (queued > 0) kickNotificationQueue(supabase);
+      })
+      .catch(error => console.error('Error queueing lesson day notifications:', error))
+      .finally(() => {
+        checking = false;
+      });
+  }, interval);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,54 @@
+import { EventEmitter } from 'events';
+import { getAssignedClassIds } from './access.js';
+
+// Server-Sent Events fallback for live attendance, for browsers that cannot reach
+// Supabase Realtime. Saves made through this server are pushed to every open stream;
+// with several server instances each only sees its own saves, so Realtime stays the
+// first choice on the client.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+// Strip the joined student so streamed rows look like the table rows Realtime sends
+const toRow = ({ students, ...row }) => row;
+
+// Announce saved attendance rows; each is scoped to the class it was recorded in
+export const publishAttendance = (savedRecords) => {
+  savedRecords.forEach((record) => {
+    changes.emit('attendance', {
+      class_id: record.class_id ?? null,
+      record: toRow(record)
+    });
+  });
+};
+
+// GET handler: keep the response open and write one `attendance` event per saved row
+// the caller may see (teachers only get their own classes, as with RLS)
+export const streamAttendance = async (req, res) => {
+  const classIds = await getAssignedClassIds(req);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // proxies must not hold events back
+  });
+  res.write('retry: 5000\n\n');
+
+  const send = ({ class_id, record }) => {
+    if (classIds !== null && !classIds.includes(class_id)) return;
+    res.write(`event: attendance\ndata: ${JSON.stringify(record)}\n\n`);
+  };
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  changes.on('attendance', send);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    changes.off('attendance', send);
+  });
+};
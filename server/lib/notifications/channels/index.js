@@ -0,0 +1,28 @@
+import log from './log.js';
+import smtp from './smtp.js';
+import sms from './sms.js';
+import whatsapp from './whatsapp.js';
+
+// Every channel adapter implements:
+//   name                   - stored on each notification
+//   recipientFor(guardian) - the guardian's address on this channel, or empty when they have none
+//   isConfigured()         - whether the environment has what the channel needs
+//   send(message)          - deliver { recipient, language, subject, body }; throw to trigger a retry
+const CHANNELS = { log, smtp, sms, whatsapp };
+
+export const getChannel = name => CHANNELS[name] || null;
+
+// Channels listed in NOTIFICATION_CHANNELS (comma-separated, default "log") that are configured
+export const getEnabledChannels = () => (
+  (process.env.NOTIFICATION_CHANNELS || 'log')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      const channel = getChannel(name);
+      if (!channel) console.warn(`Unknown notification channel "${name}" ignored`);
+      else if (!channel.isConfigured()) console.warn(`Notification channel "${name}" is not configured`);
+      return channel?.isConfigured() ? channel : null;
+    })
+    .filter(Boolean)
+);
@@ -0,0 +1,22 @@
+import { appendFile } from 'fs/promises';
+
+// Local adapter for development and testing: prints each message and, when
+// NOTIFICATIONS_LOG_FILE is set, appends it to that file as a JSON line
+export default {
+  name: 'log',
+
+  recipientFor: guardian => guardian.email || guardian.phone,
+
+  isConfigured: () => true,
+
+  async send(message) {
+    console.log(`📨 [${message.language}] to ${message.recipient}: ${message.subject}`);
+
+    if (process.env.NOTIFICATIONS_LOG_FILE) {
+      await appendFile(
+        process.env.NOTIFICATIONS_LOG_FILE,
+        `${JSON.stringify({ ...message, logged_at: new Date().toISOString() })}\n`
+      );
+    }
+  }
+};
@@ -0,0 +1,17 @@
+import { postJson } from './webhook.js';
+
+// Text messages through an HTTP SMS gateway that accepts { to, message }
+export default {
+  name: 'sms',
+
+  recipientFor: guardian => guardian.phone,
+
+  isConfigured: () => Boolean(process.env.SMS_GATEWAY_URL),
+
+  async send(message) {
+    await postJson(process.env.SMS_GATEWAY_URL, process.env.SMS_GATEWAY_TOKEN, {
+      to: message.recipient,
+      message: message.body
+    });
+  }
+};
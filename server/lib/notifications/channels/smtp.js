@@ -0,0 +1,36 @@
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return transporter;
+};
+
+// E-mail through any SMTP server
+export default {
+  name: 'smtp',
+
+  recipientFor: guardian => guardian.email,
+
+  isConfigured: () => Boolean(process.env.SMTP_HOST && process.env.SMTP_FROM),
+
+  async send(message) {
+    await getTransporter().sendMail({
+      from: process.env.SMTP_FROM,
+      to: message.recipient,
+      subject: message.subject,
+      text: message.body
+    });
+  }
+};
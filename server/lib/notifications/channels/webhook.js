@@ -0,0 +1,16 @@
+// POST a JSON payload to an HTTP endpoint, failing on any non-2xx response
+export const postJson = async (url, token, payload) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(payload)
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`${url} responded ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+};
@@ -0,0 +1,19 @@
+import { postJson } from './webhook.js';
+
+// WhatsApp messages through a webhook (e.g. a WhatsApp Business API bridge)
+export default {
+  name: 'whatsapp',
+
+  recipientFor: guardian => guardian.phone,
+
+  isConfigured: () => Boolean(process.env.WHATSAPP_WEBHOOK_URL),
+
+  async send(message) {
+    await postJson(process.env.WHATSAPP_WEBHOOK_URL, process.env.WHATSAPP_WEBHOOK_TOKEN, {
+      to: message.recipient,
+      language: message.language,
+      subject: message.subject,
+      message: message.body
+    });
+  }
+};
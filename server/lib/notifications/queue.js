@@ -0,0 +1,201 @@
+import { getChannel, getEnabledChannels } from './channels/index.js';
+import { renderNotification, NOTIFIED_STATUSES } from './templates.js';
+import { SCHOOL_NAME } from '../reports.js';
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 50;
+const RETRY_BASE_MS = 60 * 1000;
+// A claim older than this belongs to a worker that stopped mid-delivery
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Queue a message to every guardian of each student newly marked Absent or Late.
+// `existing` is the attendance before the change (see lib/audit.js), so re-saving
+// an unchanged register does not notify anyone twice.
+export const enqueueAttendanceNotifications = async (supabase, existing, savedRecords) => {
+  const changed = savedRecords.filter(record => (
+    NOTIFIED_STATUSES.includes(record.status) &&
+    existing[record.student_id]?.status !== record.status
+  ));
+
+  const channels = getEnabledChannels();
+  if (changed.length === 0 || channels.length === 0) return 0;
+
+  const { data: links, error } = await supabase
+    .from('student_guardians')
+    .select(`
+      student_id,
+      guardians (*)
+    `)
+    .in('student_id', changed.map(record => record.student_id));
+
+  if (error) throw error;
+
+  const notifications = changed.flatMap(record => (
+    links
+      .filter(link => link.student_id === record.student_id && link.guardians.receives_notifications)
+      .flatMap(({ guardians: guardian }) => channels
+        .filter(channel => channel.recipientFor(guardian))
+        .map(channel => ({
+          student_id: record.student_id,
+          guardian_id: guardian.id,
+          attendance_id: record.id,
+          date: record.date,
+          attendance_status: record.status,
+          channel: channel.name,
+          recipient: channel.recipientFor(guardian),
+          ...renderNotification({
+            language: guardian.preferred_language,
+            status: record.status,
+            student: record.students?.name || 'Your child',
+            date: record.date,
+            school: SCHOOL_NAME
+          })
+        })))
+  ));
+
+  if (notifications.length === 0) return 0;
+
+  const { error: insertError } = await supabase
+    .from('notifications')
+    .insert(notifications);
+
+  if (insertError) throw insertError;
+  return notifications.length;
+};
+
+const deliver = async (supabase, notification) => {
+  const attempts = notification.attempts + 1;
+
+  try {
+    const channel = getChannel(notification.channel);
+    if (!channel || !channel.isConfigured()) {
+      throw new Error(`Channel "${notification.channel}" is not configured`);
+    }
+
+    await channel.send(notification);
+
+    await supabase
+      .from('notifications')
+      .update({ status: 'sent', attempts, last_error: null, sent_at: new Date().toISOString() })
+      .eq('id', notification.id);
+
+    return true;
+  } catch (error) {
+    // Back off 1, 2, 4, 8... minutes, then give up
+    const failed = attempts >= MAX_ATTEMPTS;
+    const nextAttempt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1));
+
+    await supabase
+      .from('notifications')
+      .update({
+        status: failed ? 'failed' : 'queued',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: nextAttempt.toISOString()
+      })
+      .eq('id', notification.id);
+
+    return false;
+  }
+};
+
+// Put back notifications whose worker stopped while sending them. The interrupted try
+// counts as an attempt, so a message that keeps crashing the worker is eventually failed.
+const requeueStaleClaims = async (supabase) => {
+  const { data: stale, error } = await supabase
+    .from('notifications')
+    .select('id, attempts, claimed_at')
+    .eq('status', 'sending')
+    .lt('claimed_at', new Date(Date.now() - CLAIM_TIMEOUT_MS).toISOString())
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  for (const notification of stale) {
+    const attempts = notification.attempts + 1;
+
+    // Only if no other worker has re-queued it in the meantime
+    const { error: requeueError } = await supabase
+      .from('notifications')
+      .update({
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+        attempts,
+        last_error: 'Delivery was interrupted',
+        next_attempt_at: new Date().toISOString()
+      })
+      .eq('id', notification.id)
+      .eq('status', 'sending')
+      .eq('claimed_at', notification.claimed_at);
+
+    if (requeueError) throw requeueError;
+  }
+};
+
+// Send queued notifications that are due. Each one is claimed first (queued -> sending)
+// so two workers never deliver the same message.
+export const processNotificationQueue = async (supabase) => {
+  await requeueStaleClaims(supabase);
+
+  const { data: due, error } = await supabase
+    .from('notifications')
+    .select('id')
+    .eq('status', 'queued')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('created_at')
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  const result = { sent: 0, retrying: 0 };
+
+  for (const { id } of due) {
+    const { data: claimed, error: claimError } = await supabase
+      .from('notifications')
+      .update({ status: 'sending', claimed_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'queued')
+      .select()
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed) continue;
+
+    if (await deliver(supabase, claimed)) result.sent += 1;
+    else result.retrying += 1;
+  }
+
+  return result;
+};
+
+let processing = false;
+
+// Drain the queue without making the caller wait; overlapping runs are skipped
+export const kickNotificationQueue = (supabase) => {
+  if (processing) return;
+  processing = true;
+
+  processNotificationQueue(supabase)
+    .catch(error => console.error('Error processing notifications:', error))
+    .finally(() => {
+      processing = false;
+    });
+};
+
+// Periodically retry due notifications (NOTIFICATIONS_INTERVAL_MS, default one minute)
+export const startNotificationWorker = (supabase) => {
+  const interval = Number(process.env.NOTIFICATIONS_INTERVAL_MS || RETRY_BASE_MS);
+  const timer = setInterval(() => kickNotificationQueue(supabase), interval);
+  timer.unref();
+  return timer;
+};
+
+// Queue and send notifications for saved attendance. Delivery problems are logged,
+// never raised: the attendance itself has already been recorded.
+export const notifyGuardians = async (supabase, existing, savedRecords) => {
+  try {
+    const queued = await enqueueAttendanceNotifications(supabase, existing, savedRecords);
+    if (queued > 0) kickNotificationQueue(supabase);
+  } catch (error) {
+    console.error('Error queueing guardian notifications:', error);
+  }
+};
@@ -0,0 +1,63 @@
+import { format, parseISO } from 'date-fns';
+import indonesian from 'date-fns/locale/id/index.js';
+import spanish from 'date-fns/locale/es/index.js';
+
+// How each language writes the attendance date. Messages name the day rather than saying
+// "today", since a correction or a retried send can arrive days later.
+const DATE_FORMATS = {
+  en: { pattern: 'EEEE d MMMM yyyy' },
+  id: { pattern: 'EEEE, d MMMM yyyy', locale: indonesian },
+  es: { pattern: "EEEE d 'de' MMMM 'de' yyyy", locale: spanish }
+};
+
+// Message text per guardian language; guardians with any other language get English
+const TEMPLATES = {
+  en: {
+    Absent: {
+      subject: ({ student, date }) => `${student} was absent on ${date}`,
+      body: ({ student, date, school }) => `Dear parent/guardian, ${student} was marked absent on ${date}. Please contact ${school} if you have any questions.`
+    },
+    Late: {
+      subject: ({ student, date }) => `${student} arrived late on ${date}`,
+      body: ({ student, date, school }) => `Dear parent/guardian, ${student} was marked late on ${date}. Please contact ${school} if you have any questions.`
+    }
+  },
+  id: {
+    Absent: {
+      subject: ({ student, date }) => `${student} tidak hadir pada ${date}`,
+      body: ({ student, date, school }) => `Yth. Orang tua/wali, ${student} tercatat tidak hadir pada ${date}. Silakan hubungi ${school} jika ada pertanyaan.`
+    },
+    Late: {
+      subject: ({ student, date }) => `${student} terlambat pada ${date}`,
+      body: ({ student, date, school }) => `Yth. Orang tua/wali, ${student} tercatat terlambat pada ${date}. Silakan hubungi ${school} jika ada pertanyaan.`
+    }
+  },
+  es: {
+    Absent: {
+      subject: ({ student, date }) => `${student} faltó el ${date}`,
+      body: ({ student, date, school }) => `Estimado padre/tutor, ${student} fue marcado ausente el ${date}. Comuníquese con ${school} si tiene alguna pregunta.`
+    },
+    Late: {
+      subject: ({ student, date }) => `${student} llegó tarde el ${date}`,
+      body: ({ student, date, school }) => `Estimado padre/tutor, ${student} fue marcado con retraso el ${date}. Comuníquese con ${school} si tiene alguna pregunta.`
+    }
+  }
+};
+
+export const NOTIFICATION_LANGUAGES = Object.keys(TEMPLATES);
+
+// Statuses guardians are told about
+export const NOTIFIED_STATUSES = ['Absent', 'Late'];
+
+export const renderNotification = ({ language, status, student, date, school }) => {
+  const resolvedLanguage = TEMPLATES[language] ? language : 'en';
+  const template = TEMPLATES[resolvedLanguage][status];
+  const { pattern, locale } = DATE_FORMATS[resolvedLanguage];
+  const values = { student, date: format(parseISO(date), pattern, { locale }), school };
+
+  return {
+    language: resolvedLanguage,
+    subject: template.subject(values),
+    body: template.body(values)
+  };
+};
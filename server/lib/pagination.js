@@ -0,0 +1,16 @@
+// Supabase caps each response (1000 rows by default), so read big result sets a page at a time
+
+const PAGE_SIZE = 1000;
+
+// buildQuery must return a fresh, consistently ordered query for every page
+export const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
@@ -0,0 +1,84 @@
+// Academic years and terms used to scope reports
+
+// Resolve a term_id or academic_year_id to { label, start_date, end_date }.
+// Returns null when neither is given, or when the requested one does not exist.
+export const getAcademicPeriod = async (req, { term_id, academic_year_id }) => {
+  if (term_id) {
+    const { data, error } = await req.supabase
+      .from('terms')
+      .select(`
+        *,
+        academic_years (
+          id,
+          name
+        )
+      `)
+      .eq('id', term_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    return {
+      type: 'term',
+      id: data.id,
+      label: `${data.name} ${data.academic_years.name}`,
+      start_date: data.start_date,
+      end_date: data.end_date
+    };
+  }
+
+  if (academic_year_id) {
+    const { data, error } = await req.supabase
+      .from('academic_years')
+      .select('*')
+      .eq('id', academic_year_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    return {
+      type: 'academic_year',
+      id: data.id,
+      label: `Academic Year ${data.name}`,
+      start_date: data.start_date,
+      end_date: data.end_date
+    };
+  }
+
+  return null;
+};
+
+// The academic year a yyyy-MM-dd date falls in, or null. Years cannot overlap, but the latest
+// one wins should two ever do, rather than failing.
+export const getAcademicYearForDate = async (req, date) => {
+  const { data, error } = await req.supabase
+    .from('academic_years')
+    .select('*')
+    .lte('start_date', date)
+    .gte('end_date', date)
+    .order('start_date', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+};
+
+// The term of the given type that a yyyy-MM-dd date falls in, if any
+export const getTermForDate = async (req, date, termType = null) => {
+  let query = req.supabase
+    .from('terms')
+    .select('id')
+    .lte('start_date', date)
+    .gte('end_date', date)
+    .order('start_date', { ascending: false })
+    .limit(1);
+
+  if (termType) query = query.eq('term_type', termType);
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data[0] ? getAcademicPeriod(req, { term_id: data[0].id }) : null;
+};
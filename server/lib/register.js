@@ -0,0 +1,305 @@
+import { format, parseISO, endOfMonth, eachDayOfInterval } from 'date-fns';
+import indonesian from 'date-fns/locale/id/index.js';
+import { getClosures, getClosureReason } from './calendar.js';
+import { enrolledOn } from './enrollment.js';
+import { SCHOOL_NAME, HEADER_COLOR, STATUS_COLORS } from './reports.js';
+import { SIA_LABELS, toSiaCode } from './sia.js';
+
+// The monthly class register: students down the side, the days of the month across the top
+
+// One letter per status, as on the paper register
+export const STATUS_CODES = {
+  Present: 'P',
+  Absent: 'A',
+  Late: 'L',
+  Excused: 'E'
+};
+
+// The English register marks every status; the Indonesian "Rekap Absensi Bulanan" marks
+// Hadir/Sakit/Izin/Alpa. `inSchool` codes are added up in the daily totals row.
+const REGISTER_LAYOUTS = {
+  en: {
+    title: `${SCHOOL_NAME} - Monthly Attendance Register`,
+    classLine: (schoolClass, month) => `Class: ${schoolClass.class_name} - Grade ${schoolClass.grade}    Month: ${month}`,
+    columns: ['No.', 'Student Name'],
+    codes: Object.fromEntries(Object.entries(STATUS_CODES).map(([status, code]) => [code, status])),
+    colors: Object.fromEntries(Object.entries(STATUS_CODES).map(([status, code]) => [code, STATUS_COLORS[status]])),
+    toCode: record => STATUS_CODES[record.status],
+    inSchool: [STATUS_CODES.Present, STATUS_CODES.Late],
+    totalLabel: `Total (in school: ${STATUS_CODES.Present} + ${STATUS_CODES.Late})`,
+    legend: codes => `Codes: ${codes}. Shaded days: weekends and school holidays.`,
+    dayFormat: 'MMM dd',
+    signatures: [
+      ['', 'Date: ____________________'],
+      ['Class Teacher,', 'Principal,'],
+      ['', ''],
+      ['', ''],
+      ['', ''],
+      ['(______________________________)', '(______________________________)'],
+      ['Name:', 'Name:']
+    ]
+  },
+  id: {
+    title: `${SCHOOL_NAME} - REKAP ABSENSI BULANAN`,
+    classLine: (schoolClass, month) => `Kelas: ${schoolClass.class_name} - Tingkat ${schoolClass.grade}    Bulan: ${month}`,
+    columns: ['No', 'Nama Siswa'],
+    codes: SIA_LABELS,
+    colors: { H: STATUS_COLORS.Present, S: STATUS_COLORS.Late, I: STATUS_COLORS.Excused, A: STATUS_COLORS.Absent },
+    toCode: record => toSiaCode(record.status, record.absence_reason),
+    inSchool: ['H'],
+    totalLabel: 'Jumlah Hadir (H)',
+    legend: codes => `Keterangan: ${codes}. Kolom abu-abu: akhir pekan dan hari libur sekolah.`,
+    dayFormat: 'dd MMM',
+    locale: indonesian,
+    signatures: [
+      ['Mengetahui,', '____________, ____________________'],
+      ['Kepala Sekolah,', 'Wali Kelas,'],
+      ['', ''],
+      ['', ''],
+      ['', ''],
+      ['(______________________________)', '(______________________________)'],
+      ['NIP.', 'NIP.']
+    ]
+  }
+};
+
+const CLOSED_FILL = 'D9D9D9';
+const FIRST_DAY_COLUMN = 3; // after No. and Student Name
+
+// A class's month: every day with why the school was closed (or null), and everyone in the
+// class for at least part of the month with the records kept in this class, keyed by date.
+// in_class is false for students who have moved to another class since.
+// Resolves to null when the class does not exist.
+export const getClassRegister = async (req, classId, month) => {
+  const startDate = `${month}-01`;
+  const endDate = format(endOfMonth(parseISO(startDate)), 'yyyy-MM-dd');
+
+  const { data: schoolClass, error: classError } = await req.supabase
+    .from('classes')
+    .select('id, class_name, grade')
+    .eq('id', classId)
+    .maybeSingle();
+
+  if (classError) throw classError;
+  if (!schoolClass) return null;
+
+  // The month's days recorded in this class, even for students who have moved class since
+  const { data: records, error: attendanceError } = await req.supabase
+    .from('attendance')
+    .select('id, student_id, date, status, check_in_time, minutes_late, absence_reason, absence_note')
+    .eq('class_id', classId)
+    .gte('date', startDate)
+    .lte('date', endDate);
+
+  if (attendanceError) throw attendanceError;
+
+  // Leavers keep the days before they left
+  const { data: members, error: studentsError } = await enrolledOn(req.supabase
+    .from('students')
+    .select('id, name, gender, enrollment_status, left_on')
+    .eq('class_id', classId), startDate);
+
+  if (studentsError) throw studentsError;
+
+  const memberIds = new Set(members.map(student => student.id));
+  const movedIds = [...new Set(records.map(record => record.student_id))]
+    .filter(id => !memberIds.has(id));
+
+  const { data: moved, error: movedError } = movedIds.length > 0
+    ? await req.supabase
+      .from('students')
+      .select('id, name, gender, enrollment_status, left_on')
+      .in('id', movedIds)
+    : { data: [], error: null };
+
+  if (movedError) throw movedError;
+
+  const students = [...members, ...moved].sort((a, b) => a.name.localeCompare(b.name));
+
+  const closures = await getClosures(req, startDate, endDate);
+  const days = eachDayOfInterval({ start: parseISO(startDate), end: parseISO(endDate) })
+    .map(day => format(day, 'yyyy-MM-dd'))
+    .map(date => ({ date, closed_reason: getClosureReason(date, closures) }));
+
+  return {
+    month,
+    class: schoolClass,
+    days,
+    closures,
+    students: students.map(student => ({
+      ...student,
+      in_class: memberIds.has(student.id),
+      attendance: Object.fromEntries(records
+        .filter(record => record.student_id === student.id)
+        .map(record => [record.date, record]))
+    }))
+  };
+};
+
+const thinBorder = {
+  top: { style: 'thin' },
+  left: { style: 'thin' },
+  bottom: { style: 'thin' },
+  right: { style: 'thin' }
+};
+
+const solidFill = color => ({ type: 'pattern', pattern: 'solid', fgColor: { argb: color } });
+
+// Add one class's register as a worksheet, ready to print and sign.
+// `labels` is 'en' for the English register or 'id' for the Rekap Absensi Bulanan.
+export const addRegisterSheet = (workbook, register, labels = 'en') => {
+  const layout = REGISTER_LAYOUTS[labels];
+  const { days, students } = register;
+  const codes = Object.keys(layout.codes);
+  const { locale } = layout;
+  const monthLabel = format(parseISO(`${register.month}-01`), 'MMMM yyyy', { locale });
+  const lastDayColumn = FIRST_DAY_COLUMN + days.length - 1;
+  const lastColumn = lastDayColumn + codes.length;
+  const codeOn = (student, date) => (student.attendance[date] ? layout.toCode(student.attendance[date]) : '');
+
+  // Sheet names are limited to 31 characters, may not contain : \ / ? * [ ] and must be unique
+  const baseName = register.class.class_name.replace(/[:\\/?*[\]]/g, ' ').slice(0, 27);
+  let sheetName = baseName;
+  for (let copy = 2; workbook.getWorksheet(sheetName); copy++) sheetName = `${baseName} (${copy})`;
+
+  const worksheet = workbook.addWorksheet(sheetName, {
+    pageSetup: { orientation: 'landscape', paperSize: 9, fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+  });
+
+  worksheet.getColumn(1).width = 5;
+  worksheet.getColumn(2).width = 28;
+  for (let col = FIRST_DAY_COLUMN; col <= lastDayColumn; col++) worksheet.getColumn(col).width = 3.6;
+  for (let col = lastDayColumn + 1; col <= lastColumn; col++) worksheet.getColumn(col).width = 5;
+
+  // Title and class line
+  const titleRow = worksheet.addRow([layout.title]);
+  titleRow.font = { size: 16, bold: true };
+  titleRow.alignment = { horizontal: 'center' };
+  worksheet.mergeCells(titleRow.number, 1, titleRow.number, lastColumn);
+
+  const classRow = worksheet.addRow([layout.classLine(register.class, monthLabel)]);
+  classRow.font = { size: 12, italic: true };
+  classRow.alignment = { horizontal: 'center' };
+  worksheet.mergeCells(classRow.number, 1, classRow.number, lastColumn);
+
+  worksheet.addRow([]);
+
+  // Two header rows: day numbers, then weekday initials
+  const headerRow = worksheet.addRow([
+    ...layout.columns,
+    ...days.map(day => Number(day.date.slice(8))),
+    ...codes
+  ]);
+  const weekdayRow = worksheet.addRow([
+    '',
+    '',
+    ...days.map(day => format(parseISO(day.date), 'EEEEE', { locale })),
+    ...codes.map(() => '')
+  ]);
+
+  [headerRow, weekdayRow].forEach((row) => {
+    row.font = { bold: true, color: { argb: 'FFFFFF' } };
+    row.alignment = { horizontal: 'center', vertical: 'middle' };
+    for (let col = 1; col <= lastColumn; col++) {
+      row.getCell(col).fill = solidFill(HEADER_COLOR);
+    }
+  });
+  worksheet.mergeCells(headerRow.number, 1, weekdayRow.number, 1);
+  worksheet.mergeCells(headerRow.number, 2, weekdayRow.number, 2);
+  codes.forEach((code, index) => {
+    const col = lastDayColumn + 1 + index;
+    worksheet.mergeCells(headerRow.number, col, weekdayRow.number, col);
+  });
+  worksheet.views = [{ state: 'frozen', xSplit: 2, ySplit: weekdayRow.number }];
+
+  const columnLetter = col => worksheet.getColumn(col).letter;
+  const dayRange = rowNumber => `${columnLetter(FIRST_DAY_COLUMN)}${rowNumber}:${columnLetter(lastDayColumn)}${rowNumber}`;
+
+  // One row per student, with COUNTIF totals so corrections made in Excel add up
+  students.forEach((student, index) => {
+    const marks = days.map(day => codeOn(student, day.date));
+    const row = worksheet.addRow([index + 1, student.name, ...marks]);
+
+    codes.forEach((code, codeIndex) => {
+      row.getCell(lastDayColumn + 1 + codeIndex).value = {
+        formula: `COUNTIF(${dayRange(row.number)},"${code}")`,
+        result: marks.filter(mark => mark === code).length
+      };
+    });
+
+    marks.forEach((mark, dayIndex) => {
+      if (mark) {
+        row.getCell(FIRST_DAY_COLUMN + dayIndex).font = { bold: true, color: { argb: layout.colors[mark] } };
+      }
+    });
+  });
+
+  // Everyone in school each day, and the class totals per code
+  const firstStudentRow = weekdayRow.number + 1;
+  const lastStudentRow = weekdayRow.number + students.length;
+  const dailyTotals = days.map((day, dayIndex) => {
+    if (day.closed_reason) return '';
+    const letter = columnLetter(FIRST_DAY_COLUMN + dayIndex);
+    const range = `${letter}${firstStudentRow}:${letter}${lastStudentRow}`;
+    return {
+      formula: layout.inSchool.map(code => `COUNTIF(${range},"${code}")`).join('+'),
+      result: students.filter(student => layout.inSchool.includes(codeOn(student, day.date))).length
+    };
+  });
+  const codeTotals = codes.map(code => students.reduce((sum, student) => (
+    sum + days.filter(day => codeOn(student, day.date) === code).length
+  ), 0));
+  const totalRow = worksheet.addRow([
+    '',
+    layout.totalLabel,
+    ...(students.length > 0 ? dailyTotals : days.map(() => '')),
+    ...codes.map((code, index) => {
+      const letter = columnLetter(lastDayColumn + 1 + index);
+      return students.length > 0
+        ? { formula: `SUM(${letter}${firstStudentRow}:${letter}${lastStudentRow})`, result: codeTotals[index] }
+        : 0;
+    })
+  ]);
+  totalRow.font = { bold: true };
+
+  // Borders everywhere in the grid; weekends and holidays shaded
+  for (let rowNumber = headerRow.number; rowNumber <= totalRow.number; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    for (let col = 1; col <= lastColumn; col++) {
+      const cell = row.getCell(col);
+      cell.border = thinBorder;
+      if (col >= FIRST_DAY_COLUMN) cell.alignment = { horizontal: 'center', vertical: 'middle' };
+      if (rowNumber > weekdayRow.number && col >= FIRST_DAY_COLUMN && col <= lastDayColumn &&
+        days[col - FIRST_DAY_COLUMN].closed_reason) {
+        cell.fill = solidFill(CLOSED_FILL);
+      }
+    }
+  }
+
+  // Key to the codes and the holidays behind the shaded columns
+  worksheet.addRow([]);
+  worksheet.addRow([
+    '',
+    layout.legend(codes.map(code => `${code} = ${layout.codes[code]}`).join(', '))
+  ]).font = { italic: true };
+  const formatDay = date => format(parseISO(date), layout.dayFormat, { locale });
+  register.closures.forEach((closure) => {
+    const dates = closure.start_date === closure.end_date
+      ? formatDay(closure.start_date)
+      : `${formatDay(closure.start_date)} - ${formatDay(closure.end_date)}`;
+    worksheet.addRow(['', `${dates}: ${closure.title}`]).font = { italic: true };
+  });
+
+  // Signature block: class teacher and principal (the Indonesian form puts the principal on the left)
+  const rightColumn = Math.max(FIRST_DAY_COLUMN + 1, lastColumn - 10);
+
+  worksheet.addRow([]);
+  layout.signatures.forEach(([left, right], index) => {
+    const row = worksheet.addRow([]);
+    row.getCell(2).value = left;
+    row.getCell(rightColumn).value = right;
+    if (index === 1) row.font = { bold: true };
+  });
+
+  return worksheet;
+};
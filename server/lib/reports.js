@@ -0,0 +1,179 @@
+import PDFDocument from 'pdfkit';
+
+// Shared by the Excel, CSV and PDF renderers so every format looks the same
+export const SCHOOL_NAME = 'Sunshine Elementary School';
+export const HEADER_COLOR = '4472C4';
+export const STRIPE_COLOR = 'F2F2F2';
+export const STATUS_COLORS = {
+  Present: '008000',
+  Absent: 'FF0000',
+  Late: 'FFA500',
+  Excused: '0000FF'
+};
+
+const CSV_CONTENT_TYPE = 'text/csv; charset=utf-8';
+const PDF_MARGIN = 40;
+const PDF_ROW_HEIGHT = 18;
+
+// Filenames can carry student names or uploaded names in any script, and header values must be
+// ASCII: older clients get an ASCII copy in filename=, the rest the full name in filename*= (RFC 6266)
+export const setDownloadHeaders = (res, contentType, filename) => {
+  const asciiName = filename.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  const encodedName = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`);
+};
+
+// Spreadsheet apps run cells starting with these as formulas (a student named
+// =HYPERLINK(...) would be a link), so such text is prefixed with ' to keep it as text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves true once the response can take more data, false if the client went away first
+const drained = (res) => new Promise((resolve) => {
+  const finish = writable => () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onClose);
+    resolve(writable);
+  };
+  const onDrain = finish(true);
+  const onClose = finish(false);
+
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', onClose);
+});
+
+// Write CSV one row at a time, turning each item into a row only when it is written and
+// waiting for the socket to drain on large exports. Stops if the client disconnects.
+export const sendCsv = async (res, filename, columns, items, toRow) => {
+  setDownloadHeaders(res, CSV_CONTENT_TYPE, filename);
+
+  // Byte order mark so Excel opens the file as UTF-8
+  res.write('\uFEFF');
+
+  const lines = (function* csvLines() {
+    yield columns;
+    for (const item of items) yield toRow(item);
+  })();
+
+  for (const row of lines) {
+    if (res.destroyed) return;
+    if (!res.write(`${row.map(escapeCsv).join(',')}\r\n`) && !(await drained(res))) return;
+  }
+
+  res.end();
+};
+
+// Answer a failed export: a JSON error while nothing has been sent, otherwise drop the
+// connection so the client gets a broken download instead of a truncated file that looks complete
+export const sendExportError = (res, error) => {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+
+  res.status(500).json({
+    success: false,
+    error
+  });
+};
+
+// Render a printable table report:
+// { title, subtitles, columns: [{ header, width }], rows, statusColumn, summary: [[label, value]] }
+export const sendPdf = (res, filename, report) => {
+  const { title, subtitles = [], columns, rows, statusColumn = null, summary = [] } = report;
+
+  setDownloadHeaders(res, 'application/pdf', filename);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: columns.length > 5 ? 'landscape' : 'portrait',
+    margin: PDF_MARGIN
+  });
+  doc.pipe(res);
+
+  const tableWidth = doc.page.width - PDF_MARGIN * 2;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map(column => (tableWidth * (column.width || 1)) / totalWeight);
+  const bottom = () => doc.page.height - PDF_MARGIN;
+
+  const drawRow = (values, { fill, color = '#000000', bold = false, cellColor }) => {
+    const y = doc.y;
+    let x = PDF_MARGIN;
+
+    if (fill) {
+      doc.rect(PDF_MARGIN, y, tableWidth, PDF_ROW_HEIGHT).fill(`#${fill}`);
+    }
+
+    values.forEach((value, index) => {
+      const override = cellColor?.(index);
+      doc
+        .font(bold || override ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(9)
+        .fillColor(override ? `#${override}` : color)
+        .text(value === null || value === undefined ? '' : String(value), x + 4, y + 5, {
+          width: widths[index] - 8,
+          height: PDF_ROW_HEIGHT - 5,
+          ellipsis: true,
+          lineBreak: false
+        });
+      doc
+        .rect(x, y, widths[index], PDF_ROW_HEIGHT)
+        .lineWidth(0.5)
+        .stroke('#BFBFBF');
+      x += widths[index];
+    });
+
+    doc.x = PDF_MARGIN;
+    doc.y = y + PDF_ROW_HEIGHT;
+  };
+
+  const drawHeader = () => {
+    drawRow(columns.map(column => column.header), { fill: HEADER_COLOR, color: '#FFFFFF', bold: true });
+  };
+
+  // Title and period lines
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000').text(title, { align: 'center' });
+  subtitles.forEach((line) => {
+    doc.font('Helvetica-Oblique').fontSize(11).text(line, { align: 'center' });
+  });
+  doc.moveDown();
+
+  drawHeader();
+
+  rows.forEach((row, index) => {
+    if (doc.y + PDF_ROW_HEIGHT > bottom()) {
+      doc.addPage();
+      drawHeader();
+    }
+
+    drawRow(row, {
+      fill: index % 2 === 0 ? STRIPE_COLOR : null,
+      cellColor: (column) => (column === statusColumn ? STATUS_COLORS[row[column]] : null)
+    });
+  });
+
+  // Summary statistics
+  if (summary.length > 0) {
+    if (doc.y + PDF_ROW_HEIGHT * (summary.length + 2) > bottom()) {
+      doc.addPage();
+    } else {
+      doc.moveDown();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#000000').text('Summary Statistics', PDF_MARGIN);
+    summary.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').fontSize(10).text(`${label} ${value}`);
+    });
+  }
+
+  doc.end();
+};
@@ -0,0 +1,23 @@
+// School-wide settings, kept in the single school_settings row
+
+export const DEFAULT_SCHOOL_SETTINGS = {
+  lesson_absence_share: 0.5,
+  school_start_time: '07:30:00',
+  late_grace_minutes: 5,
+  status_labels: 'en'
+};
+
+export const getSchoolSettings = async (req) => {
+  const { data, error } = await req.supabase
+    .from('school_settings')
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const settings = { ...DEFAULT_SCHOOL_SETTINGS, ...data };
+  return {
+    ...settings,
+    lesson_absence_share: Number(settings.lesson_absence_share)
+  };
+};
@@ -0,0 +1,8 @@
+// The recap categories on Indonesian attendance forms: Hadir (in school), Sakit (ill),
+// Izin (absent with permission), Alpa (absent without notice). The mapping lives in
+// src/lib/sia.js so the register on screen and the server's summaries and exports agree.
+
+export { SIA_LABELS, SIA_CODES, SICK_REASONS, toSiaCode } from '../../src/lib/sia.js';
+
+// Which labels the register, charts and roster use by default ('en' or 'id')
+export const STATUS_LABEL_SETS = ['en', 'id'];
@@ -0,0 +1,60 @@
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+
+export const SPREADSHEET_EXTENSIONS = ['xlsx', 'csv'];
+
+// "Date of Birth" -> "date_of_birth"
+const toKey = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Plain text for a cell, whatever exceljs parsed it into
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  // exceljs reads spreadsheet dates as UTC midnight
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+  }
+  return String(value).trim();
+};
+
+// Read the first worksheet of an .xlsx or .csv file into
+// [{ row, values: { header_key: text } }], skipping blank rows.
+// The first row holds the column headers.
+export const readSpreadsheetRows = async (buffer, filename) => {
+  const extension = filename.split('.').pop().toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+
+  if (extension === 'csv') {
+    await workbook.csv.read(Readable.from(buffer));
+  } else if (extension === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+  } else {
+    throw new Error(`Unsupported file type .${extension}; upload one of ${SPREADSHEET_EXTENSIONS.join(', ')}`);
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet || worksheet.rowCount === 0) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = toKey(cellText(cell.value));
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    headers.forEach((key, column) => {
+      if (key) values[key] = cellText(row.getCell(column).value);
+    });
+
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+
+  return rows;
+};
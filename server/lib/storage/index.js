@@ -0,0 +1,21 @@
+import local from './local.js';
+import supabase from './supabase.js';
+
+// Every storage adapter implements:
+//   name                            - for logs and error messages
+//   isConfigured()                  - whether the environment has what the adapter needs
+//   put(client, path, body, type)   - store a Buffer under path
+//   get(client, path)               - the stored Buffer
+//   remove(client, paths)           - delete files; missing files are not an error
+// `client` is the request's Supabase client; the local adapter ignores it.
+const ADAPTERS = { local, supabase };
+
+// The adapter named by ATTACHMENT_STORAGE (default "local")
+export const getStorage = () => {
+  const name = process.env.ATTACHMENT_STORAGE || 'local';
+  const adapter = ADAPTERS[name];
+
+  if (!adapter) throw new Error(`Unknown attachment storage "${name}"`);
+  if (!adapter.isConfigured()) throw new Error(`Attachment storage "${name}" is not configured`);
+  return adapter;
+};
@@ -0,0 +1,35 @@
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import path from 'path';
+
+// Files on the server's disk under ATTACHMENT_DIR (default server/uploads), for
+// single-server installs and development
+const root = () => path.resolve(process.env.ATTACHMENT_DIR || 'server/uploads');
+
+// Stored paths are generated by the server, but never let one escape the root
+const resolvePath = (storagePath) => {
+  const fullPath = path.resolve(root(), storagePath);
+  if (!fullPath.startsWith(`${root()}${path.sep}`)) {
+    throw new Error(`Invalid storage path ${storagePath}`);
+  }
+  return fullPath;
+};
+
+export default {
+  name: 'local',
+
+  isConfigured: () => true,
+
+  async put(client, storagePath, body) {
+    const fullPath = resolvePath(storagePath);
+    await mkdir(path.dirname(fullPath), { recursive: true });
+    await writeFile(fullPath, body);
+  },
+
+  async get(client, storagePath) {
+    return readFile(resolvePath(storagePath));
+  },
+
+  async remove(client, storagePaths) {
+    await Promise.all(storagePaths.map(storagePath => rm(resolvePath(storagePath), { force: true })));
+  }
+};
@@ -0,0 +1,35 @@
+// Supabase Storage, in the private bucket named by ATTACHMENT_BUCKET (default "absence-documents")
+const bucket = () => process.env.ATTACHMENT_BUCKET || 'absence-documents';
+
+export default {
+  name: 'supabase',
+
+  isConfigured: () => true,
+
+  async put(client, storagePath, body, contentType) {
+    const { error } = await client.storage
+      .from(bucket())
+      .upload(storagePath, body, { contentType, upsert: false });
+
+    if (error) throw error;
+  },
+
+  async get(client, storagePath) {
+    const { data, error } = await client.storage
+      .from(bucket())
+      .download(storagePath);
+
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  },
+
+  async remove(client, storagePaths) {
+    if (storagePaths.length === 0) return;
+
+    const { error } = await client.storage
+      .from(bucket())
+      .remove(storagePaths);
+
+    if (error) throw error;
+  }
+};
@@ -0,0 +1,50 @@
+// One student's attendance over a school year: totals, rates and streaks
+
+export const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late', 'Excused'];
+
+// Present and Late both mean the student was in school
+const ATTENDED = ['Present', 'Late'];
+
+// Count and rate (% of recorded days) per status. Only instructional days count.
+export const summarizeStatuses = (records, instructionalDays) => {
+  const schoolDays = new Set(instructionalDays);
+  const counted = records.filter(record => schoolDays.has(record.date));
+
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+  counted.forEach((record) => {
+    counts[record.status]++;
+  });
+
+  const recorded = counted.length;
+  const rate = count => (recorded > 0 ? Math.round((count / recorded) * 1000) / 10 : 0);
+
+  return {
+    instructional_days: instructionalDays.length,
+    recorded_days: recorded,
+    unrecorded_days: instructionalDays.length - recorded,
+    counts,
+    rates: Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, rate(counts[status])])),
+    attendance_rate: rate(counts.Present + counts.Late)
+  };
+};
+
+// Runs of school days in attendance, walking the instructional days in order.
+// Days nobody took attendance for are skipped rather than breaking a run;
+// Absent and Excused days end it. `current` is the run that reaches the latest
+// recorded day.
+export const getPresentStreaks = (records, instructionalDays) => {
+  const statusByDate = Object.fromEntries(records.map(record => [record.date, record.status]));
+
+  let current = 0;
+  let longest = 0;
+
+  instructionalDays.forEach((date) => {
+    const status = statusByDate[date];
+    if (!status) return;
+
+    current = ATTENDED.includes(status) ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+
+  return { current, longest };
+};
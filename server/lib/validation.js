@@ -0,0 +1,27 @@
+import Joi from 'joi';
+import { format, isValid, parseISO, differenceInCalendarDays } from 'date-fns';
+
+// Plain yyyy-MM-dd dates (Joi's isoDate() would turn them into timestamps).
+// The pattern alone lets 2025-02-30 through, so the date must also exist.
+export const dateString = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/, 'yyyy-MM-dd date')
+  .custom((value, helpers) => {
+    const date = parseISO(value);
+    return isValid(date) && format(date, 'yyyy-MM-dd') === value ? value : helpers.error('any.invalid');
+  })
+  .messages({ 'any.invalid': '{{#label}} is not a valid date' });
+
+// Wall-clock times as HH:mm (Postgres also hands back HH:mm:ss)
+export const timeString = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/, 'HH:mm time');
+
+// Calendar months as yyyy-MM
+export const monthString = Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/, 'yyyy-MM month');
+
+// An error message when a start/end date range is backwards or longer than maxDays, otherwise null
+export const checkDateRange = (startDate, endDate, maxDays) => {
+  const days = differenceInCalendarDays(parseISO(endDate), parseISO(startDate)) + 1;
+
+  if (days < 1) return 'End date must be on or after the start date';
+  if (days > maxDays) return `A date range can cover at most ${maxDays} days`;
+  return null;
+};
@@ -0,0 +1,420 @@
+import express from 'express';
+import Joi from 'joi';
+import { format } from 'date-fns';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { getAcademicYearForDate, getTermForDate } from '../lib/periods.js';
+import { dateString } from '../lib/validation.js';
+
+const router = express.Router();
+
+// Postgres exclusion_violation: another year was saved over the same dates at the same time
+const OVERLAP_VIOLATION = '23P01';
+
+// Validation schema for academic years
+const academicYearSchema = Joi.object({
+  name: Joi.string().min(2).max(50).required(),
+  start_date: dateString.required(),
+  end_date: dateString.required()
+});
+
+// Validation schema for terms
+const termSchema = Joi.object({
+  name: Joi.string().min(1).max(50).required(),
+  term_type: Joi.string().valid('semester', 'quarter', 'trimester').required(),
+  start_date: dateString.required(),
+  end_date: dateString.required()
+});
+
+const validatePeriod = (schema, body) => {
+  const result = schema.validate(body);
+
+  if (!result.error && result.value.end_date < result.value.start_date) {
+    return { error: { details: [{ message: 'End date must be on or after the start date' }] } };
+  }
+
+  return result;
+};
+
+// An error message when the dates overlap another academic year, otherwise null
+const checkYearOverlap = async (req, year, excludeId = null) => {
+  let query = req.supabase
+    .from('academic_years')
+    .select('name, start_date, end_date')
+    .lte('start_date', year.end_date)
+    .gte('end_date', year.start_date)
+    .limit(1);
+
+  if (excludeId) query = query.neq('id', excludeId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const [other] = data;
+  return other ? `Academic years cannot overlap: ${other.name} runs ${other.start_date} to ${other.end_date}` : null;
+};
+
+// An error message when shrinking a year would leave some of its terms outside it, otherwise null
+const checkTermsInsideYear = async (req, yearId, year) => {
+  const { data, error } = await req.supabase
+    .from('terms')
+    .select('name')
+    .eq('academic_year_id', yearId)
+    .or(`start_date.lt.${year.start_date},end_date.gt.${year.end_date}`);
+
+  if (error) throw error;
+
+  return data.length > 0
+    ? `These terms would fall outside the year: ${data.map(term => term.name).join(', ')}. Change them first.`
+    : null;
+};
+
+// Check that a term lies within its academic year
+const findYearForTerm = async (req, academicYearId, term) => {
+  const { data: year } = await req.supabase
+    .from('academic_years')
+    .select('*')
+    .eq('id', academicYearId)
+    .maybeSingle();
+
+  if (!year) return { error: 'Academic year not found' };
+
+  if (term.start_date < year.start_date || term.end_date > year.end_date) {
+    return { error: `Term dates must fall within ${year.name} (${year.start_date} to ${year.end_date})` };
+  }
+
+  return { year };
+};
+
+// GET /api/academic-years - Get academic years with their terms
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('academic_years')
+      .select(`
+        *,
+        terms (
+          id,
+          name,
+          term_type,
+          start_date,
+          end_date
+        )
+      `)
+      .order('start_date', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: (data || []).map(year => ({
+        ...year,
+        terms: [...year.terms].sort((a, b) => a.start_date.localeCompare(b.start_date))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching academic years:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch academic years'
+    });
+  }
+});
+
+// GET /api/academic-years/current - Get the academic year and term for today
+router.get('/current', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const today = format(new Date(), 'yyyy-MM-dd');
+
+    res.json({
+      success: true,
+      data: {
+        academic_year: await getAcademicYearForDate(req, today),
+        term: await getTermForDate(req, today)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching current academic year:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch current academic year'
+    });
+  }
+});
+
+// POST /api/academic-years - Create academic year
+router.post('/', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = validatePeriod(academicYearSchema, req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const overlapError = await checkYearOverlap(req, value);
+    if (overlapError) {
+      return res.status(400).json({
+        success: false,
+        error: overlapError
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('academic_years')
+      .insert([value])
+      .select()
+      .single();
+
+    if (error?.code === OVERLAP_VIOLATION) {
+      return res.status(400).json({
+        success: false,
+        error: 'Academic years cannot overlap'
+      });
+    }
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Academic year created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating academic year:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create academic year'
+    });
+  }
+});
+
+// PUT /api/academic-years/:id - Update academic year
+router.put('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = validatePeriod(academicYearSchema, req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const datesError = await checkYearOverlap(req, value, id) || await checkTermsInsideYear(req, id, value);
+    if (datesError) {
+      return res.status(400).json({
+        success: false,
+        error: datesError
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('academic_years')
+      .update(value)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error?.code === OVERLAP_VIOLATION) {
+      return res.status(400).json({
+        success: false,
+        error: 'Academic years cannot overlap'
+      });
+    }
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Academic year not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Academic year updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating academic year:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update academic year'
+    });
+  }
+});
+
+// DELETE /api/academic-years/:id - Delete academic year and its terms
+router.delete('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('academic_years')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Academic year not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Academic year deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting academic year:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete academic year'
+    });
+  }
+});
+
+// POST /api/academic-years/:id/terms - Add a term to an academic year
+router.post('/:id/terms', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = validatePeriod(termSchema, req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { error: yearError } = await findYearForTerm(req, id, value);
+    if (yearError) {
+      return res.status(400).json({
+        success: false,
+        error: yearError
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('terms')
+      .insert([{ ...value, academic_year_id: id }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Term created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating term:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create term'
+    });
+  }
+});
+
+// PUT /api/academic-years/terms/:termId - Update term
+router.put('/terms/:termId', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { termId } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = validatePeriod(termSchema, req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data: existing } = await req.supabase
+      .from('terms')
+      .select('academic_year_id')
+      .eq('id', termId)
+      .maybeSingle();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Term not found'
+      });
+    }
+
+    const { error: yearError } = await findYearForTerm(req, existing.academic_year_id, value);
+    if (yearError) {
+      return res.status(400).json({
+        success: false,
+        error: yearError
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('terms')
+      .update(value)
+      .eq('id', termId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      message: 'Term updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating term:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update term'
+    });
+  }
+});
+
+// DELETE /api/academic-years/terms/:termId - Delete term
+router.delete('/terms/:termId', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { termId } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('terms')
+      .delete()
+      .eq('id', termId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Term not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Term deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting term:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete term'
+    });
+  }
+});
+
+export default router;
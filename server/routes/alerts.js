@@ -0,0 +1,340 @@
+import express from 'express';
+import Joi from 'joi';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { getAssignedClassIds, canAccessClass, canAccessStudents, forbidden } from '../lib/access.js';
+import { ALERT_METRICS, ALERT_STATUSES, evaluateAlerts } from '../lib/alerts.js';
+
+const router = express.Router();
+
+// Validation schema for alert rules
+const ruleSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  metric: Joi.string().valid(...ALERT_METRICS).required(),
+  threshold: Joi.number().positive().required()
+    .when('metric', { is: 'absence_rate', then: Joi.number().max(100) }),
+  window_days: Joi.number().integer().min(1).max(366).allow(null).default(null),
+  is_active: Joi.boolean().default(true)
+});
+
+// Validation schema for alert list queries ('unresolved' is open and acknowledged together)
+const alertQuerySchema = Joi.object({
+  status: Joi.string().valid(...ALERT_STATUSES, 'unresolved', 'all').default('unresolved'),
+  class_id: Joi.string().uuid(),
+  student_id: Joi.string().uuid()
+});
+
+// Validation schema for acknowledging or resolving an alert
+const followUpSchema = Joi.object({
+  notes: Joi.string().max(1000).allow('', null)
+});
+
+// GET /api/alerts/rules - Get alert rules
+router.get('/rules', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('alert_rules')
+      .select('*')
+      .order('created_at');
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || []
+    });
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert rules'
+    });
+  }
+});
+
+// POST /api/alerts/rules - Create alert rule
+router.post('/rules', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = ruleSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('alert_rules')
+      .insert([value])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Alert rule created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create alert rule'
+    });
+  }
+});
+
+// PUT /api/alerts/rules/:id - Update alert rule
+router.put('/rules/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = ruleSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('alert_rules')
+      .update(value)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Alert rule updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update alert rule'
+    });
+  }
+});
+
+// DELETE /api/alerts/rules/:id - Delete alert rule and the alerts it raised
+router.delete('/rules/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('alert_rules')
+      .delete()
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert rule'
+    });
+  }
+});
+
+// GET /api/alerts - Get at-risk student alerts (evaluated by the alert worker)
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { error: validationError, value } = alertQuerySchema.validate(req.query);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    if (value.class_id && !(await canAccessClass(req, value.class_id))) {
+      return forbidden(res);
+    }
+
+    const classIds = await getAssignedClassIds(req);
+
+    let query = req.supabase
+      .from('attendance_alerts')
+      .select(`
+        *,
+        students!inner (
+          id,
+          name,
+          class_id,
+          classes (
+            id,
+            class_name,
+            grade
+          )
+        ),
+        alert_rules (
+          id,
+          name,
+          metric,
+          threshold,
+          window_days
+        )
+      `)
+      .order('status')
+      .order('triggered_on', { ascending: false })
+      .limit(500);
+
+    if (value.status === 'unresolved') {
+      query = query.neq('status', 'resolved');
+    } else if (value.status !== 'all') {
+      query = query.eq('status', value.status);
+    }
+
+    if (value.class_id) query = query.eq('students.class_id', value.class_id);
+    if (value.student_id) query = query.eq('student_id', value.student_id);
+    if (classIds) query = query.in('students.class_id', classIds);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || []
+    });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alerts'
+    });
+  }
+});
+
+// POST /api/alerts/evaluate - Re-evaluate the rules now, e.g. after changing them
+router.post('/evaluate', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    await evaluateAlerts(req);
+
+    res.json({
+      success: true,
+      message: 'Alerts evaluated successfully'
+    });
+  } catch (error) {
+    console.error('Error evaluating alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate alerts'
+    });
+  }
+});
+
+// Move an alert along its follow-up workflow: open → acknowledged → resolved
+const followUp = (action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = followUpSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data: alert, error: fetchError } = await req.supabase
+      .from('attendance_alerts')
+      .select('id, student_id, status')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    if (!(await canAccessStudents(req, [alert.student_id]))) {
+      return forbidden(res);
+    }
+
+    const allowedFrom = action === 'acknowledged' ? ['open'] : ['open', 'acknowledged'];
+    if (!allowedFrom.includes(alert.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Alert is already ${alert.status}`
+      });
+    }
+
+    const now = new Date().toISOString();
+    const changes = action === 'acknowledged'
+      ? { status: 'acknowledged', acknowledged_by: req.user.id, acknowledged_by_email: req.user.email, acknowledged_at: now }
+      : { status: 'resolved', resolved_by: req.user.id, resolved_by_email: req.user.email, resolved_at: now };
+
+    if (value.notes) changes.notes = value.notes;
+
+    // Only move the alert on if nobody else did in the meantime
+    const { data, error } = await req.supabase
+      .from('attendance_alerts')
+      .update(changes)
+      .eq('id', id)
+      .eq('status', alert.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: 'Alert was updated by someone else, please reload'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: `Alert ${action}`
+    });
+  } catch (error) {
+    console.error(`Error updating alert (${action}):`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update alert'
+    });
+  }
+};
+
+// POST /api/alerts/:id/acknowledge - Take on the follow-up for an alert
+router.post('/:id/acknowledge', authorize(ROLES.ADMIN, ROLES.TEACHER), followUp('acknowledged'));
+
+// POST /api/alerts/:id/resolve - Close an alert once the follow-up is done
+router.post('/:id/resolve', authorize(ROLES.ADMIN, ROLES.TEACHER), followUp('resolved'));
+
+export default router;
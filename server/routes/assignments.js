@@ -0,0 +1,226 @@
+import express from 'express';
+import Joi from 'joi';
+import { authorize, ROLES } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation schema for a teacher-to-class assignment
+const assignmentSchema = Joi.object({
+  class_id: Joi.string().uuid().required(),
+  teacher_id: Joi.string().uuid().required(),
+  assignment_role: Joi.string().valid('homeroom', 'co_teacher').required()
+});
+
+const USERS_PER_PAGE = 1000;
+
+// Every Supabase Auth user, a page at a time
+const listAllUsers = async (req) => {
+  const users = [];
+
+  for (let page = 1; ; page++) {
+    const { data, error } = await req.supabase.auth.admin.listUsers({ page, perPage: USERS_PER_PAGE });
+    if (error) throw error;
+
+    users.push(...data.users);
+    if (data.users.length < USERS_PER_PAGE) return users;
+  }
+};
+
+// Teachers are Supabase Auth users whose app_metadata role is "teacher"
+const getTeachers = async (req) => {
+  const users = await listAllUsers(req);
+
+  return users
+    .filter(user => user.app_metadata?.role === ROLES.TEACHER)
+    .map(user => ({
+      id: user.id,
+      email: user.email,
+      name: user.user_metadata?.full_name || user.email
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// GET /api/assignments - Get teacher-to-class assignments
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
+  try {
+    let query = req.supabase
+      .from('class_teachers')
+      .select(`
+        *,
+        classes (
+          id,
+          class_name,
+          grade
+        )
+      `)
+      .order('created_at');
+
+    // Teachers only see their own assignments
+    if (req.user.role === ROLES.TEACHER) {
+      query = query.eq('teacher_id', req.user.id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const teachers = req.user.role === ROLES.ADMIN ? await getTeachers(req) : [];
+
+    res.json({
+      success: true,
+      data: (data || []).map(assignment => ({
+        ...assignment,
+        teacher: teachers.find(t => t.id === assignment.teacher_id) || {
+          id: assignment.teacher_id,
+          email: assignment.teacher_id === req.user.id ? req.user.email : null
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching assignments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch class assignments'
+    });
+  }
+});
+
+// GET /api/assignments/teachers - Get users who can be assigned to classes
+router.get('/teachers', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getTeachers(req)
+    });
+  } catch (error) {
+    console.error('Error fetching teachers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch teachers'
+    });
+  }
+});
+
+// POST /api/assignments - Assign a teacher to a class
+router.post('/', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = assignmentSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    // Check if class exists
+    const { data: classExists } = await req.supabase
+      .from('classes')
+      .select('id')
+      .eq('id', value.class_id)
+      .single();
+
+    if (!classExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    // Check that the user exists and is a teacher
+    const { data: userData } = await req.supabase.auth.admin.getUserById(value.teacher_id);
+
+    if (userData?.user?.app_metadata?.role !== ROLES.TEACHER) {
+      return res.status(400).json({
+        success: false,
+        error: 'Teacher not found'
+      });
+    }
+
+    // Check for an existing assignment of this teacher, or another homeroom teacher
+    const { data: existing, error: existingError } = await req.supabase
+      .from('class_teachers')
+      .select('id, teacher_id, assignment_role')
+      .eq('class_id', value.class_id);
+
+    if (existingError) throw existingError;
+
+    if (existing.some(a => a.teacher_id === value.teacher_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Teacher is already assigned to this class'
+      });
+    }
+
+    if (value.assignment_role === 'homeroom' && existing.some(a => a.assignment_role === 'homeroom')) {
+      return res.status(400).json({
+        success: false,
+        error: 'This class already has a homeroom teacher'
+      });
+    }
+
+    // Create assignment
+    const { data, error } = await req.supabase
+      .from('class_teachers')
+      .insert([value])
+      .select(`
+        *,
+        classes (
+          id,
+          class_name,
+          grade
+        )
+      `)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Teacher assigned successfully'
+    });
+  } catch (error) {
+    console.error('Error creating assignment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign teacher'
+    });
+  }
+});
+
+// DELETE /api/assignments/:id - Remove a teacher from a class
+router.delete('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('class_teachers')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Assignment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Teacher removed from class successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting assignment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove teacher from class'
+    });
+  }
+});
+
+export default router;
@@ -1,29 +1,139 @@
 import express from 'express';
 import Joi from 'joi';
 import { format, subDays, startOfDay, endOfDay } from 'date-fns';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { getAssignedClassIds, canAccessClass, canAccessStudents, canAccessAttendance, forbidden } from '../lib/access.js';
+import { getExistingAttendance, recordedBy, withAbsenceReasons } from '../lib/audit.js';
+import { getClosures, getClosureReason, getInstructionalDays } from '../lib/calendar.js';
+import { getAcademicPeriod } from '../lib/periods.js';
+import { dateString, timeString, monthString } from '../lib/validation.js';
+import { enrolledOn, isEnrolledOn, notEnrolledMessage } from '../lib/enrollment.js';
+import { notifyGuardians } from '../lib/notifications/queue.js';
+import { LESSON_SELECT, syncDailyFromLessons, isLessonDayOver } from '../lib/lessons.js';
+import { getSchoolSettings } from '../lib/settings.js';
+import { applyArrival, summarizeTardiness } from '../lib/arrivals.js';
+import { publishAttendance, streamAttendance } from '../lib/live.js';
+import { getClassRegister } from '../lib/register.js';
+import { ABSENCE_REASONS } from '../lib/excuses.js';
+import { SIA_CODES, toSiaCode } from '../lib/sia.js';
 
 const router = express.Router();
 
-// Validation schema for attendance record
+// Check-in details for daily attendance; with a check-in time the status can be left out
+// and is worked out from the school start time. The absence reason tells Sakit from Izin and Alpa
+const arrivalFields = {
+  status: Joi.string().valid('Present', 'Absent', 'Late', 'Excused'),
+  check_in_time: timeString.allow(null),
+  minutes_late: Joi.number().integer().min(0).max(600).allow(null),
+  absence_reason: Joi.string().valid(...Object.keys(ABSENCE_REASONS)).allow(null),
+  absence_note: Joi.string().max(1000).allow('', null)
+};
+
+// Validation schema for attendance record (a period_id records one lesson instead of the whole day)
 const attendanceSchema = Joi.object({
   student_id: Joi.string().uuid().required(),
   date: Joi.date().required(),
-  status: Joi.string().valid('Present', 'Absent', 'Late', 'Excused').required()
-});
+  ...arrivalFields,
+  period_id: Joi.string().uuid(),
+  subject: Joi.string().max(100).allow('', null)
+}).or('status', 'check_in_time');
 
 // Validation schema for bulk attendance
 const bulkAttendanceSchema = Joi.object({
   date: Joi.date().required(),
+  period_id: Joi.string().uuid(),
+  subject: Joi.string().max(100).allow('', null),
   records: Joi.array().items(
     Joi.object({
       student_id: Joi.string().uuid().required(),
-      status: Joi.string().valid('Present', 'Absent', 'Late', 'Excused').required()
-    })
+      ...arrivalFields
+    }).or('status', 'check_in_time')
   ).min(1).required()
 });
 
+// Joi turns dates into Date objects; the attendance table stores plain dates
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Validation schema for a student card scanned at the classroom door
+const checkInSchema = Joi.object({
+  class_id: Joi.string().uuid().required(),
+  card_code: Joi.string().trim().uppercase().max(64).required()
+});
+
+// Lessons are marked by status alone; check-in times belong to the daily record.
+// An error message when a lesson record carries arrival details, otherwise null
+const checkLessonRecords = (records) => {
+  if (records.some(record => record.check_in_time || record.minutes_late != null)) {
+    return 'Check-in times are recorded on daily attendance, not per lesson';
+  }
+  if (records.some(record => record.absence_reason || record.absence_note)) {
+    return 'Absence reasons are recorded on daily attendance, not per lesson';
+  }
+  if (records.some(record => !record.status)) {
+    return 'A status is required for lesson attendance';
+  }
+  return null;
+};
+
+// Fill in the status and minutes late from each record's check-in time.
+// Returns { records } or { error }
+const applyArrivals = async (req, records) => {
+  const settings = await getSchoolSettings(req);
+  const results = records.map(record => applyArrival(record, settings));
+  const failed = results.find(result => result.error);
+
+  return failed ? { error: failed.error } : { records: results.map(result => result.record) };
+};
+
+// An error message when period_id is not a bell period in use, otherwise null
+const checkBellPeriod = async (req, periodId) => {
+  const { data, error } = await req.supabase
+    .from('bell_periods')
+    .select('id, name, is_active')
+    .eq('id', periodId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return 'Bell period not found';
+  return data.is_active ? null : `${data.name} is no longer in the bell schedule`;
+};
+
+// Store one period's lesson records, then refresh the daily statuses derived from them
+const saveLessonAttendance = async (req, records, { date, period_id, subject }) => {
+  const studentIds = records.map(record => record.student_id);
+
+  const { data: lessons, error } = await req.supabase
+    .from('lesson_attendance')
+    .upsert(records.map(record => ({
+      student_id: record.student_id,
+      status: record.status,
+      date,
+      period_id,
+      subject: subject || null,
+      recorded_by: req.user.id,
+      updated_at: new Date().toISOString()
+    })), {
+      onConflict: 'student_id,date,period_id',
+      ignoreDuplicates: false
+    })
+    .select(LESSON_SELECT);
+
+  if (error) throw error;
+
+  const existing = await getExistingAttendance(req, studentIds, date);
+  const daily = await syncDailyFromLessons(req, studentIds, date, existing);
+
+  // A day still being recorded may change; guardians hear once its lessons are over
+  if (await isLessonDayOver(req.supabase, date)) {
+    await notifyGuardians(req.supabase, existing, daily);
+  }
+  publishAttendance(daily);
+
+  return { lessons, daily };
+};
+
 // GET /api/attendance - Get attendance records with filters
-router.get('/', async (req, res) => {
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
     const { 
       student_id, 
@@ -40,7 +150,7 @@ router.get('/', async (req, res) => {
       .from('attendance')
       .select(`
         *,
-        students (
+        students!inner (
           id,
           name,
           gender,
@@ -59,9 +169,13 @@ router.get('/', async (req, res) => {
     if (end_date) query = query.lte('date', end_date);
     if (status) query = query.eq('status', status);
     if (class_id) {
-      query = query.eq('students.class_id', class_id);
+      query = query.eq('class_id', class_id);
     }
 
+    // Teachers only see attendance for the classes assigned to them
+    const classIds = await getAssignedClassIds(req);
+    if (classIds) query = query.in('class_id', classIds);
+
     // Apply pagination and ordering
     query = query
       .order('date', { ascending: false })
@@ -90,23 +204,43 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/attendance/charts - Get attendance data for charts
-router.get('/charts', async (req, res) => {
+router.get('/charts', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
     const { 
       class_id, 
       student_id, 
-      days = 30 
+      days = 30,
+      term_id,
+      academic_year_id
     } = req.query;
 
-    const startDate = format(subDays(new Date(), parseInt(days)), 'yyyy-MM-dd');
-    const endDate = format(new Date(), 'yyyy-MM-dd');
+    // A term or academic year replaces the rolling window of days
+    const academicPeriod = await getAcademicPeriod(req, { term_id, academic_year_id });
+
+    if ((term_id || academic_year_id) && !academicPeriod) {
+      return res.status(404).json({
+        success: false,
+        error: term_id ? 'Term not found' : 'Academic year not found'
+      });
+    }
+
+    const today = format(new Date(), 'yyyy-MM-dd');
+    const startDate = academicPeriod
+      ? academicPeriod.start_date
+      : format(subDays(new Date(), parseInt(days)), 'yyyy-MM-dd');
+    // Days after today have no attendance yet, so they are not instructional days so far
+    const endDate = academicPeriod && academicPeriod.end_date < today
+      ? academicPeriod.end_date
+      : today;
 
     let query = req.supabase
       .from('attendance')
       .select(`
         date,
         status,
-        students (
+        minutes_late,
+        absence_reason,
+        students!inner (
           id,
           name,
           class_id,
@@ -120,47 +254,79 @@ router.get('/charts', async (req, res) => {
       .gte('date', startDate)
       .lte('date', endDate);
 
-    if (class_id) query = query.eq('students.class_id', class_id);
+    if (class_id) query = query.eq('class_id', class_id);
     if (student_id) query = query.eq('student_id', student_id);
 
+    const classIds = await getAssignedClassIds(req);
+    if (classIds) query = query.in('class_id', classIds);
+
     const { data, error } = await query.order('date');
 
     if (error) throw error;
 
+    // Only instructional days count; closed days would skew the trends
+    const closures = await getClosures(req, startDate, endDate);
+    const instructionalDays = getInstructionalDays(startDate, endDate, closures);
+    const emptyCounts = () => ({
+      Present: 0,
+      Absent: 0,
+      Late: 0,
+      Excused: 0
+    });
+    const emptySiaCounts = () => Object.fromEntries(SIA_CODES.map(code => [code, 0]));
+
     // Process data for charts
     const chartData = {
-      daily: {},
+      period: academicPeriod ? academicPeriod.label : `Last ${parseInt(days)} days`,
+      dateRange: {
+        start: startDate,
+        end: endDate
+      },
+      instructionalDays: instructionalDays.length,
+      daily: Object.fromEntries(instructionalDays.map(date => [date, emptyCounts()])),
       statusCounts: {
         Present: 0,
         Absent: 0,
         Late: 0,
         Excused: 0
       },
-      trends: []
+      // The same records as Hadir/Sakit/Izin/Alpa for Indonesian recaps
+      siaCounts: emptySiaCounts(),
+      trends: [],
+      tardiness: [],
+      totalTardyMinutes: 0
     };
+    const siaDaily = Object.fromEntries(instructionalDays.map(date => [date, emptySiaCounts()]));
+    const countedRecords = [];
 
     data?.forEach(record => {
       const date = record.date;
-      
+
+      // Skip records on weekends, holidays and other closed days
+      if (!chartData.daily[date]) return;
+
       // Count by status
       chartData.statusCounts[record.status]++;
-      
+
       // Group by date
-      if (!chartData.daily[date]) {
-        chartData.daily[date] = {
-          Present: 0,
-          Absent: 0,
-          Late: 0,
-          Excused: 0
-        };
-      }
       chartData.daily[date][record.status]++;
+
+      const code = toSiaCode(record.status, record.absence_reason);
+      chartData.siaCounts[code]++;
+      siaDaily[date][code]++;
+
+      countedRecords.push(record);
     });
 
+    // Late arrivals and minutes late per student
+    chartData.tardiness = summarizeTardiness(countedRecords);
+    chartData.totalTardyMinutes = chartData.tardiness.reduce((sum, student) => sum + student.total_minutes, 0);
+
     // Convert daily data to trends array
     chartData.trends = Object.entries(chartData.daily).map(([date, counts]) => ({
       date,
       ...counts,
+      sia: siaDaily[date],
       total: Object.values(counts).reduce((sum, count) => sum + count, 0)
     }));
 
@@ -177,8 +343,21 @@ router.get('/charts', async (req, res) => {
   }
 });
 
+// GET /api/attendance/stream - Server-Sent Events with every attendance record saved from now on
+router.get('/stream', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    await streamAttendance(req, res);
+  } catch (error) {
+    console.error('Error opening attendance stream:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open the attendance stream'
+    });
+  }
+});
+
 // POST /api/attendance - Record single attendance
-router.post('/', async (req, res) => {
+router.post('/', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
   try {
     // Validate request body
     const { error: validationError, value } = attendanceSchema.validate(req.body);
@@ -189,10 +368,24 @@ router.post('/', async (req, res) => {
       });
     }
 
+    value.date = toDateString(value.date);
+
+    const closedReason = getClosureReason(value.date, await getClosures(req, value.date, value.date));
+    if (closedReason) {
+      return res.status(400).json({
+        success: false,
+        error: `School is closed on ${value.date} (${closedReason})`
+      });
+    }
+
+    if (!(await canAccessStudents(req, [value.student_id]))) {
+      return forbidden(res);
+    }
+
     // Check if student exists
     const { data: student } = await req.supabase
       .from('students')
-      .select('id')
+      .select('id, name, enrollment_status, left_on')
       .eq('id', value.student_id)
       .single();
 
@@ -203,10 +396,51 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!isEnrolledOn(student, value.date)) {
+      return res.status(400).json({
+        success: false,
+        error: notEnrolledMessage(student)
+      });
+    }
+
+    if (value.period_id) {
+      const periodError = checkLessonRecords([value]) || await checkBellPeriod(req, value.period_id);
+      if (periodError) {
+        return res.status(400).json({
+          success: false,
+          error: periodError
+        });
+      }
+
+      const { lessons, daily } = await saveLessonAttendance(req, [value], value);
+
+      return res.status(201).json({
+        success: true,
+        data: lessons[0],
+        daily: daily[0],
+        message: 'Lesson attendance recorded successfully'
+      });
+    }
+
+    const { records: [record], error: arrivalError } = await applyArrivals(req, [value]);
+    if (arrivalError) {
+      return res.status(400).json({
+        success: false,
+        error: arrivalError
+      });
+    }
+
+    // Keep the previous status so guardians are only told about changes
+    const existing = await getExistingAttendance(req, [value.student_id], value.date);
+
+    if (!(await canAccessAttendance(req, Object.values(existing)))) {
+      return forbidden(res, 'This day was recorded in a class not assigned to you');
+    }
+
     // Upsert attendance record (insert or update if exists)
     const { data, error } = await req.supabase
       .from('attendance')
-      .upsert([value], { 
+      .upsert(withAbsenceReasons([{ ...record, ...recordedBy(req, 'single') }], existing), { 
         onConflict: 'student_id,date',
         ignoreDuplicates: false 
       })
@@ -226,6 +460,9 @@ router.post('/', async (req, res) => {
 
     if (error) throw error;
 
+    await notifyGuardians(req.supabase, existing, [data]);
+    publishAttendance([data]);
+
     res.status(201).json({
       success: true,
       data,
@@ -241,7 +478,7 @@ router.post('/', async (req, res) => {
 });
 
 // POST /api/attendance/bulk - Record bulk attendance
-router.post('/bulk', async (req, res) => {
+router.post('/bulk', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
   try {
     // Validate request body
     const { error: validationError, value } = bulkAttendanceSchema.validate(req.body);
@@ -253,16 +490,36 @@ router.post('/bulk', async (req, res) => {
     }
 
     // Prepare attendance records
+    const date = toDateString(value.date);
+
+    const closedReason = getClosureReason(date, await getClosures(req, date, date));
+    if (closedReason) {
+      return res.status(400).json({
+        success: false,
+        error: `School is closed on ${date} (${closedReason})`
+      });
+    }
+
     const attendanceRecords = value.records.map(record => ({
       ...record,
-      date: value.date
+      date
     }));
 
+    if (value.period_id) {
+      const periodError = checkLessonRecords(value.records) || await checkBellPeriod(req, value.period_id);
+      if (periodError) {
+        return res.status(400).json({
+          success: false,
+          error: periodError
+        });
+      }
+    }
+
     // Verify all students exist
     const studentIds = attendanceRecords.map(r => r.student_id);
     const { data: students } = await req.supabase
       .from('students')
-      .select('id')
+      .select('id, name, enrollment_status, left_on')
       .in('id', studentIds);
 
     if (students.length !== studentIds.length) {
@@ -272,10 +529,47 @@ router.post('/bulk', async (req, res) => {
       });
     }
 
+    const notEnrolled = students.find(student => !isEnrolledOn(student, date));
+    if (notEnrolled) {
+      return res.status(400).json({
+        success: false,
+        error: notEnrolledMessage(notEnrolled)
+      });
+    }
+
+    if (!(await canAccessStudents(req, studentIds))) {
+      return forbidden(res, 'One or more students are not in a class assigned to you');
+    }
+
+    if (value.period_id) {
+      const { lessons, daily } = await saveLessonAttendance(req, value.records, { ...value, date });
+
+      return res.status(201).json({
+        success: true,
+        data: lessons,
+        daily,
+        message: `${lessons.length} lesson attendance records processed successfully`
+      });
+    }
+
+    const { records: dailyRecords, error: arrivalError } = await applyArrivals(req, attendanceRecords);
+    if (arrivalError) {
+      return res.status(400).json({
+        success: false,
+        error: arrivalError
+      });
+    }
+
+    const existing = await getExistingAttendance(req, studentIds, date);
+
+    if (!(await canAccessAttendance(req, Object.values(existing)))) {
+      return forbidden(res, 'One or more of these days were recorded in a class not assigned to you');
+    }
+
     // Upsert all attendance records
     const { data, error } = await req.supabase
       .from('attendance')
-      .upsert(attendanceRecords, { 
+      .upsert(withAbsenceReasons(dailyRecords.map(record => ({ ...record, ...recordedBy(req, 'bulk') })), existing), { 
         onConflict: 'student_id,date',
         ignoreDuplicates: false 
       })
@@ -294,6 +588,9 @@ router.post('/bulk', async (req, res) => {
 
     if (error) throw error;
 
+    await notifyGuardians(req.supabase, existing, data);
+    publishAttendance(data);
+
     res.status(201).json({
       success: true,
       data,
@@ -308,13 +605,222 @@ router.post('/bulk', async (req, res) => {
   }
 });
 
+const CHECK_IN_SELECT = `
+  *,
+  students (
+    id,
+    name,
+    classes (
+      id,
+      class_name,
+      grade
+    )
+  )
+`;
+
+// The answer to a scan of a card that has already checked in today
+const alreadyCheckedIn = (res, student, record) => res.json({
+  success: true,
+  duplicate: true,
+  data: { ...record, students: { id: student.id, name: student.name } },
+  message: `${student.name} already checked in at ${record.check_in_time.slice(0, 5)}`
+});
+
+// POST /api/attendance/check-in - Record today's arrival for a scanned student card (kiosk mode).
+// The check-in time is the server's clock, so run the server in the school's time zone.
+router.post('/check-in', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = checkInSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    if (!(await canAccessClass(req, value.class_id))) {
+      return forbidden(res);
+    }
+
+    const now = new Date();
+    const date = format(now, 'yyyy-MM-dd');
+
+    const closedReason = getClosureReason(date, await getClosures(req, date, date));
+    if (closedReason) {
+      return res.status(400).json({
+        success: false,
+        error: `School is closed today (${closedReason})`
+      });
+    }
+
+    const { data: student, error: studentError } = await req.supabase
+      .from('students')
+      .select(`
+        id,
+        name,
+        class_id,
+        enrollment_status,
+        left_on,
+        classes (
+          class_name
+        )
+      `)
+      .eq('card_code', value.card_code)
+      .maybeSingle();
+
+    if (studentError) throw studentError;
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not recognised'
+      });
+    }
+
+    if (student.class_id !== value.class_id) {
+      return res.status(400).json({
+        success: false,
+        error: `${student.name} is in ${student.classes?.class_name || 'another class'}, not this class`
+      });
+    }
+
+    if (!isEnrolledOn(student, date)) {
+      return res.status(400).json({
+        success: false,
+        error: notEnrolledMessage(student)
+      });
+    }
+
+    const { data: current, error: currentError } = await req.supabase
+      .from('attendance')
+      .select('id, student_id, status, check_in_time, absence_reason, absence_note')
+      .eq('student_id', student.id)
+      .eq('date', date)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
+
+    // A second scan never moves the first check-in time
+    if (current?.check_in_time) {
+      return alreadyCheckedIn(res, student, current);
+    }
+
+    const checkInTime = format(now, 'HH:mm:ss');
+    const existing = current ? { [student.id]: current } : {};
+    let changes;
+
+    if (['Present', 'Late'].includes(current?.status)) {
+      // A teacher already has them in school; the scan only adds the time
+      changes = { check_in_time: checkInTime };
+    } else {
+      // A student marked Absent earlier who turns up now is Late; an excused absence stays excused
+      const { records: [record], error: arrivalError } = await applyArrivals(req, [{
+        student_id: student.id,
+        date,
+        check_in_time: checkInTime,
+        ...(current?.status === 'Excused' && { status: 'Excused' })
+      }]);
+
+      if (arrivalError) {
+        return res.status(400).json({
+          success: false,
+          error: arrivalError
+        });
+      }
+
+      // An absence turned Late loses its reason; an excused day keeps it
+      [changes] = withAbsenceReasons([record], existing);
+    }
+
+    // Only written while the day has no check-in, so two scans at the same moment cannot
+    // overwrite each other
+    const { data, error } = current
+      ? await req.supabase
+        .from('attendance')
+        .update({ ...changes, ...recordedBy(req, 'kiosk') })
+        .eq('id', current.id)
+        .is('check_in_time', null)
+        .select(CHECK_IN_SELECT)
+        .maybeSingle()
+      : await req.supabase
+        .from('attendance')
+        .upsert([{ ...changes, ...recordedBy(req, 'kiosk') }], {
+          onConflict: 'student_id,date',
+          ignoreDuplicates: true
+        })
+        .select(CHECK_IN_SELECT)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      const { data: latest, error: latestError } = await req.supabase
+        .from('attendance')
+        .select('id, student_id, status, check_in_time')
+        .eq('student_id', student.id)
+        .eq('date', date)
+        .maybeSingle();
+
+      if (latestError) throw latestError;
+
+      if (latest?.check_in_time) {
+        return alreadyCheckedIn(res, student, latest);
+      }
+
+      return res.status(409).json({
+        success: false,
+        error: `${student.name}'s attendance was changed while checking in, please scan again`
+      });
+    }
+
+    await notifyGuardians(req.supabase, existing, [data]);
+    publishAttendance([data]);
+
+    res.status(201).json({
+      success: true,
+      duplicate: false,
+      data,
+      message: data.minutes_late > 0
+        ? `${student.name}: ${data.status} (${data.minutes_late} min)`
+        : `${student.name}: ${data.status}`
+    });
+  } catch (error) {
+    console.error('Error checking in student:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in'
+    });
+  }
+});
+
 // GET /api/attendance/class/:classId/date/:date - Get attendance for specific class and date
-router.get('/class/:classId/date/:date', async (req, res) => {
+// (with ?period_id= each student's attendance is their record for that lesson)
+router.get('/class/:classId/date/:date', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
     const { classId, date } = req.params;
+    const { period_id } = req.query;
+
+    if (dateString.validate(date).error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date must be in yyyy-MM-dd format'
+      });
+    }
+
+    if (period_id && Joi.string().uuid().validate(period_id).error) {
+      return res.status(400).json({
+        success: false,
+        error: 'period_id must be a valid GUID'
+      });
+    }
 
-    // Get all students in the class
-    const { data: students, error: studentsError } = await req.supabase
+    if (!(await canAccessClass(req, classId))) {
+      return forbidden(res);
+    }
+
+    // Get the students enrolled in the class on that date
+    const { data: students, error: studentsError } = await enrolledOn(req.supabase
       .from('students')
       .select(`
         id,
@@ -326,7 +832,7 @@ router.get('/class/:classId/date/:date', async (req, res) => {
           grade
         )
       `)
-      .eq('class_id', classId)
+      .eq('class_id', classId), date)
       .order('name');
 
     if (studentsError) throw studentsError;
@@ -341,24 +847,65 @@ router.get('/class/:classId/date/:date', async (req, res) => {
 
     if (attendanceError) throw attendanceError;
 
+    // Lesson records for the day, in bell order
+    const { data: lessonRecords, error: lessonsError } = await req.supabase
+      .from('lesson_attendance')
+      .select(LESSON_SELECT)
+      .in('student_id', studentIds)
+      .eq('date', date);
+
+    if (lessonsError) throw lessonsError;
+
+    lessonRecords.sort((a, b) => a.bell_periods.start_time.localeCompare(b.bell_periods.start_time));
+
     // Merge students with their attendance status
     const studentsWithAttendance = students.map(student => {
       const attendanceRecord = attendanceRecords.find(a => a.student_id === student.id);
+      const lessons = lessonRecords
+        .filter(lesson => lesson.student_id === student.id)
+        .map(lesson => ({
+          id: lesson.id,
+          period_id: lesson.period_id,
+          period_name: lesson.bell_periods.name,
+          subject: lesson.subject,
+          status: lesson.status
+        }));
+      const daily = attendanceRecord ? {
+        id: attendanceRecord.id,
+        status: attendanceRecord.status,
+        date: attendanceRecord.date,
+        check_in_time: attendanceRecord.check_in_time,
+        minutes_late: attendanceRecord.minutes_late,
+        absence_reason: attendanceRecord.absence_reason,
+        absence_note: attendanceRecord.absence_note
+      } : null;
+
+      if (period_id) {
+        const lesson = lessons.find(item => item.period_id === period_id);
+        return {
+          ...student,
+          attendance: lesson ? { id: lesson.id, status: lesson.status, date, subject: lesson.subject } : null,
+          daily_attendance: daily,
+          lessons
+        };
+      }
+
       return {
         ...student,
-        attendance: attendanceRecord ? {
-          id: attendanceRecord.id,
-          status: attendanceRecord.status,
-          date: attendanceRecord.date
-        } : null
+        attendance: daily,
+        lessons
       };
     });
 
+    const closures = await getClosures(req, date, date);
+
     res.json({
       success: true,
       data: {
         date,
         class_id: classId,
+        period_id: period_id || null,
+        closed_reason: getClosureReason(date, closures),
         students: studentsWithAttendance
       }
     });
@@ -371,4 +918,86 @@ router.get('/class/:classId/date/:date', async (req, res) => {
   }
 });
 
+// GET /api/attendance/class/:classId/month/:month - The whole month for a class in one go,
+// laid out like a paper register: every day of the month, and each student's records by date
+router.get('/class/:classId/month/:month', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { classId, month } = req.params;
+
+    if (monthString.validate(month).error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Month must be in yyyy-MM format'
+      });
+    }
+
+    if (!(await canAccessClass(req, classId))) {
+      return forbidden(res);
+    }
+
+    const register = await getClassRegister(req, classId, month);
+
+    if (!register) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: register
+    });
+  } catch (error) {
+    console.error('Error fetching class register:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch class register'
+    });
+  }
+});
+
+// GET /api/attendance/:id/history - Get the change history of an attendance record
+router.get('/:id/history', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('attendance_history')
+      .select('*')
+      .eq('attendance_id', id)
+      .order('changed_at', { ascending: false });
+
+    if (error) throw error;
+
+    if (data.length > 0) {
+      // The history outlives the record; without it, fall back to the student's class
+      const { data: record, error: recordError } = await req.supabase
+        .from('attendance')
+        .select('class_id')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (recordError) throw recordError;
+
+      const allowed = record
+        ? await canAccessAttendance(req, [record])
+        : await canAccessStudents(req, [data[0].student_id]);
+
+      if (!allowed) return forbidden(res);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching attendance history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance history'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,252 @@
+import express from 'express';
+import Joi from 'joi';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { getSchoolSettings } from '../lib/settings.js';
+import { timeString } from '../lib/validation.js';
+import { STATUS_LABEL_SETS } from '../lib/sia.js';
+
+const router = express.Router();
+
+// Validation schema for bell periods
+const bellPeriodSchema = Joi.object({
+  name: Joi.string().min(1).max(50).required(),
+  start_time: timeString.required(),
+  end_time: timeString.required(),
+  is_active: Joi.boolean().default(true)
+});
+
+// Validation schema for the school-day settings: the rule deriving daily attendance from lessons,
+// the start time and grace period that decide who is Late, and which status labels to show
+const settingsSchema = Joi.object({
+  lesson_absence_share: Joi.number().greater(0).max(1),
+  school_start_time: timeString,
+  late_grace_minutes: Joi.number().integer().min(0).max(120),
+  status_labels: Joi.string().valid(...STATUS_LABEL_SETS)
+}).min(1);
+
+const validateBellPeriod = (body) => {
+  const result = bellPeriodSchema.validate(body);
+
+  if (!result.error && result.value.end_time <= result.value.start_time) {
+    return { error: { details: [{ message: 'A period must end after it starts' }] } };
+  }
+
+  return result;
+};
+
+// GET /api/bell-schedule - Get the bell schedule in order (?include_inactive=true for retired periods)
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    let query = req.supabase
+      .from('bell_periods')
+      .select('*')
+      .order('start_time');
+
+    if (req.query.include_inactive !== 'true') query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || []
+    });
+  } catch (error) {
+    console.error('Error fetching bell schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bell schedule'
+    });
+  }
+});
+
+// GET /api/bell-schedule/settings - Get the school start time, grace period, lesson rule and status labels
+router.get('/settings', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const {
+      lesson_absence_share,
+      school_start_time,
+      late_grace_minutes,
+      status_labels
+    } = await getSchoolSettings(req);
+
+    res.json({
+      success: true,
+      data: {
+        lesson_absence_share,
+        school_start_time,
+        late_grace_minutes,
+        status_labels
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching bell schedule settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bell schedule settings'
+    });
+  }
+});
+
+// PUT /api/bell-schedule/settings - Update some or all settings (applies to attendance recorded from now on)
+router.put('/settings', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = settingsSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('school_settings')
+      .upsert([{ id: true, ...value, updated_at: new Date().toISOString() }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      message: 'Settings updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating bell schedule settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bell schedule settings'
+    });
+  }
+});
+
+// POST /api/bell-schedule - Add a period to the bell schedule
+router.post('/', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = validateBellPeriod(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('bell_periods')
+      .insert([value])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Period added successfully'
+    });
+  } catch (error) {
+    console.error('Error creating bell period:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create bell period'
+    });
+  }
+});
+
+// PUT /api/bell-schedule/:id - Update a period
+router.put('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = validateBellPeriod(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('bell_periods')
+      .update(value)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bell period not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Period updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating bell period:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bell period'
+    });
+  }
+});
+
+// DELETE /api/bell-schedule/:id - Delete a period that has no attendance recorded against it
+router.delete('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count, error: countError } = await req.supabase
+      .from('lesson_attendance')
+      .select('id', { count: 'exact', head: true })
+      .eq('period_id', id);
+
+    if (countError) throw countError;
+
+    if (count > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This period has attendance recorded; mark it inactive instead'
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('bell_periods')
+      .delete()
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bell period not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Period deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting bell period:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete bell period'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,216 @@
+import express from 'express';
+import Joi from 'joi';
+import { format, startOfMonth, endOfMonth } from 'date-fns';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { getClosures, getInstructionalDays } from '../lib/calendar.js';
+import { dateString, checkDateRange } from '../lib/validation.js';
+
+const router = express.Router();
+
+// Validation schema for calendar events
+const eventSchema = Joi.object({
+  title: Joi.string().min(2).max(100).required(),
+  event_type: Joi.string().valid('holiday', 'break', 'teacher_only').required(),
+  start_date: dateString.required(),
+  end_date: dateString.required(),
+  notes: Joi.string().max(500).allow('', null)
+});
+
+// Validation schema for date range queries
+const rangeSchema = Joi.object({
+  start_date: dateString.default(() => format(startOfMonth(new Date()), 'yyyy-MM-dd')),
+  end_date: dateString.default(() => format(endOfMonth(new Date()), 'yyyy-MM-dd'))
+});
+
+// Ranges are looked up a day at a time, so keep them to about a school year
+const MAX_RANGE_DAYS = 366;
+
+const validateEvent = (body) => {
+  const result = eventSchema.validate(body);
+
+  if (!result.error && result.value.end_date < result.value.start_date) {
+    return { error: { details: [{ message: 'End date must be on or after the start date' }] } };
+  }
+
+  return result;
+};
+
+const validateRange = (query) => {
+  const result = rangeSchema.validate(query);
+  const rangeError = !result.error && checkDateRange(result.value.start_date, result.value.end_date, MAX_RANGE_DAYS);
+
+  return rangeError ? { error: { details: [{ message: rangeError }] } } : result;
+};
+
+// GET /api/calendar - Get calendar events overlapping a date range
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { error: validationError, value } = validateRange(req.query);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const data = await getClosures(req, value.start_date, value.end_date);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching calendar events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendar events'
+    });
+  }
+});
+
+// GET /api/calendar/instructional-days - Get school days in a date range
+router.get('/instructional-days', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { error: validationError, value } = validateRange(req.query);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const closures = await getClosures(req, value.start_date, value.end_date);
+    const days = getInstructionalDays(value.start_date, value.end_date, closures);
+
+    res.json({
+      success: true,
+      data: {
+        start_date: value.start_date,
+        end_date: value.end_date,
+        count: days.length,
+        days,
+        closures
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching instructional days:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch instructional days'
+    });
+  }
+});
+
+// POST /api/calendar - Create calendar event
+router.post('/', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = validateEvent(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('calendar_events')
+      .insert([value])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Calendar event created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating calendar event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create calendar event'
+    });
+  }
+});
+
+// PUT /api/calendar/:id - Update calendar event
+router.put('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = validateEvent(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('calendar_events')
+      .update(value)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: 'Calendar event updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating calendar event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update calendar event'
+    });
+  }
+});
+
+// DELETE /api/calendar/:id - Delete calendar event
+router.delete('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('calendar_events')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar event deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting calendar event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete calendar event'
+    });
+  }
+});
+
+export default router;
@@ -1,23 +1,57 @@
 import express from 'express';
 import Joi from 'joi';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { getAssignedClassIds, canAccessClass, forbidden } from '../lib/access.js';
 
 const router = express.Router();
 
 // Validation schema for class creation
 const classSchema = Joi.object({
   class_name: Joi.string().min(1).max(50).required(),
-  grade: Joi.number().integer().min(1).max(12).required()
+  grade: Joi.number().integer().min(1).max(12).required(),
+  academic_year_id: Joi.string().uuid().allow(null)
 });
 
-// GET /api/classes - Get all classes
-router.get('/', async (req, res) => {
+// A current class with the same name and grade in the same academic year, if there is one.
+// Next year's 4A can be set up while this year's 4A is still running.
+const findDuplicateClass = async (req, { class_name, grade, academic_year_id }, excludeId = null) => {
+  let query = req.supabase
+    .from('classes')
+    .select('id')
+    .eq('class_name', class_name)
+    .eq('grade', grade)
+    .is('archived_at', null);
+
+  query = academic_year_id
+    ? query.eq('academic_year_id', academic_year_id)
+    : query.is('academic_year_id', null);
+  if (excludeId) query = query.neq('id', excludeId);
+
+  const { data, error } = await query.limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+};
+
+const DUPLICATE_CLASS_ERROR = 'Class with this name already exists for this grade and academic year';
+
+// GET /api/classes - Get all classes (archived ones only with include_archived=true)
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
-    const { data, error } = await req.supabase
+    let query = req.supabase
       .from('classes')
       .select('*')
       .order('grade', { ascending: true })
       .order('class_name', { ascending: true });
 
+    if (req.query.include_archived !== 'true') query = query.is('archived_at', null);
+
+    // Teachers only see the classes assigned to them
+    const classIds = await getAssignedClassIds(req);
+    if (classIds) query = query.in('id', classIds);
+
+    const { data, error } = await query;
+
     if (error) throw error;
 
     res.json({
@@ -34,10 +68,14 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/classes/:id - Get single class with students
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
     const { id } = req.params;
 
+    if (!(await canAccessClass(req, id))) {
+      return forbidden(res);
+    }
+
     const { data, error } = await req.supabase
       .from('classes')
       .select(`
@@ -76,7 +114,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/classes - Create new class
-router.post('/', async (req, res) => {
+router.post('/', authorize(ROLES.ADMIN), async (req, res) => {
   try {
     // Validate request body
     const { error: validationError, value } = classSchema.validate(req.body);
@@ -87,18 +125,10 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Check if class name already exists for the same grade
-    const { data: existingClass } = await req.supabase
-      .from('classes')
-      .select('id')
-      .eq('class_name', value.class_name)
-      .eq('grade', value.grade)
-      .single();
-
-    if (existingClass) {
+    if (await findDuplicateClass(req, value)) {
       return res.status(400).json({
         success: false,
-        error: 'Class with this name already exists for this grade'
+        error: DUPLICATE_CLASS_ERROR
       });
     }
 
@@ -126,7 +156,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/classes/:id - Update class
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize(ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -139,19 +169,27 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Check if class name already exists for the same grade (excluding current class)
-    const { data: existingClass } = await req.supabase
+    const { data: current, error: currentError } = await req.supabase
       .from('classes')
-      .select('id')
-      .eq('class_name', value.class_name)
-      .eq('grade', value.grade)
-      .neq('id', id)
-      .single();
+      .select('id, academic_year_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (currentError) throw currentError;
 
-    if (existingClass) {
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found'
+      });
+    }
+
+    // Compare with the other classes of the year the class will be in
+    const academicYearId = value.academic_year_id !== undefined ? value.academic_year_id : current.academic_year_id;
+    if (await findDuplicateClass(req, { ...value, academic_year_id: academicYearId }, id)) {
       return res.status(400).json({
         success: false,
-        error: 'Class with this name already exists for this grade'
+        error: DUPLICATE_CLASS_ERROR
       });
     }
 
@@ -187,7 +225,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/classes/:id - Delete class
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize(ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -205,6 +243,20 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    // Attendance keeps the class it was recorded in, so the class must stay for its history
+    const { data: attendance } = await req.supabase
+      .from('attendance')
+      .select('id')
+      .eq('class_id', id)
+      .limit(1);
+
+    if (attendance && attendance.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete class with attendance records'
+      });
+    }
+
     const { data, error } = await req.supabase
       .from('classes')
       .delete()
@@ -0,0 +1,571 @@
+import express from 'express';
+import Joi from 'joi';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { differenceInCalendarDays, parseISO } from 'date-fns';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { getAssignedClassIds, canAccessStudents, forbidden } from '../lib/access.js';
+import { recordedBy } from '../lib/audit.js';
+import { publishAttendance } from '../lib/live.js';
+import { getClosures, getInstructionalDays } from '../lib/calendar.js';
+import { isEnrolledOn } from '../lib/enrollment.js';
+import { dateString } from '../lib/validation.js';
+import {
+  ABSENCE_REASONS,
+  EXCUSE_STATUSES,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  MAX_EXCUSE_DAYS
+} from '../lib/excuses.js';
+import { getStorage } from '../lib/storage/index.js';
+import { setDownloadHeaders } from '../lib/reports.js';
+
+const router = express.Router();
+
+const EXCUSE_SELECT = `
+  *,
+  students!inner (
+    id,
+    name,
+    class_id,
+    classes (
+      id,
+      class_name,
+      grade
+    )
+  ),
+  guardians (
+    id,
+    name,
+    relation
+  ),
+  excuse_attachments (
+    id,
+    file_name,
+    content_type,
+    size_bytes,
+    created_at
+  )
+`;
+
+// Validation schema for an excuse handed in by a parent
+const excuseSchema = Joi.object({
+  student_id: Joi.string().uuid().required(),
+  guardian_id: Joi.string().uuid().allow(null),
+  start_date: dateString.required(),
+  end_date: dateString,
+  reason: Joi.string().valid(...Object.keys(ABSENCE_REASONS)).required(),
+  note: Joi.string().max(1000).allow('', null)
+});
+
+// Validation schema for a supporting document (file content is base64 encoded)
+const attachmentSchema = Joi.object({
+  filename: Joi.string().max(200).required(),
+  content_type: Joi.string().valid(...Object.keys(ATTACHMENT_TYPES)).required()
+    .messages({ 'any.only': 'Documents must be PDF, JPEG, PNG or HEIC files' }),
+  content: Joi.string().base64().required()
+});
+
+// Validation schema for approving or rejecting an excuse
+const reviewSchema = Joi.object({
+  review_note: Joi.string().max(1000).allow('', null)
+});
+
+// The excuse with its student, or null when it does not exist
+const getExcuse = async (req, id) => {
+  const { data, error } = await req.supabase
+    .from('absence_excuses')
+    .select(`
+      *,
+      students (
+        id,
+        name,
+        enrollment_status,
+        left_on
+      )
+    `)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Mark the student Excused on every school day the excuse covers, except days they were
+// recorded as Present or Late. Returns the saved attendance rows.
+const excuseAttendance = async (req, excuse) => {
+  const closures = await getClosures(req, excuse.start_date, excuse.end_date);
+  const days = getInstructionalDays(excuse.start_date, excuse.end_date, closures)
+    .filter(date => isEnrolledOn(excuse.students, date));
+
+  const { data: existingRows, error: existingError } = await req.supabase
+    .from('attendance')
+    .select('id, student_id, date, status')
+    .eq('student_id', excuse.student_id)
+    .gte('date', excuse.start_date)
+    .lte('date', excuse.end_date);
+
+  if (existingError) throw existingError;
+
+  const existingByDate = Object.fromEntries(existingRows.map(row => [row.date, row]));
+  const records = days
+    .filter(date => !['Present', 'Late'].includes(existingByDate[date]?.status))
+    .map(date => ({
+      student_id: excuse.student_id,
+      date,
+      status: 'Excused',
+      absence_reason: excuse.reason,
+      absence_note: excuse.note || null,
+      excuse_id: excuse.id,
+      ...recordedBy(req, 'excuse')
+    }));
+
+  if (records.length === 0) return [];
+
+  const { data, error } = await req.supabase
+    .from('attendance')
+    .upsert(records, {
+      onConflict: 'student_id,date',
+      ignoreDuplicates: false
+    })
+    .select(`
+      *,
+      students (
+        id,
+        name,
+        classes (
+          id,
+          class_name,
+          grade
+        )
+      )
+    `);
+
+  if (error) throw error;
+
+  publishAttendance(data);
+
+  return data;
+};
+
+// GET /api/excuses - Get excuses (?status=pending|approved|rejected, ?student_id=, ?class_id=)
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { status, student_id, class_id } = req.query;
+
+    if (status && !EXCUSE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${EXCUSE_STATUSES.join(', ')}`
+      });
+    }
+
+    let query = req.supabase
+      .from('absence_excuses')
+      .select(EXCUSE_SELECT)
+      .order('start_date', { ascending: false });
+
+    if (status) query = query.eq('status', status);
+    if (student_id) query = query.eq('student_id', student_id);
+    if (class_id) query = query.eq('students.class_id', class_id);
+
+    const classIds = await getAssignedClassIds(req);
+    if (classIds) query = query.in('students.class_id', classIds);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || []
+    });
+  } catch (error) {
+    console.error('Error fetching excuses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch excuses'
+    });
+  }
+});
+
+// POST /api/excuses - Hand in an excuse for review
+router.post('/', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = excuseSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const endDate = value.end_date || value.start_date;
+    const days = differenceInCalendarDays(parseISO(endDate), parseISO(value.start_date)) + 1;
+
+    if (days < 1 || days > MAX_EXCUSE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `An excuse must end on or after its first day and cover at most ${MAX_EXCUSE_DAYS} days`
+      });
+    }
+
+    if (!(await canAccessStudents(req, [value.student_id]))) {
+      return forbidden(res);
+    }
+
+    if (value.guardian_id) {
+      const { data: link, error: linkError } = await req.supabase
+        .from('student_guardians')
+        .select('guardian_id')
+        .eq('student_id', value.student_id)
+        .eq('guardian_id', value.guardian_id)
+        .maybeSingle();
+
+      if (linkError) throw linkError;
+
+      if (!link) {
+        return res.status(400).json({
+          success: false,
+          error: 'That guardian is not linked to the student'
+        });
+      }
+    }
+
+    const { data, error } = await req.supabase
+      .from('absence_excuses')
+      .insert([{
+        ...value,
+        end_date: endDate,
+        note: value.note || null,
+        submitted_by: req.user.id,
+        submitted_by_email: req.user.email
+      }])
+      .select(EXCUSE_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Excuse submitted for review'
+    });
+  } catch (error) {
+    console.error('Error creating excuse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit excuse'
+    });
+  }
+});
+
+// DELETE /api/excuses/:id - Withdraw an excuse that has not been reviewed yet
+router.delete('/:id', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
+  try {
+    const excuse = await getExcuse(req, req.params.id);
+
+    if (!excuse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Excuse not found'
+      });
+    }
+
+    if (!(await canAccessStudents(req, [excuse.student_id]))) {
+      return forbidden(res);
+    }
+
+    if (excuse.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Excuse is already ${excuse.status}`
+      });
+    }
+
+    const { data: attachments, error: attachmentsError } = await req.supabase
+      .from('excuse_attachments')
+      .select('storage_path')
+      .eq('excuse_id', excuse.id);
+
+    if (attachmentsError) throw attachmentsError;
+
+    const { error } = await req.supabase
+      .from('absence_excuses')
+      .delete()
+      .eq('id', excuse.id)
+      .eq('status', 'pending');
+
+    if (error) throw error;
+
+    await getStorage().remove(req.supabase, attachments.map(attachment => attachment.storage_path));
+
+    res.json({
+      success: true,
+      message: 'Excuse withdrawn successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting excuse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw excuse'
+    });
+  }
+});
+
+// POST /api/excuses/:id/attachments - Attach a supporting document such as a doctor's letter
+router.post('/:id/attachments', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = attachmentSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const content = Buffer.from(value.content, 'base64');
+    if (content.length === 0 || content.length > MAX_ATTACHMENT_BYTES) {
+      return res.status(400).json({
+        success: false,
+        error: `Documents must be between 1 byte and ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`
+      });
+    }
+
+    const excuse = await getExcuse(req, req.params.id);
+
+    if (!excuse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Excuse not found'
+      });
+    }
+
+    if (!(await canAccessStudents(req, [excuse.student_id]))) {
+      return forbidden(res);
+    }
+
+    const storage = getStorage();
+    const storagePath = `${excuse.id}/${randomUUID()}.${ATTACHMENT_TYPES[value.content_type]}`;
+    await storage.put(req.supabase, storagePath, content, value.content_type);
+
+    const { data, error } = await req.supabase
+      .from('excuse_attachments')
+      .insert([{
+        excuse_id: excuse.id,
+        file_name: path.basename(value.filename),
+        content_type: value.content_type,
+        size_bytes: content.length,
+        storage_path: storagePath,
+        uploaded_by: req.user.id
+      }])
+      .select('id, file_name, content_type, size_bytes, created_at')
+      .single();
+
+    if (error) {
+      await storage.remove(req.supabase, [storagePath]);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data,
+      message: 'Document attached successfully'
+    });
+  } catch (error) {
+    console.error('Error attaching excuse document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to attach document'
+    });
+  }
+});
+
+// The attachment with its excuse's student, or null when it is not part of that excuse
+const getAttachment = async (req, excuseId, attachmentId) => {
+  const { data, error } = await req.supabase
+    .from('excuse_attachments')
+    .select(`
+      *,
+      absence_excuses!inner (
+        id,
+        student_id
+      )
+    `)
+    .eq('id', attachmentId)
+    .eq('excuse_id', excuseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// GET /api/excuses/:id/attachments/:attachmentId - Download a supporting document
+router.get('/:id/attachments/:attachmentId', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const attachment = await getAttachment(req, req.params.id, req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    if (!(await canAccessStudents(req, [attachment.absence_excuses.student_id]))) {
+      return forbidden(res);
+    }
+
+    const content = await getStorage().get(req.supabase, attachment.storage_path);
+
+    setDownloadHeaders(res, attachment.content_type, attachment.file_name);
+    res.send(content);
+  } catch (error) {
+    console.error('Error downloading excuse document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download document'
+    });
+  }
+});
+
+// DELETE /api/excuses/:id/attachments/:attachmentId - Remove a supporting document
+router.delete('/:id/attachments/:attachmentId', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
+  try {
+    const attachment = await getAttachment(req, req.params.id, req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    if (!(await canAccessStudents(req, [attachment.absence_excuses.student_id]))) {
+      return forbidden(res);
+    }
+
+    const { error } = await req.supabase
+      .from('excuse_attachments')
+      .delete()
+      .eq('id', attachment.id);
+
+    if (error) throw error;
+
+    await getStorage().remove(req.supabase, [attachment.storage_path]);
+
+    res.json({
+      success: true,
+      message: 'Document removed successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting excuse document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove document'
+    });
+  }
+});
+
+const review = (action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = reviewSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const excuse = await getExcuse(req, id);
+
+    if (!excuse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Excuse not found'
+      });
+    }
+
+    if (excuse.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Excuse is already ${excuse.status}`
+      });
+    }
+
+    // Claim the review first, so two reviewers never both act on the excuse
+    const { data, error } = await req.supabase
+      .from('absence_excuses')
+      .update({
+        status: action,
+        reviewed_by: req.user.id,
+        reviewed_by_email: req.user.email,
+        reviewed_at: new Date().toISOString(),
+        review_note: value.review_note || null
+      })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select(EXCUSE_SELECT)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: 'Excuse was reviewed by someone else, please reload'
+      });
+    }
+
+    let attendance = [];
+    if (action === 'approved') {
+      try {
+        attendance = await excuseAttendance(req, excuse);
+      } catch (attendanceError) {
+        // Hand the excuse back for review rather than leave it approved with no Excused days
+        const { error: undoError } = await req.supabase
+          .from('absence_excuses')
+          .update({
+            status: 'pending',
+            reviewed_by: null,
+            reviewed_by_email: null,
+            reviewed_at: null,
+            review_note: null
+          })
+          .eq('id', id)
+          .eq('status', action);
+
+        if (undoError) console.error('Error returning excuse to pending:', undoError);
+        throw attendanceError;
+      }
+    }
+
+    res.json({
+      success: true,
+      data,
+      attendance,
+      message: action === 'approved'
+        ? `Excuse approved; ${attendance.length} day${attendance.length === 1 ? '' : 's'} marked Excused`
+        : 'Excuse rejected'
+    });
+  } catch (error) {
+    console.error(`Error reviewing excuse (${action}):`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review excuse'
+    });
+  }
+};
+
+// POST /api/excuses/:id/approve - Turn the excuse into Excused attendance on the days it covers
+router.post('/:id/approve', authorize(ROLES.ADMIN), review('approved'));
+
+// POST /api/excuses/:id/reject - Turn the excuse down, leaving attendance as recorded
+router.post('/:id/reject', authorize(ROLES.ADMIN), review('rejected'));
+
+export default router;
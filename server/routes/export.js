@@ -1,75 +1,234 @@
 import express from 'express';
 import ExcelJS from 'exceljs';
-import { format, subMonths, subDays } from 'date-fns';
+import Joi from 'joi';
+import { format, parseISO, subMonths, subDays } from 'date-fns';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { getAssignedClassIds, canAccessClass, forbidden } from '../lib/access.js';
+import { getClosures, getInstructionalDays, isInstructionalDay } from '../lib/calendar.js';
+import { getAcademicPeriod, getTermForDate } from '../lib/periods.js';
+import { dateString, monthString, checkDateRange } from '../lib/validation.js';
+import { summarizeTardiness } from '../lib/arrivals.js';
+import { formatAbsenceReason } from '../lib/excuses.js';
+import { SCHOOL_NAME, HEADER_COLOR, STRIPE_COLOR, STATUS_COLORS, sendCsv, sendPdf, sendExportError, setDownloadHeaders } from '../lib/reports.js';
+import { getClassRegister, addRegisterSheet } from '../lib/register.js';
+import { getSchoolSettings } from '../lib/settings.js';
+import { STATUS_LABEL_SETS } from '../lib/sia.js';
 
 const router = express.Router();
 
-// GET /api/export/attendance - Export attendance data to Excel
-router.get('/attendance', async (req, res) => {
+const EXPORT_FORMATS = ['excel', 'csv', 'pdf', 'json'];
+
+// Exports are built in memory, so a custom range is capped at a year like the presets
+const MAX_EXPORT_DAYS = 366;
+
+// Query values may be repeated (?status=Absent&status=Late) or comma-separated
+const toList = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Validation schema for attendance export filters
+const attendanceExportSchema = Joi.object({
+  period: Joi.string().default('1month'), // 1month, 3months, 6months, 1year, semester
+  term_id: Joi.string().uuid(),
+  academic_year_id: Joi.string().uuid(),
+  start_date: dateString,
+  end_date: dateString,
+  class_id: Joi.array().items(Joi.string().uuid()),
+  student_id: Joi.string().uuid(),
+  grade: Joi.number().integer().min(1).max(12),
+  status: Joi.array().items(Joi.string().valid('Present', 'Absent', 'Late', 'Excused')),
+  gender: Joi.string().valid('Male', 'Female'),
+  view: Joi.string().valid('daily', 'lesson').default('daily'), // one row per day or per lesson
+  format_type: Joi.string().valid(...EXPORT_FORMATS).default('excel')
+}).and('start_date', 'end_date').messages({
+  'object.and': 'start_date and end_date must be given together'
+});
+
+// Validation schema for the monthly register export (labels defaults to the school setting)
+const registerExportSchema = Joi.object({
+  month: monthString.required(),
+  class_id: Joi.array().items(Joi.string().uuid()),
+  grade: Joi.number().integer().min(1).max(12),
+  labels: Joi.string().valid(...STATUS_LABEL_SETS)
+});
+
+// GET /api/export/attendance - Export attendance data to Excel, CSV or PDF
+router.get('/attendance', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
-    const { 
-      period = '1month', // 1month, 3months, 6months, 1year, semester
-      class_id,
+    const { error: validationError, value: filters } = attendanceExportSchema.validate({
+      ...req.query,
+      class_id: toList(req.query.class_id),
+      status: toList(req.query.status)
+    });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const rangeError = filters.start_date && checkDateRange(filters.start_date, filters.end_date, MAX_EXPORT_DAYS);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError
+      });
+    }
+
+    const {
+      period,
+      term_id,
+      academic_year_id,
       student_id,
-      format_type = 'excel'
-    } = req.query;
+      grade,
+      status,
+      gender,
+      view,
+      format_type
+    } = filters;
+
+    for (const classId of filters.class_id || []) {
+      if (!(await canAccessClass(req, classId))) {
+        return forbidden(res);
+      }
+    }
+
+    // Classes to report on: the chosen ones, narrowed to a grade when one is given
+    let filterClasses = null;
+    if (filters.class_id || grade) {
+      let classQuery = req.supabase
+        .from('classes')
+        .select('id, class_name, grade')
+        .order('class_name');
+
+      if (filters.class_id) classQuery = classQuery.in('id', filters.class_id);
+      if (grade) classQuery = classQuery.eq('grade', grade);
+
+      const { data: classRows, error: classError } = await classQuery;
+      if (classError) throw classError;
+      filterClasses = classRows;
+    }
+
+    // A term or academic year takes precedence over explicit dates and the rolling presets
+    let academicPeriod = await getAcademicPeriod(req, { term_id, academic_year_id });
+
+    if ((term_id || academic_year_id) && !academicPeriod) {
+      return res.status(404).json({
+        success: false,
+        error: term_id ? 'Term not found' : 'Academic year not found'
+      });
+    }
+
+    // "semester" means the semester we are in, when one has been defined
+    if (!academicPeriod && !filters.start_date && period === 'semester') {
+      academicPeriod = await getTermForDate(req, format(new Date(), 'yyyy-MM-dd'), 'semester');
+    }
 
     // Calculate date range based on period
     let startDate;
-    const endDate = new Date();
-
-    switch (period) {
-      case '1month':
-        startDate = subMonths(endDate, 1);
-        break;
-      case '3months':
-        startDate = subMonths(endDate, 3);
-        break;
-      case '6months':
-      case 'semester':
-        startDate = subMonths(endDate, 6);
-        break;
-      case '1year':
-        startDate = subMonths(endDate, 12);
-        break;
-      default:
-        startDate = subMonths(endDate, 1);
+    let endDate = new Date();
+    let periodLabel = period.replace(/(\d+)/, '$1 ');
+
+    if (academicPeriod) {
+      startDate = parseISO(academicPeriod.start_date);
+      endDate = parseISO(academicPeriod.end_date);
+      periodLabel = academicPeriod.label;
+    } else if (filters.start_date) {
+      startDate = parseISO(filters.start_date);
+      endDate = parseISO(filters.end_date);
+      periodLabel = 'Custom range';
+    } else {
+      switch (period) {
+        case '1month':
+          startDate = subMonths(endDate, 1);
+          break;
+        case '3months':
+          startDate = subMonths(endDate, 3);
+          break;
+        case '6months':
+        case 'semester':
+          startDate = subMonths(endDate, 6);
+          break;
+        case '1year':
+          startDate = subMonths(endDate, 12);
+          break;
+        default:
+          startDate = subMonths(endDate, 1);
+      }
     }
 
+    // Describe the applied filters for the report header
+    const appliedFilters = [];
+    if (filters.class_id) appliedFilters.push(`Classes: ${filterClasses.map(c => c.class_name).join(', ') || 'none'}`);
+    if (grade) appliedFilters.push(`Grade: ${grade}`);
+    if (status) appliedFilters.push(`Status: ${status.join(', ')}`);
+    if (gender) appliedFilters.push(`Gender: ${gender}`);
+    if (student_id) appliedFilters.push('Single student');
+
     // Build query
     let query = req.supabase
-      .from('attendance')
+      .from(view === 'lesson' ? 'lesson_attendance' : 'attendance')
       .select(`
         *,
-        students (
+        ${view === 'lesson' ? 'bell_periods ( name, start_time ),' : ''}
+        classes (
+          id,
+          class_name,
+          grade
+        ),
+        students!inner (
           id,
           name,
           gender,
-          date_of_birth,
-          classes (
-            id,
-            class_name,
-            grade
-          )
+          date_of_birth
         )
       `)
       .gte('date', format(startDate, 'yyyy-MM-dd'))
       .lte('date', format(endDate, 'yyyy-MM-dd'));
 
-    if (class_id) query = query.eq('students.class_id', class_id);
+    if (filterClasses) query = query.in('class_id', filterClasses.map(c => c.id));
     if (student_id) query = query.eq('student_id', student_id);
+    if (status) query = query.in('status', status);
+    if (gender) query = query.eq('students.gender', gender);
+
+    // Teachers can only export the classes assigned to them
+    const classIds = await getAssignedClassIds(req);
+    if (classIds) query = query.in('class_id', classIds);
 
     query = query.order('date', { ascending: false });
 
-    const { data, error } = await query;
+    const { data: records, error } = await query;
 
     if (error) throw error;
 
+    // Report over instructional days only. As in the charts, days after today have no attendance
+    // yet and are not counted, so a current term reports the same rate in both.
+    const rangeStart = format(startDate, 'yyyy-MM-dd');
+    const rangeEnd = format(endDate, 'yyyy-MM-dd');
+    const today = format(new Date(), 'yyyy-MM-dd');
+    const closures = await getClosures(req, rangeStart, rangeEnd);
+    const instructionalDays = getInstructionalDays(rangeStart, rangeEnd < today ? rangeEnd : today, closures);
+    const data = (records || []).filter(record => isInstructionalDay(record.date, closures));
+
+    // Lessons on the same day go in bell order
+    if (view === 'lesson') {
+      data.sort((a, b) => (
+        b.date.localeCompare(a.date) || a.bell_periods.start_time.localeCompare(b.bell_periods.start_time)
+      ));
+    }
+
     if (format_type === 'json') {
       return res.json({
         success: true,
-        data: data || [],
-        period,
+        data,
+        period: periodLabel,
+        view,
+        filters: appliedFilters,
+        instructional_days: instructionalDays.length,
         date_range: {
           start: format(startDate, 'yyyy-MM-dd'),
           end: format(endDate, 'yyyy-MM-dd')
@@ -77,72 +236,138 @@ router.get('/attendance', async (req, res) => {
       });
     }
 
+    const reportName = view === 'lesson' ? 'Lesson Attendance Report' : 'Attendance Report';
+    const title = `${SCHOOL_NAME} - ${reportName}${academicPeriod ? ` - ${academicPeriod.label}` : ''}`;
+    const periodLine = `Period: ${periodLabel} (${format(startDate, 'MMM dd, yyyy')} - ${format(endDate, 'MMM dd, yyyy')})`;
+    const filtersLine = appliedFilters.length > 0 ? `Filters: ${appliedFilters.join(' | ')}` : null;
+    const filenameBase = `${view === 'lesson' ? 'lesson_' : ''}attendance_report_${periodLabel.replace(/[^\w]+/g, '_')}_${format(new Date(), 'yyyy-MM-dd')}`;
+
+    // The lesson view adds the period and subject before the status, the daily view the arrival
+    // and the reason given for an absence
+    const columns = [
+      { header: 'Student Name', width: 3 },
+      { header: 'Class', width: 2 },
+      { header: 'Grade', width: 1 },
+      { header: 'Date', width: 2 },
+      ...(view === 'lesson'
+        ? [{ header: 'Period', width: 1.5 }, { header: 'Subject', width: 2 }]
+        : [
+            { header: 'Check-in', width: 1.2 },
+            { header: 'Minutes Late', width: 1.2 },
+            { header: 'Reason', width: 2.5 }
+          ]),
+      { header: 'Status', width: 1.5 }
+    ];
+    const headers = columns.map(column => column.header);
+    const lastColumn = String.fromCharCode(64 + columns.length);
+    const toRow = (record, date) => [
+      record.students.name,
+      record.classes.class_name,
+      record.classes.grade,
+      date,
+      ...(view === 'lesson'
+        ? [record.bell_periods.name, record.subject || '']
+        : [
+            record.check_in_time ? record.check_in_time.slice(0, 5) : '',
+            record.minutes_late ?? '',
+            formatAbsenceReason(record)
+          ]),
+      record.status
+    ];
+    const tardiness = view === 'lesson' ? [] : summarizeTardiness(data);
+    const totalTardyMinutes = tardiness.reduce((sum, student) => sum + student.total_minutes, 0);
+
+    const statusCounts = data.reduce((acc, record) => {
+      acc[record.status] = (acc[record.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    const summary = data.length > 0
+      ? [
+          ...Object.entries(statusCounts).map(([status, count]) => [`${status}:`, count]),
+          ['Total Records:', data.length],
+          ['Instructional Days:', instructionalDays.length],
+          ...(view === 'lesson' ? [] : [['Total Minutes Late:', totalTardyMinutes]])
+        ]
+      : [];
+
+    if (format_type === 'csv') {
+      return await sendCsv(
+        res,
+        `${filenameBase}.csv`,
+        headers,
+        data,
+        record => toRow(record, record.date)
+      );
+    }
+
+    if (format_type === 'pdf') {
+      return sendPdf(res, `${filenameBase}.pdf`, {
+        title,
+        subtitles: [periodLine, filtersLine].filter(Boolean),
+        columns,
+        rows: data.map(record => toRow(record, format(new Date(record.date), 'MMM dd, yyyy'))),
+        statusColumn: columns.length - 1,
+        summary
+      });
+    }
+
     // Create Excel workbook
     const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Attendance Report');
+    const worksheet = workbook.addWorksheet(reportName);
 
     // Set up worksheet properties
     worksheet.properties.defaultRowHeight = 20;
 
     // Add title
-    const titleRow = worksheet.addRow(['Sunshine Elementary School - Attendance Report']);
+    const titleRow = worksheet.addRow([title]);
     titleRow.font = { size: 16, bold: true };
     titleRow.alignment = { horizontal: 'center' };
-    worksheet.mergeCells('A1:E1');
+    worksheet.mergeCells(`A1:${lastColumn}1`);
 
     // Add period info
-    const periodRow = worksheet.addRow([`Period: ${period.replace(/(\d+)/, '$1 ')} (${format(startDate, 'MMM dd, yyyy')} - ${format(endDate, 'MMM dd, yyyy')})`]);
+    const periodRow = worksheet.addRow([periodLine]);
     periodRow.font = { size: 12, italic: true };
     periodRow.alignment = { horizontal: 'center' };
-    worksheet.mergeCells('A2:E2');
+    worksheet.mergeCells(`A2:${lastColumn}2`);
+
+    // Add applied filters so a printed report shows what it covers
+    if (filtersLine) {
+      const filtersRow = worksheet.addRow([filtersLine]);
+      filtersRow.font = { size: 11, italic: true };
+      filtersRow.alignment = { horizontal: 'center' };
+      worksheet.mergeCells(`A${filtersRow.number}:${lastColumn}${filtersRow.number}`);
+    }
 
     // Add empty row
     worksheet.addRow([]);
 
     // Add headers
-    const headerRow = worksheet.addRow(['Student Name', 'Class', 'Grade', 'Date', 'Status']);
+    const headerRow = worksheet.addRow(headers);
     headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
     headerRow.fill = {
       type: 'pattern',
       pattern: 'solid',
-      fgColor: { argb: '4472C4' }
+      fgColor: { argb: HEADER_COLOR }
     };
     headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
 
     // Add data rows
-    data?.forEach((record, index) => {
-      const row = worksheet.addRow([
-        record.students.name,
-        record.students.classes.class_name,
-        record.students.classes.grade,
-        format(new Date(record.date), 'MMM dd, yyyy'),
-        record.status
-      ]);
+    data.forEach((record, index) => {
+      const row = worksheet.addRow(toRow(record, format(new Date(record.date), 'MMM dd, yyyy')));
 
       // Alternate row colors
       if (index % 2 === 0) {
         row.fill = {
           type: 'pattern',
           pattern: 'solid',
-          fgColor: { argb: 'F2F2F2' }
+          fgColor: { argb: STRIPE_COLOR }
         };
       }
 
       // Color code status
-      const statusCell = row.getCell(5);
-      switch (record.status) {
-        case 'Present':
-          statusCell.font = { color: { argb: '008000' }, bold: true };
-          break;
-        case 'Absent':
-          statusCell.font = { color: { argb: 'FF0000' }, bold: true };
-          break;
-        case 'Late':
-          statusCell.font = { color: { argb: 'FFA500' }, bold: true };
-          break;
-        case 'Excused':
-          statusCell.font = { color: { argb: '0000FF' }, bold: true };
-          break;
+      if (STATUS_COLORS[record.status]) {
+        row.getCell(columns.length).font = { color: { argb: STATUS_COLORS[record.status] }, bold: true };
       }
 
       row.alignment = { vertical: 'middle' };
@@ -162,8 +387,8 @@ router.get('/attendance', async (req, res) => {
 
     // Add borders to all cells with data
     const lastRow = worksheet.lastRow.number;
-    for (let row = 4; row <= lastRow; row++) {
-      for (let col = 1; col <= 5; col++) {
+    for (let row = headerRow.number; row <= lastRow; row++) {
+      for (let col = 1; col <= columns.length; col++) {
         const cell = worksheet.getCell(row, col);
         cell.border = {
           top: { style: 'thin' },
@@ -175,31 +400,47 @@ router.get('/attendance', async (req, res) => {
     }
 
     // Add summary at the bottom
-    if (data && data.length > 0) {
+    if (summary.length > 0) {
       worksheet.addRow([]);
       
       const summaryTitle = worksheet.addRow(['Summary Statistics']);
       summaryTitle.font = { bold: true, size: 14 };
-      
-      const statusCounts = data.reduce((acc, record) => {
-        acc[record.status] = (acc[record.status] || 0) + 1;
-        return acc;
-      }, {});
-
-      Object.entries(statusCounts).forEach(([status, count]) => {
-        const summaryRow = worksheet.addRow([`${status}:`, count]);
-        summaryRow.font = { bold: true };
+
+      summary.forEach((entry) => {
+        worksheet.addRow(entry).font = { bold: true };
       });
+    }
 
-      worksheet.addRow(['Total Records:', data.length]).font = { bold: true };
+    // Late arrivals and minutes late per student on their own sheet
+    if (tardiness.length > 0) {
+      const tardinessSheet = workbook.addWorksheet('Tardiness');
+      tardinessSheet.columns = [
+        { header: 'Student Name', key: 'name', width: 30 },
+        { header: 'Class', key: 'class_name', width: 20 },
+        { header: 'Times Late', key: 'late_count', width: 12 },
+        { header: 'Total Minutes Late', key: 'total_minutes', width: 20 }
+      ];
+      tardinessSheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFF' } };
+      tardinessSheet.getRow(1).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: HEADER_COLOR }
+      };
+      tardiness.forEach(student => tardinessSheet.addRow(student));
+      tardinessSheet.addRow([]);
+      const totalRow = tardinessSheet.addRow({
+        name: 'Total',
+        late_count: tardiness.reduce((sum, student) => sum + student.late_count, 0),
+        total_minutes: totalTardyMinutes
+      });
+      totalRow.font = { bold: true };
     }
 
     // Generate filename
-    const filename = `attendance_report_${period}_${format(new Date(), 'yyyy-MM-dd')}.xlsx`;
+    const filename = `${filenameBase}.xlsx`;
 
     // Set response headers
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    setDownloadHeaders(res, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', filename);
 
     // Write to response
     await workbook.xlsx.write(res);
@@ -207,17 +448,97 @@ router.get('/attendance', async (req, res) => {
 
   } catch (error) {
     console.error('Error exporting attendance:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to export attendance data'
+    sendExportError(res, 'Failed to export attendance data');
+  }
+});
+
+// GET /api/export/register - Monthly register for signing: one Excel sheet per class with
+// students down the side, days across the top and a status letter in each cell.
+// labels=id gives the Rekap Absensi Bulanan (H/S/I/A) instead of the English register.
+router.get('/register', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { error: validationError, value: filters } = registerExportSchema.validate({
+      ...req.query,
+      class_id: toList(req.query.class_id)
     });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    for (const classId of filters.class_id || []) {
+      if (!(await canAccessClass(req, classId))) {
+        return forbidden(res);
+      }
+    }
+
+    // The chosen classes, or every current class the caller may see
+    let classQuery = req.supabase
+      .from('classes')
+      .select('id, class_name, grade')
+      .order('grade')
+      .order('class_name');
+
+    if (filters.class_id) {
+      classQuery = classQuery.in('id', filters.class_id);
+    } else {
+      classQuery = classQuery.is('archived_at', null);
+    }
+    if (filters.grade) classQuery = classQuery.eq('grade', filters.grade);
+
+    const classIds = await getAssignedClassIds(req);
+    if (classIds) classQuery = classQuery.in('id', classIds);
+
+    const { data: classes, error } = await classQuery;
+    if (error) throw error;
+
+    if (classes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No classes to export'
+      });
+    }
+
+    // Schools using Indonesian labels get the Rekap Absensi Bulanan unless asked otherwise
+    const labels = filters.labels || (await getSchoolSettings(req)).status_labels;
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.calcProperties.fullCalcOnLoad = true; // totals are formulas
+    for (const schoolClass of classes) {
+      addRegisterSheet(workbook, await getClassRegister(req, schoolClass.id, filters.month), labels);
+    }
+
+    const prefix = labels === 'id' ? 'rekap_absensi' : 'register';
+    const filename = classes.length === 1
+      ? `${prefix}_${classes[0].class_name.replace(/[^\w]+/g, '_')}_${filters.month}.xlsx`
+      : `${prefix}_${filters.month}.xlsx`;
+
+    setDownloadHeaders(res, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', filename);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Error exporting register:', error);
+    sendExportError(res, 'Failed to export the register');
   }
 });
 
-// GET /api/export/students - Export students data to Excel
-router.get('/students', async (req, res) => {
+// GET /api/export/students - Export students data to Excel, CSV or PDF
+router.get('/students', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
-    const { class_id } = req.query;
+    const { class_id, format_type = 'excel' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `format_type must be one of ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (class_id && !(await canAccessClass(req, class_id))) {
+      return forbidden(res);
+    }
 
     let query = req.supabase
       .from('students')
@@ -233,50 +554,90 @@ router.get('/students', async (req, res) => {
 
     if (class_id) query = query.eq('class_id', class_id);
 
+    const classIds = await getAssignedClassIds(req);
+    if (classIds) query = query.in('class_id', classIds);
+
     const { data, error } = await query;
 
     if (error) throw error;
 
+    if (format_type === 'json') {
+      return res.json({
+        success: true,
+        data: data || []
+      });
+    }
+
+    const title = `${SCHOOL_NAME} - Students List`;
+    const filenameBase = `students_list_${format(new Date(), 'yyyy-MM-dd')}`;
+    const columns = ['Student Name', 'Class', 'Grade', 'Gender', 'Date of Birth', 'Age', 'Enrollment'];
+
+    // Students who have left stay in the export, marked with when they left
+    const enrollmentText = student => (
+      student.enrollment_status === 'active'
+        ? 'Active'
+        : `${student.enrollment_status.charAt(0).toUpperCase()}${student.enrollment_status.slice(1)} ${student.left_on}`
+    );
+
+    const toRow = (student) => {
+      const birthDate = new Date(student.date_of_birth);
+      const age = Math.floor((new Date() - birthDate) / (365.25 * 24 * 60 * 60 * 1000));
+
+      return [
+        student.name,
+        student.classes.class_name,
+        student.classes.grade,
+        student.gender,
+        format_type === 'csv' ? student.date_of_birth : format(birthDate, 'MMM dd, yyyy'),
+        age,
+        enrollmentText(student)
+      ];
+    };
+
+    if (format_type === 'csv') {
+      return await sendCsv(res, `${filenameBase}.csv`, columns, data || [], toRow);
+    }
+
+    const rows = (data || []).map(toRow);
+
+    if (format_type === 'pdf') {
+      return sendPdf(res, `${filenameBase}.pdf`, {
+        title,
+        columns: columns.map(header => ({ header, width: header === 'Student Name' ? 3 : 2 })),
+        rows
+      });
+    }
+
     // Create Excel workbook
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet('Students List');
 
     // Add title
-    const titleRow = worksheet.addRow(['Sunshine Elementary School - Students List']);
+    const titleRow = worksheet.addRow([title]);
     titleRow.font = { size: 16, bold: true };
     titleRow.alignment = { horizontal: 'center' };
-    worksheet.mergeCells('A1:F1');
+    worksheet.mergeCells('A1:G1');
 
     worksheet.addRow([]);
 
     // Add headers
-    const headerRow = worksheet.addRow(['Student Name', 'Class', 'Grade', 'Gender', 'Date of Birth', 'Age']);
+    const headerRow = worksheet.addRow(columns);
     headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
     headerRow.fill = {
       type: 'pattern',
       pattern: 'solid',
-      fgColor: { argb: '4472C4' }
+      fgColor: { argb: HEADER_COLOR }
     };
 
     // Add data
-    data?.forEach((student, index) => {
-      const birthDate = new Date(student.date_of_birth);
-      const age = Math.floor((new Date() - birthDate) / (365.25 * 24 * 60 * 60 * 1000));
-      
-      const row = worksheet.addRow([
-        student.name,
-        student.classes.class_name,
-        student.classes.grade,
-        student.gender,
-        format(birthDate, 'MMM dd, yyyy'),
-        age
-      ]);
+    rows.forEach((values, index) => {
+      const row = worksheet.addRow(values);
 
       if (index % 2 === 0) {
         row.fill = {
           type: 'pattern',
           pattern: 'solid',
-          fgColor: { argb: 'F2F2F2' }
+          fgColor: { argb: STRIPE_COLOR }
         };
       }
     });
@@ -293,7 +654,7 @@ router.get('/students', async (req, res) => {
       column.width = Math.min(maxLength + 2, 30);
     });
 
-    const filename = `students_list_${format(new Date(), 'yyyy-MM-dd')}.xlsx`;
+    const filename = `${filenameBase}.xlsx`;
 
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -303,10 +664,7 @@ router.get('/students', async (req, res) => {
 
   } catch (error) {
     console.error('Error exporting students:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to export students data'
-    });
+    sendExportError(res, 'Failed to export students data');
   }
 });
 
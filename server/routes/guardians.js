@@ -0,0 +1,259 @@
+import express from 'express';
+import Joi from 'joi';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { canAccessStudents, forbidden } from '../lib/access.js';
+import { NOTIFICATION_LANGUAGES } from '../lib/notifications/templates.js';
+
+const router = express.Router();
+
+// Validation schema for guardians (at least one way to reach them)
+const guardianSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  relation: Joi.string().max(50).allow('', null),
+  phone: Joi.string().pattern(/^\+?[0-9 ()-]{6,20}$/, 'phone number').allow('', null),
+  email: Joi.string().email().allow('', null),
+  preferred_language: Joi.string().valid(...NOTIFICATION_LANGUAGES).default('en'),
+  receives_notifications: Joi.boolean().default(true),
+  student_ids: Joi.array().items(Joi.string().uuid()).min(1).required()
+}).custom((value, helpers) => (
+  value.phone || value.email ? value : helpers.message('A phone number or an email address is required')
+));
+
+const GUARDIAN_SELECT = `
+  *,
+  student_guardians (
+    students (
+      id,
+      name,
+      classes (
+        id,
+        class_name,
+        grade
+      )
+    )
+  )
+`;
+
+// Flatten the join table into a plain list of students
+const withStudents = ({ student_guardians: links = [], ...guardian }) => ({
+  ...guardian,
+  students: links.map(link => link.students)
+});
+
+const toGuardianRow = ({ student_ids, ...guardian }) => ({
+  ...guardian,
+  relation: guardian.relation || null,
+  phone: guardian.phone || null,
+  email: guardian.email || null
+});
+
+const checkStudentsExist = async (req, studentIds) => {
+  const { data, error } = await req.supabase
+    .from('students')
+    .select('id')
+    .in('id', studentIds);
+
+  if (error) throw error;
+  return data.length === new Set(studentIds).size;
+};
+
+// GET /api/guardians - Get guardians, optionally for one student
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
+  try {
+    const { student_id } = req.query;
+
+    if (student_id && !(await canAccessStudents(req, [student_id]))) {
+      return forbidden(res);
+    }
+
+    let guardianIds = null;
+    if (student_id) {
+      const { data: links, error: linksError } = await req.supabase
+        .from('student_guardians')
+        .select('guardian_id')
+        .eq('student_id', student_id);
+
+      if (linksError) throw linksError;
+      guardianIds = links.map(link => link.guardian_id);
+    } else if (req.user.role === ROLES.TEACHER) {
+      return res.status(400).json({
+        success: false,
+        error: 'student_id is required'
+      });
+    }
+
+    let query = req.supabase
+      .from('guardians')
+      .select(GUARDIAN_SELECT)
+      .order('name');
+
+    if (guardianIds) query = query.in('id', guardianIds);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: (data || []).map(withStudents)
+    });
+  } catch (error) {
+    console.error('Error fetching guardians:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch guardians'
+    });
+  }
+});
+
+// POST /api/guardians - Create guardian linked to one or more students
+router.post('/', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = guardianSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    if (!(await checkStudentsExist(req, value.student_ids))) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more students not found'
+      });
+    }
+
+    const { data: guardian, error } = await req.supabase
+      .from('guardians')
+      .insert([toGuardianRow(value)])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: linkError } = await req.supabase
+      .from('student_guardians')
+      .insert(value.student_ids.map(student_id => ({ student_id, guardian_id: guardian.id })));
+
+    if (linkError) throw linkError;
+
+    res.status(201).json({
+      success: true,
+      data: guardian,
+      message: 'Guardian added successfully'
+    });
+  } catch (error) {
+    console.error('Error creating guardian:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create guardian'
+    });
+  }
+});
+
+// PUT /api/guardians/:id - Update guardian and the students they are linked to
+router.put('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = guardianSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    if (!(await checkStudentsExist(req, value.student_ids))) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more students not found'
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('guardians')
+      .update(toGuardianRow(value))
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Guardian not found'
+      });
+    }
+
+    // Replace the student links
+    const { error: unlinkError } = await req.supabase
+      .from('student_guardians')
+      .delete()
+      .eq('guardian_id', id)
+      .not('student_id', 'in', `(${value.student_ids.join(',')})`);
+
+    if (unlinkError) throw unlinkError;
+
+    const { error: linkError } = await req.supabase
+      .from('student_guardians')
+      .upsert(
+        value.student_ids.map(student_id => ({ student_id, guardian_id: id })),
+        { onConflict: 'student_id,guardian_id', ignoreDuplicates: true }
+      );
+
+    if (linkError) throw linkError;
+
+    res.json({
+      success: true,
+      data,
+      message: 'Guardian updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating guardian:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update guardian'
+    });
+  }
+});
+
+// DELETE /api/guardians/:id - Delete guardian (their notification log is kept)
+router.delete('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('guardians')
+      .delete()
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Guardian not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Guardian deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting guardian:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete guardian'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,119 @@
+import express from 'express';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { processNotificationQueue } from '../lib/notifications/queue.js';
+
+const router = express.Router();
+
+const NOTIFICATION_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// GET /api/notifications - Get the most recent guardian notifications and their delivery status
+router.get('/', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { status, student_id } = req.query;
+
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${NOTIFICATION_STATUSES.join(', ')}`
+      });
+    }
+
+    let query = req.supabase
+      .from('notifications')
+      .select(`
+        *,
+        students (
+          id,
+          name
+        ),
+        guardians (
+          id,
+          name,
+          relation
+        )
+      `)
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (status) query = query.eq('status', status);
+    if (student_id) query = query.eq('student_id', student_id);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: data || []
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications'
+    });
+  }
+});
+
+// POST /api/notifications/:id/retry - Queue a failed notification again
+router.post('/:id/retry', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('notifications')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', 'failed')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'No failed notification found with this id'
+      });
+    }
+
+    const result = await processNotificationQueue(req.supabase);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Notification queued again'
+    });
+  } catch (error) {
+    console.error('Error retrying notification:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry notification'
+    });
+  }
+});
+
+// POST /api/notifications/process - Deliver due notifications now instead of waiting for the worker
+router.post('/process', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await processNotificationQueue(req.supabase);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.sent} sent, ${result.retrying} will be retried`
+    });
+  } catch (error) {
+    console.error('Error processing notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process notifications'
+    });
+  }
+});
+
+export default router;
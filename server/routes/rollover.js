@@ -0,0 +1,289 @@
+import express from 'express';
+import Joi from 'joi';
+import { authorize, ROLES } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation schema for a rollover plan. Each current class either moves into an
+// existing class (to_class_id), into a class created by the rollover
+// (new_class_name + new_grade), or, with neither, leaves the school.
+const rolloverSchema = Joi.object({
+  to_academic_year_id: Joi.string().uuid().required(),
+  leaver_outcome: Joi.string().valid('graduated', 'withdrawn').default('graduated'),
+  classes: Joi.array().items(
+    Joi.object({
+      from_class_id: Joi.string().uuid().required(),
+      to_class_id: Joi.string().uuid().allow(null),
+      new_class_name: Joi.when('to_class_id', {
+        is: Joi.string().required(),
+        then: Joi.valid(null).messages({ 'any.only': 'Choose either an existing class or a new class name' }),
+        otherwise: Joi.string().min(1).max(50).allow(null)
+      }),
+      new_grade: Joi.when('new_class_name', {
+        is: Joi.string().required(),
+        then: Joi.number().integer().min(1).max(12).required(),
+        otherwise: Joi.valid(null)
+      })
+    })
+  ).min(1).required()
+});
+
+// "3A" in grade 3 becomes "4A" in grade 4; other names are kept as they are
+const nextClassName = (cls) => cls.class_name.replace(String(cls.grade), String(cls.grade + 1));
+
+// Classes still running this year: not archived and not already set up for the target year
+const getCurrentClasses = async (req, toAcademicYearId) => {
+  const { data, error } = await req.supabase
+    .from('classes')
+    .select('*')
+    .is('archived_at', null)
+    .order('grade', { ascending: true })
+    .order('class_name', { ascending: true });
+
+  if (error) throw error;
+
+  return {
+    currentClasses: data.filter(cls => cls.academic_year_id !== toAcademicYearId),
+    targetYearClasses: data.filter(cls => cls.academic_year_id === toAcademicYearId)
+  };
+};
+
+const findAcademicYear = async (req, id) => {
+  const { data, error } = await req.supabase
+    .from('academic_years')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Check a plan against the current classes and describe what applying it would do
+const buildRolloverPreview = async (req, plan) => {
+  const academicYear = await findAcademicYear(req, plan.to_academic_year_id);
+  if (!academicYear) {
+    return { notFound: 'Academic year not found' };
+  }
+
+  const { currentClasses, targetYearClasses } = await getCurrentClasses(req, plan.to_academic_year_id);
+  const currentById = new Map(currentClasses.map(cls => [cls.id, cls]));
+  const targetById = new Map(targetYearClasses.map(cls => [cls.id, cls]));
+
+  const { data: students, error } = await req.supabase
+    .from('students')
+    .select('id, class_id')
+    .eq('enrollment_status', 'active')
+    .in('class_id', currentClasses.map(cls => cls.id));
+
+  if (error) throw error;
+
+  const studentCounts = students.reduce((acc, student) => {
+    acc[student.class_id] = (acc[student.class_id] || 0) + 1;
+    return acc;
+  }, {});
+
+  const topGrade = Math.max(...currentClasses.map(cls => cls.grade));
+  const errors = [];
+  const warnings = [];
+  const mapped = new Set();
+  const newClassNames = new Set(targetYearClasses.map(cls => cls.class_name.toLowerCase()));
+
+  const classes = plan.classes.map((entry) => {
+    const from = currentById.get(entry.from_class_id);
+
+    if (!from) {
+      errors.push(`Class ${entry.from_class_id} is not a current class`);
+      return null;
+    }
+
+    if (mapped.has(from.id)) {
+      errors.push(`${from.class_name} is mapped more than once`);
+    }
+    mapped.add(from.id);
+
+    let target = null;
+    if (entry.to_class_id) {
+      target = targetById.get(entry.to_class_id);
+      if (!target) {
+        errors.push(`${from.class_name}: the target class must be a class of ${academicYear.name}`);
+      }
+    } else if (entry.new_class_name) {
+      if (newClassNames.has(entry.new_class_name.toLowerCase())) {
+        errors.push(`${from.class_name}: ${academicYear.name} already has a class named ${entry.new_class_name}`);
+      }
+      newClassNames.add(entry.new_class_name.toLowerCase());
+      target = { id: null, class_name: entry.new_class_name, grade: entry.new_grade, is_new: true };
+    }
+
+    if (target && target.grade !== from.grade + 1) {
+      warnings.push(`${from.class_name} (Grade ${from.grade}) moves to ${target.class_name} (Grade ${target.grade})`);
+    }
+    if (!target && from.grade !== topGrade) {
+      warnings.push(`${from.class_name} is not in the top grade but its students will be ${plan.leaver_outcome}`);
+    }
+
+    return {
+      from_class: from,
+      to_class: target,
+      student_count: studentCounts[from.id] || 0,
+      outcome: target ? 'promoted' : plan.leaver_outcome
+    };
+  }).filter(Boolean);
+
+  currentClasses
+    .filter(cls => !mapped.has(cls.id))
+    .forEach(cls => errors.push(`${cls.class_name} has not been mapped`));
+
+  return {
+    preview: {
+      academic_year: academicYear,
+      classes,
+      totals: {
+        promoted: classes.filter(c => c.to_class).reduce((sum, c) => sum + c.student_count, 0),
+        leaving: classes.filter(c => !c.to_class).reduce((sum, c) => sum + c.student_count, 0),
+        classes_created: classes.filter(c => c.to_class?.is_new).length,
+        classes_archived: classes.length
+      },
+      errors,
+      warnings
+    }
+  };
+};
+
+// GET /api/rollover/suggestion - Suggested plan: every class moves up a grade, the top grade leaves
+router.get('/suggestion', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { to_academic_year_id } = req.query;
+
+    const { error: validationError } = Joi.string().uuid().required().validate(to_academic_year_id);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'to_academic_year_id must be a valid id'
+      });
+    }
+
+    const { currentClasses, targetYearClasses } = await getCurrentClasses(req, to_academic_year_id);
+    const topGrade = Math.max(...currentClasses.map(cls => cls.grade));
+
+    const classes = currentClasses.map((cls) => {
+      if (cls.grade === topGrade) {
+        return { from_class_id: cls.id, to_class_id: null, new_class_name: null, new_grade: null };
+      }
+
+      const name = nextClassName(cls);
+      const existing = targetYearClasses.find(target => (
+        target.grade === cls.grade + 1 && target.class_name.toLowerCase() === name.toLowerCase()
+      ));
+
+      return existing
+        ? { from_class_id: cls.id, to_class_id: existing.id, new_class_name: null, new_grade: null }
+        : { from_class_id: cls.id, to_class_id: null, new_class_name: name, new_grade: cls.grade + 1 };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        to_academic_year_id,
+        leaver_outcome: 'graduated',
+        classes,
+        current_classes: currentClasses,
+        target_year_classes: targetYearClasses
+      }
+    });
+  } catch (error) {
+    console.error('Error building rollover suggestion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build rollover suggestion'
+    });
+  }
+});
+
+// POST /api/rollover/preview - Show what a rollover plan would do without changing anything
+router.post('/preview', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { error: validationError, value } = rolloverSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { notFound, preview } = await buildRolloverPreview(req, value);
+    if (notFound) {
+      return res.status(404).json({
+        success: false,
+        error: notFound
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Error previewing rollover:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview rollover'
+    });
+  }
+});
+
+// POST /api/rollover/apply - Promote students, graduate/withdraw leavers and archive last year's classes
+router.post('/apply', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { error: validationError, value } = rolloverSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    // Re-check the plan: the school may have changed since it was previewed
+    const { notFound, preview } = await buildRolloverPreview(req, value);
+    if (notFound) {
+      return res.status(404).json({
+        success: false,
+        error: notFound
+      });
+    }
+
+    if (preview.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: preview.errors[0],
+        data: preview
+      });
+    }
+
+    // Runs as one transaction in the database. Attendance keeps the class it was recorded in,
+    // so last year's days stay with the archived classes rather than following the students.
+    const { data, error } = await req.supabase.rpc('apply_year_rollover', {
+      p_to_academic_year_id: value.to_academic_year_id,
+      p_class_map: value.classes,
+      p_leaver_outcome: value.leaver_outcome,
+      p_promoted_by: req.user.id
+    });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      message: `Rolled over to ${preview.academic_year.name}: ${data.promoted} promoted, ${data.left} ${value.leaver_outcome}`
+    });
+  } catch (error) {
+    console.error('Error applying rollover:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply rollover'
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,18 @@
 import express from 'express';
+import { randomBytes } from 'crypto';
 import Joi from 'joi';
+import { format, parseISO, addDays, subYears } from 'date-fns';
+import { authorize, ROLES } from '../middleware/auth.js';
+import { readSpreadsheetRows, SPREADSHEET_EXTENSIONS } from '../lib/spreadsheets.js';
+import { ENROLLMENT_STATUSES, isEnrolledOn } from '../lib/enrollment.js';
+import { dateString } from '../lib/validation.js';
+import { getAssignedClassIds, canAccessClass, canAccessStudents, forbidden } from '../lib/access.js';
+import { sendStudentCards } from '../lib/cards.js';
+import { sendExportError } from '../lib/reports.js';
+import { getAcademicPeriod, getAcademicYearForDate } from '../lib/periods.js';
+import { getClosures, getInstructionalDays } from '../lib/calendar.js';
+import { summarizeStatuses, getPresentStreaks } from '../lib/studentStats.js';
+import { fetchAllRows } from '../lib/pagination.js';
 
 const router = express.Router();
 
@@ -11,10 +24,68 @@ const studentSchema = Joi.object({
   date_of_birth: Joi.date().max('now').required()
 });
 
-// GET /api/students - Get all students with class information
-router.get('/', async (req, res) => {
+// Validation schema for roster imports (file content is base64 encoded)
+const importSchema = Joi.object({
+  filename: Joi.string()
+    .pattern(new RegExp(`\\.(${SPREADSHEET_EXTENSIONS.join('|')})$`, 'i'))
+    .required()
+    .messages({ 'string.pattern.base': `File must be one of: ${SPREADSHEET_EXTENSIONS.map(ext => `.${ext}`).join(', ')}` }),
+  content: Joi.string().base64().required(),
+  dry_run: Joi.boolean().default(true)
+});
+
+// Roster columns: Name, Class, Gender, Date of Birth
+const IMPORT_COLUMNS = ['name', 'class', 'gender', 'date_of_birth'];
+
+// Validation schema for a student leaving the school
+const withdrawalSchema = Joi.object({
+  enrollment_status: Joi.string().valid(...ENROLLMENT_STATUSES.filter(status => status !== 'active')).required(),
+  left_on: dateString.required(),
+  withdrawal_reason: Joi.string().max(500).allow('', null)
+});
+
+// Validation schema for re-enrolling a student (a new class is needed if theirs was archived)
+const reinstateSchema = Joi.object({
+  class_id: Joi.string().uuid()
+});
+
+// Validation schema for the student summary's query string
+const summaryQuerySchema = Joi.object({
+  academic_year_id: Joi.string().uuid()
+});
+
+const RECENT_ABSENCES = 10;
+
+// The academic year running today, or the last twelve months when none is set up
+const getCurrentYear = async (req, today) => {
+  const year = await getAcademicYearForDate(req, today);
+  if (year) return getAcademicPeriod(req, { academic_year_id: year.id });
+
+  return {
+    type: 'rolling',
+    id: null,
+    label: 'Last 12 months',
+    start_date: format(addDays(subYears(parseISO(today), 1), 1), 'yyyy-MM-dd'),
+    end_date: today
+  };
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+
+// GET /api/students - Get students with class information
+// (active students unless ?status=withdrawn|transferred|graduated|all)
+router.get('/', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
-    const { data, error } = await req.supabase
+    const { status = 'active' } = req.query;
+
+    if (status !== 'all' && !ENROLLMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${[...ENROLLMENT_STATUSES, 'all'].join(', ')}`
+      });
+    }
+
+    let query = req.supabase
       .from('students')
       .select(`
         *,
@@ -26,6 +97,14 @@ router.get('/', async (req, res) => {
       `)
       .order('name');
 
+    if (status !== 'all') query = query.eq('enrollment_status', status);
+
+    // Teachers only see the students in their classes
+    const classIds = await getAssignedClassIds(req);
+    if (classIds) query = query.in('class_id', classIds);
+
+    const { data, error } = await query;
+
     if (error) throw error;
 
     res.json({
@@ -41,8 +120,64 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/students/cards - Printable ID cards for the check-in kiosk (?class_id= for a class, ?student_id= for one card)
+router.get('/cards', authorize(ROLES.ADMIN, ROLES.TEACHER), async (req, res) => {
+  try {
+    const { class_id, student_id } = req.query;
+
+    if (!class_id && !student_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'class_id or student_id is required'
+      });
+    }
+
+    if (class_id && !(await canAccessClass(req, class_id))) {
+      return forbidden(res);
+    }
+
+    if (student_id && !(await canAccessStudents(req, [student_id]))) {
+      return forbidden(res);
+    }
+
+    let query = req.supabase
+      .from('students')
+      .select(`
+        id,
+        name,
+        card_code,
+        classes (
+          class_name,
+          grade
+        )
+      `)
+      .eq('enrollment_status', 'active')
+      .order('name');
+
+    if (class_id) query = query.eq('class_id', class_id);
+    if (student_id) query = query.eq('id', student_id);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No enrolled students to print cards for'
+      });
+    }
+
+    const label = student_id ? data[0].name : data[0].classes?.class_name || 'class';
+    await sendStudentCards(res, `student_cards_${label.replace(/[^\w]+/g, '_')}.pdf`, data);
+  } catch (error) {
+    console.error('Error printing student cards:', error);
+    sendExportError(res, 'Failed to print student cards');
+  }
+});
+
 // GET /api/students/:id - Get single student
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -57,7 +192,7 @@ router.get('/:id', async (req, res) => {
         )
       `)
       .eq('id', id)
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
@@ -68,6 +203,10 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    if (!(await canAccessClass(req, data.class_id))) {
+      return forbidden(res, 'This student is not in one of your classes');
+    }
+
     res.json({
       success: true,
       data
@@ -81,8 +220,118 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/students/:id/summary - Profile of one student: class, guardians, and their
+// daily attendance across an academic year (the current one unless academic_year_id is given)
+router.get('/:id/summary', authorize(ROLES.ADMIN, ROLES.TEACHER, ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error: validationError, value } = summaryQuerySchema.validate(req.query);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { academic_year_id } = value;
+
+    const { data: student, error } = await req.supabase
+      .from('students')
+      .select(`
+        *,
+        classes (
+          id,
+          class_name,
+          grade
+        )
+      `)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (!(await canAccessClass(req, student.class_id))) {
+      return forbidden(res, 'This student is not in one of your classes');
+    }
+
+    const today = format(new Date(), 'yyyy-MM-dd');
+    const year = academic_year_id
+      ? await getAcademicPeriod(req, { academic_year_id })
+      : await getCurrentYear(req, today);
+
+    if (!year) {
+      return res.status(404).json({
+        success: false,
+        error: 'Academic year not found'
+      });
+    }
+
+    // Guardians' contact details are for staff who follow up, not read-only viewers
+    const guardiansQuery = req.user.role === ROLES.VIEWER
+      ? Promise.resolve({ data: null, error: null })
+      : req.supabase
+        .from('student_guardians')
+        .select('guardians (*)')
+        .eq('student_id', id);
+
+    const [{ data: attendance, error: attendanceError }, { data: links, error: guardiansError }, closures] = await Promise.all([
+      req.supabase
+        .from('attendance')
+        .select('id, date, status, check_in_time, minutes_late, absence_reason, absence_note')
+        .eq('student_id', id)
+        .gte('date', year.start_date)
+        .lte('date', year.end_date)
+        .order('date'),
+      guardiansQuery,
+      getClosures(req, year.start_date, year.end_date)
+    ]);
+
+    if (attendanceError) throw attendanceError;
+    if (guardiansError) throw guardiansError;
+
+    // Days so far that the student was expected in school, from the later of the start of the
+    // year and their enrolment (as the absenteeism alerts count them)
+    const enrolledFrom = student.created_at.split('T')[0];
+    const firstDay = year.start_date > enrolledFrom ? year.start_date : enrolledFrom;
+    const lastDay = year.end_date < today ? year.end_date : today;
+    const instructionalDays = getInstructionalDays(firstDay, lastDay, closures)
+      .filter(date => isEnrolledOn(student, date));
+
+    res.json({
+      success: true,
+      data: {
+        student,
+        guardians: links ? links.map(link => link.guardians) : null,
+        period: year,
+        closures,
+        attendance,
+        summary: summarizeStatuses(attendance, instructionalDays),
+        streaks: getPresentStreaks(attendance, instructionalDays),
+        recent_absences: attendance
+          .filter(record => ['Absent', 'Excused'].includes(record.status))
+          .slice(-RECENT_ABSENCES)
+          .reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching student summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch student summary'
+    });
+  }
+});
+
 // POST /api/students - Create new student
-router.post('/', async (req, res) => {
+router.post('/', authorize(ROLES.ADMIN), async (req, res) => {
   try {
     // Validate request body
     const { error: validationError, value } = studentSchema.validate(req.body);
@@ -93,11 +342,12 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Check if class exists
+    // Check if class exists (archived classes no longer take students)
     const { data: classExists } = await req.supabase
       .from('classes')
       .select('id')
       .eq('id', value.class_id)
+      .is('archived_at', null)
       .single();
 
     if (!classExists) {
@@ -137,8 +387,171 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /api/students/import - Validate a roster file and, unless dry_run, import its valid rows
+router.post('/import', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate request body
+    const { error: validationError, value } = importSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    let sheetRows;
+    try {
+      sheetRows = await readSpreadsheetRows(Buffer.from(value.content, 'base64'), value.filename);
+    } catch (parseError) {
+      console.error('Error reading roster file:', parseError);
+      return res.status(400).json({
+        success: false,
+        error: `Could not read ${value.filename}`
+      });
+    }
+
+    if (sheetRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The file has no student rows'
+      });
+    }
+
+    const missingColumns = IMPORT_COLUMNS.filter(column => !(column in sheetRows[0].values));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing column(s): ${missingColumns.join(', ')}. Expected headers: Name, Class, Gender, Date of Birth`
+      });
+    }
+
+    // Resolve class names (case-insensitive) to ids. Two current classes can share a name
+    // (4A in different grades), and then the file cannot say which one it means.
+    const { data: classes, error: classesError } = await req.supabase
+      .from('classes')
+      .select('id, class_name, grade')
+      .is('archived_at', null);
+
+    if (classesError) throw classesError;
+
+    const classesByName = new Map();
+    (classes || []).forEach((cls) => {
+      const name = cls.class_name.trim().toLowerCase();
+      classesByName.set(name, [...(classesByName.get(name) || []), cls]);
+    });
+
+    // Existing students, so re-importing the same roster does not duplicate anyone
+    const existingStudents = await fetchAllRows(() => req.supabase
+      .from('students')
+      .select('name, class_id, date_of_birth')
+      .order('id'));
+
+    const studentKey = student => [
+      student.name.trim().toLowerCase(),
+      student.class_id,
+      student.date_of_birth
+    ].join('|');
+    const existingKeys = new Set(existingStudents.map(studentKey));
+    const fileRowsByKey = new Map();
+
+    const report = sheetRows.map(({ row, values }) => {
+      const errors = [];
+      const matches = classesByName.get(values.class.toLowerCase()) || [];
+      const classId = matches.length === 1 ? matches[0].id : undefined;
+
+      if (!values.class) {
+        errors.push('Class is required');
+      } else if (matches.length > 1) {
+        errors.push(`Class "${values.class}" is ambiguous: it matches classes in grades ${matches.map(cls => cls.grade).join(', ')}`);
+      } else if (!classId) {
+        errors.push(`Class "${values.class}" not found`);
+      }
+
+      const { error: rowError, value: student } = studentSchema.validate({
+        name: values.name,
+        class_id: classId,
+        gender: values.gender ? capitalize(values.gender) : values.gender,
+        date_of_birth: values.date_of_birth
+      }, { abortEarly: false });
+
+      // Class problems are already reported by name above
+      if (rowError) {
+        errors.push(...rowError.details
+          .filter(detail => detail.path[0] !== 'class_id')
+          .map(detail => detail.message));
+      }
+
+      let record = null;
+      if (errors.length === 0) {
+        record = {
+          ...student,
+          date_of_birth: student.date_of_birth.toISOString().split('T')[0]
+        };
+
+        const key = studentKey(record);
+        if (existingKeys.has(key)) {
+          errors.push('Student already exists');
+          record = null;
+        } else if (fileRowsByKey.has(key)) {
+          errors.push(`Duplicate of row ${fileRowsByKey.get(key)}`);
+          record = null;
+        } else {
+          fileRowsByKey.set(key, row);
+        }
+      }
+
+      return {
+        row,
+        name: values.name,
+        class_name: values.class,
+        valid: errors.length === 0,
+        errors,
+        record
+      };
+    });
+
+    const validRecords = report.filter(entry => entry.valid).map(entry => entry.record);
+    const summary = {
+      dry_run: value.dry_run,
+      total_rows: report.length,
+      valid_rows: validRecords.length,
+      error_rows: report.length - validRecords.length,
+      imported: 0,
+      rows: report.map(({ record, ...entry }) => entry)
+    };
+
+    if (value.dry_run || validRecords.length === 0) {
+      return res.json({
+        success: true,
+        data: summary,
+        message: `${validRecords.length} of ${report.length} rows are ready to import`
+      });
+    }
+
+    // A single multi-row insert runs in one transaction: either every valid row is saved or none is
+    const { data: inserted, error } = await req.supabase
+      .from('students')
+      .insert(validRecords)
+      .select('id');
+
+    if (error) throw error;
+
+    res.status(201).json({
+      success: true,
+      data: { ...summary, imported: inserted.length },
+      message: `Imported ${inserted.length} student${inserted.length === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    console.error('Error importing students:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import students'
+    });
+  }
+});
+
 // PUT /api/students/:id - Update student
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize(ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -151,11 +564,12 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Check if class exists
+    // Check if class exists (archived classes no longer take students)
     const { data: classExists } = await req.supabase
       .from('classes')
       .select('id')
       .eq('id', value.class_id)
+      .is('archived_at', null)
       .single();
 
     if (!classExists) {
@@ -203,11 +617,186 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/students/:id - Delete student
-router.delete('/:id', async (req, res) => {
+// POST /api/students/:id/withdraw - Mark a student as withdrawn, transferred or graduated
+router.post('/:id/withdraw', authorize(ROLES.ADMIN), async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Validate request body
+    const { error: validationError, value } = withdrawalSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('students')
+      .update({
+        ...value,
+        withdrawal_reason: value.withdrawal_reason || null
+      })
+      .eq('id', id)
+      .eq('enrollment_status', 'active')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active student found with this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: `${data.name} is now ${data.enrollment_status}`
+    });
+  } catch (error) {
+    console.error('Error withdrawing student:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw student'
+    });
+  }
+});
+
+// POST /api/students/:id/reinstate - Re-enroll a student who had left
+router.post('/:id/reinstate', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate request body
+    const { error: validationError, value } = reinstateSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.details[0].message
+      });
+    }
+
+    const { data: student } = await req.supabase
+      .from('students')
+      .select('id, class_id, enrollment_status')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    if (student.enrollment_status === 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Student is already active'
+      });
+    }
+
+    const classId = value.class_id || student.class_id;
+
+    const { data: targetClass } = await req.supabase
+      .from('classes')
+      .select('id')
+      .eq('id', classId)
+      .is('archived_at', null)
+      .maybeSingle();
+
+    if (!targetClass) {
+      return res.status(400).json({
+        success: false,
+        error: value.class_id ? 'Class not found' : 'The student\'s class has been archived; choose a current class'
+      });
+    }
+
+    const { data, error } = await req.supabase
+      .from('students')
+      .update({
+        enrollment_status: 'active',
+        left_on: null,
+        withdrawal_reason: null,
+        class_id: classId
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data,
+      message: `${data.name} has been re-enrolled`
+    });
+  } catch (error) {
+    console.error('Error reinstating student:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reinstate student'
+    });
+  }
+});
+
+// POST /api/students/:id/card - Issue a replacement card; the old card stops working
+router.post('/:id/card', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await req.supabase
+      .from('students')
+      .update({ card_code: randomBytes(5).toString('hex').toUpperCase() })
+      .eq('id', id)
+      .select('id, name, card_code')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Student not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: `New card issued for ${data.name}; print it before the next check-in`
+    });
+  } catch (error) {
+    console.error('Error issuing student card:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue a new card'
+    });
+  }
+});
+
+// DELETE /api/students/:id - Delete a student entered by mistake (students who leave are withdrawn)
+router.delete('/:id', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Attendance is a school record: never delete it along with the student
+    const { data: attendance } = await req.supabase
+      .from('attendance')
+      .select('id')
+      .eq('student_id', id)
+      .limit(1);
+
+    if (attendance && attendance.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot delete a student with attendance records; withdraw them instead'
+      });
+    }
+
     const { data, error } = await req.supabase
       .from('students')
       .delete()
@@ -0,0 +1,32 @@
+// Sign a bearer token with SUPABASE_JWT_SECRET for testing the API offline
+// Usage: npm run token -- <role> [user-id] [email]
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { ROLES } from '../middleware/auth.js';
+
+dotenv.config();
+
+const [role = ROLES.ADMIN, userId = '00000000-0000-0000-0000-000000000000', email = `${role}@example.com`] = process.argv.slice(2);
+
+if (!process.env.SUPABASE_JWT_SECRET) {
+  console.error('SUPABASE_JWT_SECRET is not set. Add it to your .env file.');
+  process.exit(1);
+}
+
+if (!Object.values(ROLES).includes(role)) {
+  console.error(`Unknown role "${role}". Use one of: ${Object.values(ROLES).join(', ')}`);
+  process.exit(1);
+}
+
+const token = jwt.sign(
+  {
+    sub: userId,
+    email,
+    role: 'authenticated',
+    app_metadata: { role }
+  },
+  process.env.SUPABASE_JWT_SECRET,
+  { algorithm: 'HS256', expiresIn: '12h' }
+);
+
+console.log(token);
@@ -3,15 +3,39 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import Navbar from './components/Navbar';
 import Dashboard from './components/Dashboard';
 import AddStudent from './components/AddStudent';
+import ImportStudents from './components/ImportStudents';
+import Students from './components/Students';
+import Guardians from './components/Guardians';
 import AddClass from './components/AddClass';
 import RecordAttendance from './components/RecordAttendance';
 import AttendanceCharts from './components/AttendanceCharts';
 import ExportData from './components/ExportData';
-import { supabase } from './lib/supabase';
+import ClassAssignments from './components/ClassAssignments';
+import SchoolCalendar from './components/SchoolCalendar';
+import AcademicYears from './components/AcademicYears';
+import YearRollover from './components/YearRollover';
+import AlertRules from './components/AlertRules';
+import BellSchedule from './components/BellSchedule';
+import AbsenceExcuses from './components/AbsenceExcuses';
+import Kiosk from './components/Kiosk';
+import StudentProfile from './components/StudentProfile';
+import ClassRegister from './components/ClassRegister';
+import Login from './components/Login';
+import { supabase, auth } from './lib/supabase';
+import { isOfflineError, startSync } from './lib/offline';
 
 function App() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [session, setSession] = useState(null);
+
+  useEffect(() => {
+    auth.getSession()
+      .then(setSession)
+      .catch(err => console.error('Error loading session:', err));
+
+    return auth.onChange(setSession);
+  }, []);
 
   useEffect(() => {
     // Test Supabase connection
@@ -22,7 +46,10 @@ function App() {
         setLoading(false);
       } catch (err) {
         console.error('Supabase connection error:', err);
-        setError('Failed to connect to database. Please check your Supabase configuration.');
+        // Without a network the app still works from its offline cache
+        if (!isOfflineError(err)) {
+          setError('Failed to connect to database. Please check your Supabase configuration.');
+        }
         setLoading(false);
       }
     };
@@ -30,6 +57,9 @@ function App() {
     testConnection();
   }, []);
 
+  // Replay attendance saved while offline once the connection is back
+  useEffect(() => (session ? startSync() : undefined), [session]);
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -53,6 +83,10 @@ function App() {
     );
   }
 
+  if (!session) {
+    return <Login />;
+  }
+
   return (
     <Router>
       <div className="min-h-screen relative">
@@ -66,17 +100,30 @@ function App() {
           <div className="supply-item top-1/3 left-1/4 text-4xl" style={{animationDelay: '5s'}}>🎒</div>
         </div>
 
-        <Navbar />
+        <Navbar session={session} />
         
         <main className="relative z-10">
           <Routes>
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
-            <Route path="/dashboard" element={<Dashboard />} />
+            <Route path="/dashboard" element={<Dashboard role={auth.getRole(session)} />} />
+            <Route path="/students" element={<Students />} />
+            <Route path="/students/:id" element={<StudentProfile />} />
+            <Route path="/guardians" element={<Guardians />} />
             <Route path="/add-student" element={<AddStudent />} />
+            <Route path="/import-students" element={<ImportStudents />} />
             <Route path="/add-class" element={<AddClass />} />
             <Route path="/record-attendance" element={<RecordAttendance />} />
+            <Route path="/register" element={<ClassRegister role={auth.getRole(session)} />} />
+            <Route path="/excuses" element={<AbsenceExcuses role={auth.getRole(session)} />} />
+            <Route path="/kiosk" element={<Kiosk />} />
             <Route path="/charts" element={<AttendanceCharts />} />
             <Route path="/export" element={<ExportData />} />
+            <Route path="/assignments" element={<ClassAssignments />} />
+            <Route path="/calendar" element={<SchoolCalendar />} />
+            <Route path="/academic-years" element={<AcademicYears />} />
+            <Route path="/rollover" element={<YearRollover />} />
+            <Route path="/alert-rules" element={<AlertRules />} />
+            <Route path="/bell-schedule" element={<BellSchedule />} />
           </Routes>
         </main>
       </div>
@@ -0,0 +1,475 @@
+import React, { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+import { readAsBase64 } from '../lib/files';
+import { ABSENCE_REASONS } from '../lib/absenceReasons';
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Waiting for review' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' }
+];
+
+const STATUS_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+// Browsers leave the type of HEIC photos empty, so fall back to the extension
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  heic: 'image/heic'
+};
+
+const ACCEPTED_TYPES = Object.keys(CONTENT_TYPES).map(extension => `.${extension}`).join(',');
+
+const contentTypeOf = (file) => file.type || CONTENT_TYPES[file.name.split('.').pop().toLowerCase()] || '';
+
+const emptyExcuse = {
+  student_id: '',
+  guardian_id: '',
+  start_date: format(new Date(), 'yyyy-MM-dd'),
+  end_date: format(new Date(), 'yyyy-MM-dd'),
+  reason: 'sick',
+  note: ''
+};
+
+const formatRange = ({ start_date, end_date }) => (
+  start_date === end_date
+    ? format(parseISO(start_date), 'MMM dd, yyyy')
+    : `${format(parseISO(start_date), 'MMM dd')} – ${format(parseISO(end_date), 'MMM dd, yyyy')}`
+);
+
+const AbsenceExcuses = ({ role }) => {
+  const [excuses, setExcuses] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [guardians, setGuardians] = useState([]);
+  const [formData, setFormData] = useState(emptyExcuse);
+  const [files, setFiles] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  const isAdmin = role === 'admin';
+
+  useEffect(() => {
+    loadStudents();
+  }, []);
+
+  useEffect(() => {
+    loadExcuses();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadGuardians();
+  }, [formData.student_id]);
+
+  const loadStudents = async () => {
+    try {
+      const studentsData = await db.getStudents();
+      setStudents(studentsData);
+    } catch (err) {
+      console.error('Error loading students:', err);
+      setError('Failed to load students');
+    }
+  };
+
+  const loadExcuses = async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get('/excuses', { status: statusFilter });
+      setExcuses(data);
+    } catch (err) {
+      console.error('Error loading excuses:', err);
+      setError(err.message || 'Failed to load excuses');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The parent who handed the excuse in, when they are on file
+  const loadGuardians = async () => {
+    if (!formData.student_id) {
+      setGuardians([]);
+      return;
+    }
+
+    try {
+      const { data } = await api.get('/guardians', { student_id: formData.student_id });
+      setGuardians(data);
+    } catch (err) {
+      console.error('Error loading guardians:', err);
+      setGuardians([]);
+    }
+  };
+
+  // Run a save/review/delete call, then refresh the list and report the outcome
+  const runAction = async (action, onSuccess) => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { message } = await action();
+      await loadExcuses();
+      setSuccess(message);
+      onSuccess?.();
+    } catch (err) {
+      console.error('Error updating excuse:', err);
+      setError(err.message || 'Failed to save the excuse');
+      await loadExcuses();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+      ...(name === 'student_id' && { guardian_id: '' }),
+      ...(name === 'start_date' && formData.end_date < value && { end_date: value })
+    });
+  };
+
+  // Submit the excuse, then upload its documents one by one
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const { data: excuse, message } = await api.post('/excuses', {
+        ...formData,
+        guardian_id: formData.guardian_id || null
+      });
+
+      for (const file of files) {
+        await api.post(`/excuses/${excuse.id}/attachments`, {
+          filename: file.name,
+          content_type: contentTypeOf(file),
+          content: await readAsBase64(file)
+        });
+      }
+
+      return {
+        message: files.length > 0 ? `${message} with ${files.length} document${files.length === 1 ? '' : 's'}` : message
+      };
+    }, () => {
+      setFormData(emptyExcuse);
+      setFiles([]);
+      e.target.reset();
+    });
+  };
+
+  const handleReview = (excuse, action) => {
+    const reviewNote = window.prompt(
+      action === 'approve'
+        ? `Approve the excuse for ${excuse.students.name}? The days it covers will be marked Excused. Optional note:`
+        : `Reject the excuse for ${excuse.students.name}? Optional note:`
+    );
+    if (reviewNote === null) return;
+    runAction(() => api.post(`/excuses/${excuse.id}/${action}`, { review_note: reviewNote }));
+  };
+
+  const handleWithdraw = (excuse) => {
+    if (!window.confirm(`Withdraw the excuse for ${excuse.students.name}? Its documents are deleted too.`)) return;
+    runAction(() => api.delete(`/excuses/${excuse.id}`));
+  };
+
+  const handleRemoveDocument = (excuse, attachment) => {
+    if (!window.confirm(`Remove ${attachment.file_name}?`)) return;
+    runAction(() => api.delete(`/excuses/${excuse.id}/attachments/${attachment.id}`));
+  };
+
+  const handleDownload = async (excuse, attachment) => {
+    try {
+      setError('');
+      await api.download(`/excuses/${excuse.id}/attachments/${attachment.id}`, {}, attachment.file_name);
+    } catch (err) {
+      console.error('Error downloading document:', err);
+      setError(err.message || 'Failed to download the document');
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">📄</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Absence Excuses</h1>
+            <p className="text-gray-600">
+              Enter the notes and doctor's letters parents hand in; once the office approves one, the days it covers are marked Excused
+            </p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="student_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                Student *
+              </label>
+              <select
+                id="student_id"
+                name="student_id"
+                value={formData.student_id}
+                onChange={handleChange}
+                className="form-select"
+                required
+              >
+                <option value="">Select a student</option>
+                {students.map((student) => (
+                  <option key={student.id} value={student.id}>
+                    {student.name} ({student.classes?.class_name})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="guardian_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                Handed in by
+              </label>
+              <select
+                id="guardian_id"
+                name="guardian_id"
+                value={formData.guardian_id}
+                onChange={handleChange}
+                className="form-select"
+                disabled={guardians.length === 0}
+              >
+                <option value="">{guardians.length === 0 ? 'No guardians on file' : 'Not recorded'}</option>
+                {guardians.map((guardian) => (
+                  <option key={guardian.id} value={guardian.id}>
+                    {guardian.name}{guardian.relation ? ` (${guardian.relation})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="start_date" className="block text-sm font-semibold text-gray-700 mb-2">
+                From *
+              </label>
+              <input
+                type="date"
+                id="start_date"
+                name="start_date"
+                value={formData.start_date}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="end_date" className="block text-sm font-semibold text-gray-700 mb-2">
+                To *
+              </label>
+              <input
+                type="date"
+                id="end_date"
+                name="end_date"
+                value={formData.end_date}
+                min={formData.start_date}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="reason" className="block text-sm font-semibold text-gray-700 mb-2">
+                Reason *
+              </label>
+              <select
+                id="reason"
+                name="reason"
+                value={formData.reason}
+                onChange={handleChange}
+                className="form-select"
+              >
+                {Object.entries(ABSENCE_REASONS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="documents" className="block text-sm font-semibold text-gray-700 mb-2">
+                Documents (PDF or photo, up to 3 MB each)
+              </label>
+              <input
+                type="file"
+                id="documents"
+                accept={ACCEPTED_TYPES}
+                multiple
+                onChange={(e) => setFiles(Array.from(e.target.files))}
+                className="form-input"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label htmlFor="note" className="block text-sm font-semibold text-gray-700 mb-2">
+                Note
+              </label>
+              <textarea
+                id="note"
+                name="note"
+                value={formData.note}
+                onChange={handleChange}
+                className="form-input"
+                rows={2}
+                maxLength={1000}
+                placeholder="e.g., Flu, back on Monday"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <button
+                type="submit"
+                disabled={saving}
+                className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : '✅ Submit Excuse'}
+              </button>
+            </div>
+          </form>
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <h2 className="text-2xl font-bold text-gray-800">Excuses</h2>
+            <div className="flex flex-wrap gap-2">
+              {STATUS_FILTERS.map((filter) => (
+                <button
+                  key={filter.value}
+                  type="button"
+                  onClick={() => setStatusFilter(filter.value)}
+                  className={`px-3 py-1 rounded-full text-sm font-semibold btn-bounce ${
+                    statusFilter === filter.value ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {filter.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="spinner mx-auto mb-4"></div>
+              <p className="text-gray-600">Loading excuses...</p>
+            </div>
+          ) : excuses.length === 0 ? (
+            <p className="text-gray-500">No excuses here</p>
+          ) : (
+            <ul className="space-y-3">
+              {excuses.map((excuse) => (
+                <li key={excuse.id} className="p-4 rounded-2xl bg-gray-50">
+                  <div className="flex flex-wrap items-start justify-between gap-4">
+                    <div>
+                      <p className="font-semibold text-gray-800">
+                        {excuse.students.name}
+                        <span className="ml-2 text-sm font-normal text-gray-500">{excuse.students.classes?.class_name}</span>
+                      </p>
+                      <p className="text-sm text-gray-700">
+                        {formatRange(excuse)} · <span className="font-semibold">{ABSENCE_REASONS[excuse.reason]}</span>
+                        {excuse.note && <span> · {excuse.note}</span>}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {excuse.guardians ? `From ${excuse.guardians.name}` : 'Entered'} by {excuse.submitted_by_email || 'staff'}
+                        {excuse.reviewed_at && (
+                          <> · {excuse.status} by {excuse.reviewed_by_email} on {format(new Date(excuse.reviewed_at), 'MMM dd, yyyy')}</>
+                        )}
+                        {excuse.review_note && <> · “{excuse.review_note}”</>}
+                      </p>
+                    </div>
+                    <span className={`px-3 py-1 rounded-full text-sm font-semibold ${STATUS_BADGES[excuse.status]}`}>
+                      {excuse.status}
+                    </span>
+                  </div>
+
+                  {excuse.excuse_attachments.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {excuse.excuse_attachments.map((attachment) => (
+                        <span key={attachment.id} className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-white border border-gray-200">
+                          <button
+                            type="button"
+                            onClick={() => handleDownload(excuse, attachment)}
+                            className="text-blue-600 hover:underline font-semibold"
+                          >
+                            📎 {attachment.file_name}
+                          </button>
+                          {role !== 'viewer' && (
+                            <button
+                              type="button"
+                              onClick={() => handleRemoveDocument(excuse, attachment)}
+                              disabled={saving}
+                              className="ml-2 text-red-600 hover:text-red-800"
+                              aria-label={`Remove ${attachment.file_name}`}
+                            >
+                              ✕
+                            </button>
+                          )}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  {excuse.status === 'pending' && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {isAdmin && (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => handleReview(excuse, 'approve')}
+                            disabled={saving}
+                            className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-green-50 text-green-700 hover:bg-green-100"
+                          >
+                            Approve
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleReview(excuse, 'reject')}
+                            disabled={saving}
+                            className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                          >
+                            Reject
+                          </button>
+                        </>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleWithdraw(excuse)}
+                        disabled={saving}
+                        className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-gray-100 text-gray-700 hover:bg-gray-200"
+                      >
+                        Withdraw
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AbsenceExcuses;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Turn a select value from AcademicPeriodOptions into API query parameters.
+// Plain values (rolling presets) are sent under presetKey.
+export const toPeriodParams = (value, presetKey) => {
+  const [kind, id] = String(value).split(':');
+
+  if (kind === 'term') return { term_id: id };
+  if (kind === 'year') return { academic_year_id: id };
+  return { [presetKey]: value };
+};
+
+// <optgroup>s offering each academic year and its terms inside a period <select>
+const AcademicPeriodOptions = ({ academicYears }) => (
+  <>
+    {academicYears.map((year) => (
+      <optgroup key={year.id} label={`Academic Year ${year.name}`}>
+        <option value={`year:${year.id}`}>Whole year {year.name}</option>
+        {year.terms.map((term) => (
+          <option key={term.id} value={`term:${term.id}`}>
+            {term.name} {year.name}
+          </option>
+        ))}
+      </optgroup>
+    ))}
+  </>
+);
+
+export default AcademicPeriodOptions;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { api } from '../lib/api';
+
+const TERM_TYPES = [
+  { value: 'semester', label: 'Semester' },
+  { value: 'quarter', label: 'Quarter' },
+  { value: 'trimester', label: 'Trimester' }
+];
+
+const emptyYear = {
+  name: '',
+  start_date: '',
+  end_date: ''
+};
+
+const emptyTerm = {
+  name: '',
+  term_type: 'semester',
+  start_date: '',
+  end_date: ''
+};
+
+const formatRange = (start, end) => (
+  `${format(new Date(start), 'MMM dd, yyyy')} – ${format(new Date(end), 'MMM dd, yyyy')}`
+);
+
+const AcademicYears = () => {
+  const [academicYears, setAcademicYears] = useState([]);
+  const [yearForm, setYearForm] = useState(emptyYear);
+  const [termForms, setTermForms] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadAcademicYears();
+  }, []);
+
+  const loadAcademicYears = async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get('/academic-years');
+      setAcademicYears(data);
+    } catch (err) {
+      console.error('Error loading academic years:', err);
+      setError(err.message || 'Failed to load academic years');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a create/delete call, then refresh the list and report the outcome
+  const runAction = async (action, onSuccess) => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { message } = await action();
+      await loadAcademicYears();
+      setSuccess(message);
+      onSuccess?.();
+    } catch (err) {
+      console.error('Error updating academic calendar:', err);
+      setError(err.message || 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateYear = (e) => {
+    e.preventDefault();
+    runAction(
+      () => api.post('/academic-years', yearForm),
+      () => setYearForm(emptyYear)
+    );
+  };
+
+  const handleCreateTerm = (e, yearId) => {
+    e.preventDefault();
+    runAction(
+      () => api.post(`/academic-years/${yearId}/terms`, termForms[yearId] || emptyTerm),
+      () => setTermForms({ ...termForms, [yearId]: emptyTerm })
+    );
+  };
+
+  const handleDeleteYear = (year) => {
+    if (!window.confirm(`Delete academic year ${year.name} and all of its terms?`)) return;
+    runAction(() => api.delete(`/academic-years/${year.id}`));
+  };
+
+  const handleDeleteTerm = (term) => {
+    if (!window.confirm(`Delete ${term.name}?`)) return;
+    runAction(() => api.delete(`/academic-years/terms/${term.id}`));
+  };
+
+  const handleYearChange = (e) => {
+    setYearForm({
+      ...yearForm,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleTermChange = (yearId, e) => {
+    setTermForms({
+      ...termForms,
+      [yearId]: {
+        ...(termForms[yearId] || emptyTerm),
+        [e.target.name]: e.target.value
+      }
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex items-center justify-center min-h-96">
+          <div className="text-center">
+            <div className="spinner mx-auto mb-4"></div>
+            <p className="text-lg font-semibold text-gray-600">Loading academic years...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">🗓️</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Academic Years & Terms</h1>
+            <p className="text-gray-600">Define the real term boundaries used by reports, charts and exports</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleCreateYear} className="grid md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label htmlFor="name" className="block text-sm font-semibold text-gray-700 mb-2">
+                Academic Year *
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={yearForm.name}
+                onChange={handleYearChange}
+                className="form-input"
+                placeholder="e.g., 2025/2026"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="start_date" className="block text-sm font-semibold text-gray-700 mb-2">
+                Starts *
+              </label>
+              <input
+                type="date"
+                id="start_date"
+                name="start_date"
+                value={yearForm.start_date}
+                onChange={handleYearChange}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="end_date" className="block text-sm font-semibold text-gray-700 mb-2">
+                Ends *
+              </label>
+              <input
+                type="date"
+                id="end_date"
+                name="end_date"
+                value={yearForm.end_date}
+                onChange={handleYearChange}
+                className="form-input"
+                min={yearForm.start_date}
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              ✅ Add Year
+            </button>
+          </form>
+        </div>
+
+        <div className="space-y-6">
+          {academicYears.map((year) => {
+            const termForm = termForms[year.id] || emptyTerm;
+
+            return (
+              <div key={year.id} className="bg-white/90 backdrop-blur-sm rounded-2xl p-6 shadow-xl">
+                <div className="flex items-start justify-between mb-4">
+                  <div>
+                    <h2 className="text-2xl font-bold text-gray-800">{year.name}</h2>
+                    <p className="text-gray-600">{formatRange(year.start_date, year.end_date)}</p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleDeleteYear(year)}
+                    className="px-4 py-2 rounded-full font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                  >
+                    Delete Year
+                  </button>
+                </div>
+
+                {year.terms.length === 0 ? (
+                  <p className="text-gray-500 mb-4">No terms yet</p>
+                ) : (
+                  <ul className="space-y-2 mb-4">
+                    {year.terms.map((term) => (
+                      <li key={term.id} className="flex items-center justify-between p-3 rounded-xl bg-gray-50">
+                        <div>
+                          <span className="font-semibold text-gray-800">{term.name}</span>
+                          <span className="ml-3 px-3 py-1 rounded-full text-sm font-semibold bg-blue-100 text-blue-800">
+                            {TERM_TYPES.find(t => t.value === term.term_type).label}
+                          </span>
+                          <span className="ml-3 text-sm text-gray-600">{formatRange(term.start_date, term.end_date)}</span>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteTerm(term)}
+                          className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                        >
+                          Delete
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <form onSubmit={(e) => handleCreateTerm(e, year.id)} className="grid md:grid-cols-5 gap-3 items-end">
+                  <input
+                    type="text"
+                    name="name"
+                    value={termForm.name}
+                    onChange={(e) => handleTermChange(year.id, e)}
+                    className="form-input"
+                    placeholder="Term name"
+                    required
+                  />
+                  <select
+                    name="term_type"
+                    value={termForm.term_type}
+                    onChange={(e) => handleTermChange(year.id, e)}
+                    className="form-select"
+                  >
+                    {TERM_TYPES.map((type) => (
+                      <option key={type.value} value={type.value}>
+                        {type.label}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="date"
+                    name="start_date"
+                    value={termForm.start_date}
+                    onChange={(e) => handleTermChange(year.id, e)}
+                    className="form-input"
+                    min={year.start_date}
+                    max={year.end_date}
+                    required
+                  />
+                  <input
+                    type="date"
+                    name="end_date"
+                    value={termForm.end_date}
+                    onChange={(e) => handleTermChange(year.id, e)}
+                    className="form-input"
+                    min={termForm.start_date || year.start_date}
+                    max={year.end_date}
+                    required
+                  />
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="btn-success disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    ➕ Add Term
+                  </button>
+                </form>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcademicYears;
@@ -1,15 +1,32 @@
-import React, { useState } from 'react';
-import { db } from '../lib/supabase';
+import React, { useState, useEffect } from 'react';
+import { api } from '../lib/api';
+
+const emptyForm = {
+  class_name: '',
+  grade: '',
+  academic_year_id: ''
+};
 
 const AddClass = () => {
-  const [formData, setFormData] = useState({
-    class_name: '',
-    grade: ''
-  });
+  const [formData, setFormData] = useState(emptyForm);
+  const [academicYears, setAcademicYears] = useState([]);
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState('');
   const [error, setError] = useState('');
 
+  useEffect(() => {
+    loadAcademicYears();
+  }, []);
+
+  const loadAcademicYears = async () => {
+    try {
+      const { data } = await api.get('/academic-years');
+      setAcademicYears(data);
+    } catch (err) {
+      console.error('Error loading academic years:', err);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -27,16 +44,14 @@ const AddClass = () => {
 
       const classData = {
         class_name: formData.class_name.trim(),
-        grade: parseInt(formData.grade)
+        grade: parseInt(formData.grade),
+        academic_year_id: formData.academic_year_id || null
       };
 
-      await db.createClass(classData);
+      await api.post('/classes', classData);
       
       setSuccess('Class created successfully! 🎉');
-      setFormData({
-        class_name: '',
-        grade: ''
-      });
+      setFormData(emptyForm);
     } catch (err) {
       console.error('Error creating class:', err);
       setError(err.message || 'Failed to create class');
@@ -117,6 +132,29 @@ const AddClass = () => {
               </select>
             </div>
 
+            <div>
+              <label htmlFor="academic_year_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                Academic Year
+              </label>
+              <select
+                id="academic_year_id"
+                name="academic_year_id"
+                value={formData.academic_year_id}
+                onChange={handleChange}
+                className="form-select"
+              >
+                <option value="">Not tied to a year</option>
+                {academicYears.map((year) => (
+                  <option key={year.id} value={year.id}>
+                    Academic Year {year.name}
+                  </option>
+                ))}
+              </select>
+              <p className="text-sm text-gray-500 mt-1">
+                Pick next year to set up its classes before the rollover; names only need to be unique within a year
+              </p>
+            </div>
+
             <div className="bg-blue-50 border border-blue-200 rounded-xl p-4">
               <h3 className="font-semibold text-blue-800 mb-2">💡 Class Naming Tips:</h3>
               <ul className="text-sm text-blue-700 space-y-1">
@@ -145,10 +183,7 @@ const AddClass = () => {
               <button
                 type="button"
                 onClick={() => {
-                  setFormData({
-                    class_name: '',
-                    grade: ''
-                  });
+                  setFormData(emptyForm);
                   setError('');
                   setSuccess('');
                 }}
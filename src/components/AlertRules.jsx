@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../lib/api';
+
+const METRICS = {
+  absence_rate: { label: 'Share of school days missed', unit: '%', comparison: 'more than' },
+  absence_count: { label: 'Number of absences', unit: 'days', comparison: 'at least' },
+  consecutive_absences: { label: 'Absences in a row', unit: 'days', comparison: 'at least' }
+};
+
+const emptyRule = {
+  name: '',
+  metric: 'absence_rate',
+  threshold: 10,
+  window_days: '',
+  is_active: true
+};
+
+const describeRule = (rule) => {
+  const metric = METRICS[rule.metric];
+  const window = rule.window_days ? `in the last ${rule.window_days} days` : 'this academic year';
+  return `${metric.label} ${metric.comparison} ${Number(rule.threshold)} ${metric.unit} ${window}`;
+};
+
+const AlertRules = () => {
+  const [rules, setRules] = useState([]);
+  const [formData, setFormData] = useState(emptyRule);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get('/alerts/rules');
+      setRules(data);
+    } catch (err) {
+      console.error('Error loading alert rules:', err);
+      setError(err.message || 'Failed to load alert rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toPayload = (rule) => ({
+    name: rule.name,
+    metric: rule.metric,
+    threshold: Number(rule.threshold),
+    window_days: rule.window_days ? parseInt(rule.window_days, 10) : null,
+    is_active: rule.is_active
+  });
+
+  // Run a save/delete call, then refresh the rules and report the outcome
+  const runAction = async (action, onSuccess) => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { message } = await action();
+      // Apply the changed rules now rather than at the next background evaluation
+      await api.post('/alerts/evaluate');
+      await loadRules();
+      setSuccess(message);
+      onSuccess?.();
+    } catch (err) {
+      console.error('Error saving alert rule:', err);
+      setError(err.message || 'Failed to save the alert rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyRule);
+    setEditingId(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runAction(
+      () => (editingId
+        ? api.put(`/alerts/rules/${editingId}`, toPayload(formData))
+        : api.post('/alerts/rules', toPayload(formData))),
+      resetForm
+    );
+  };
+
+  const handleEdit = (rule) => {
+    setEditingId(rule.id);
+    setFormData({
+      name: rule.name,
+      metric: rule.metric,
+      threshold: Number(rule.threshold),
+      window_days: rule.window_days || '',
+      is_active: rule.is_active
+    });
+  };
+
+  const handleToggle = (rule) => {
+    runAction(() => api.put(`/alerts/rules/${rule.id}`, toPayload({ ...rule, is_active: !rule.is_active })));
+  };
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete "${rule.name}"? Its alerts and follow-up notes are deleted too.`)) return;
+    runAction(() => api.delete(`/alerts/rules/${rule.id}`));
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">🚨</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Alert Rules</h1>
+            <p className="text-gray-600">Students who meet any active rule show up as at-risk on the dashboard</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="grid md:grid-cols-2 gap-4">
+            <div className="md:col-span-2">
+              <label htmlFor="name" className="block text-sm font-semibold text-gray-700 mb-2">
+                Rule Name *
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="e.g., Chronic absence"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="metric" className="block text-sm font-semibold text-gray-700 mb-2">
+                Measure
+              </label>
+              <select
+                id="metric"
+                name="metric"
+                value={formData.metric}
+                onChange={handleChange}
+                className="form-select"
+              >
+                {Object.entries(METRICS).map(([value, metric]) => (
+                  <option key={value} value={value}>
+                    {metric.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="threshold" className="block text-sm font-semibold text-gray-700 mb-2">
+                Alert when {METRICS[formData.metric].comparison} ({METRICS[formData.metric].unit}) *
+              </label>
+              <input
+                type="number"
+                id="threshold"
+                name="threshold"
+                min="1"
+                max={formData.metric === 'absence_rate' ? 100 : undefined}
+                step={formData.metric === 'absence_rate' ? '0.1' : '1'}
+                value={formData.threshold}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="window_days" className="block text-sm font-semibold text-gray-700 mb-2">
+                Look back (days)
+              </label>
+              <input
+                type="number"
+                id="window_days"
+                name="window_days"
+                min="1"
+                max="366"
+                value={formData.window_days}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="Academic year so far"
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-sm text-gray-700 mb-3">
+                <input
+                  type="checkbox"
+                  name="is_active"
+                  checked={formData.is_active}
+                  onChange={handleChange}
+                  className="mr-2"
+                />
+                Active
+              </label>
+            </div>
+            <div className="md:col-span-2 flex space-x-4">
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {editingId ? '💾 Save Rule' : '✅ Add Rule'}
+              </button>
+              {editingId && (
+                <button type="button" onClick={resetForm} className="flex-1 btn-secondary">
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Rules</h2>
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="spinner mx-auto mb-4"></div>
+              <p className="text-gray-600">Loading rules...</p>
+            </div>
+          ) : rules.length === 0 ? (
+            <p className="text-gray-500">No rules yet, so no students will be flagged</p>
+          ) : (
+            <ul className="space-y-2">
+              {rules.map((rule) => (
+                <li key={rule.id} className="flex items-center justify-between p-3 rounded-xl bg-gray-50">
+                  <div>
+                    <span className="font-semibold text-gray-800">{rule.name}</span>
+                    {!rule.is_active && (
+                      <span className="ml-3 px-3 py-1 rounded-full text-sm font-semibold bg-gray-200 text-gray-700">
+                        Paused
+                      </span>
+                    )}
+                    <div className="text-sm text-gray-600">{describeRule(rule)}</div>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(rule)}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-blue-50 text-blue-700 hover:bg-blue-100"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleToggle(rule)}
+                      disabled={saving}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-gray-100 text-gray-700 hover:bg-gray-200"
+                    >
+                      {rule.is_active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(rule)}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertRules;
@@ -0,0 +1,377 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  ArcElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Bar, Doughnut } from 'react-chartjs-2';
+import { format } from 'date-fns';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+import { SIA_LABELS, SIA_CODES } from '../lib/sia';
+import AcademicPeriodOptions, { toPeriodParams } from './AcademicPeriodOptions';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, ArcElement, Tooltip, Legend);
+
+const STATUS_COLORS = {
+  Present: '#22C55E',
+  Absent: '#EF4444',
+  Late: '#EAB308',
+  Excused: '#3B82F6'
+};
+
+const SIA_COLORS = {
+  H: '#22C55E',
+  S: '#A855F7',
+  I: '#3B82F6',
+  A: '#EF4444'
+};
+
+const DAY_WINDOWS = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 14, label: 'Last 14 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 60, label: 'Last 60 days' },
+  { value: 90, label: 'Last 90 days' }
+];
+
+const AttendanceCharts = () => {
+  const [classes, setClasses] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [academicYears, setAcademicYears] = useState([]);
+  const [filters, setFilters] = useState({
+    class_id: '',
+    student_id: '',
+    period: 30
+  });
+  const [labels, setLabels] = useState('en');
+  const [chartData, setChartData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadClasses();
+    loadAcademicYears();
+    loadStatusLabels();
+  }, []);
+
+  useEffect(() => {
+    loadStudents();
+  }, [filters.class_id]);
+
+  useEffect(() => {
+    loadChartData();
+  }, [filters]);
+
+  const loadClasses = async () => {
+    try {
+      const classesData = await db.getClasses();
+      setClasses(classesData);
+    } catch (err) {
+      console.error('Error loading classes:', err);
+      setError('Failed to load classes');
+    }
+  };
+
+  const loadAcademicYears = async () => {
+    try {
+      const { data } = await api.get('/academic-years');
+      setAcademicYears(data);
+    } catch (err) {
+      console.error('Error loading academic years:', err);
+      setError('Failed to load academic years');
+    }
+  };
+
+  // Schools using Indonesian labels start on the Hadir/Sakit/Izin/Alpa view
+  const loadStatusLabels = async () => {
+    try {
+      const { data } = await api.get('/bell-schedule/settings');
+      setLabels(data.status_labels);
+    } catch (err) {
+      console.error('Error loading school settings:', err);
+    }
+  };
+
+  const loadStudents = async () => {
+    try {
+      const studentsData = await db.getStudents(filters.class_id || null, { includeInactive: true });
+      setStudents(studentsData);
+    } catch (err) {
+      console.error('Error loading students:', err);
+      setError('Failed to load students');
+    }
+  };
+
+  const loadChartData = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const { data } = await api.get('/attendance/charts', {
+        class_id: filters.class_id,
+        student_id: filters.student_id,
+        ...toPeriodParams(filters.period, 'days')
+      });
+      setChartData(data);
+    } catch (err) {
+      console.error('Error loading chart data:', err);
+      setError(err.message || 'Failed to load chart data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+
+    setFilters({
+      ...filters,
+      [name]: value,
+      // A student from another class would make the filters contradict each other
+      ...(name === 'class_id' ? { student_id: '' } : {})
+    });
+  };
+
+  // The same records counted by status, or as Hadir/Sakit/Izin/Alpa
+  const categories = labels === 'id'
+    ? SIA_CODES.map(code => ({
+      label: SIA_LABELS[code],
+      color: SIA_COLORS[code],
+      count: data => data.siaCounts[code],
+      perDay: day => day.sia[code]
+    }))
+    : Object.keys(STATUS_COLORS).map(status => ({
+      label: status,
+      color: STATUS_COLORS[status],
+      count: data => data.statusCounts[status],
+      perDay: day => day[status]
+    }));
+  const totalRecords = chartData
+    ? categories.reduce((sum, category) => sum + category.count(chartData), 0)
+    : 0;
+  const attendanceRate = totalRecords > 0
+    ? Math.round(((chartData.statusCounts.Present + chartData.statusCounts.Late) / totalRecords) * 100)
+    : 0;
+
+  const trendChart = chartData && {
+    labels: chartData.trends.map(day => format(new Date(day.date), 'MMM dd')),
+    datasets: categories.map(category => ({
+      label: category.label,
+      data: chartData.trends.map(category.perDay),
+      backgroundColor: category.color,
+      borderRadius: 4
+    }))
+  };
+
+  const breakdownChart = chartData && {
+    labels: categories.map(category => category.label),
+    datasets: [{
+      data: categories.map(category => category.count(chartData)),
+      backgroundColor: categories.map(category => category.color),
+      borderWidth: 2,
+      borderColor: '#FFFFFF'
+    }]
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+        <div className="text-center mb-8">
+          <div className="text-6xl mb-4">📈</div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Attendance Charts</h1>
+          <p className="text-gray-600">Explore attendance trends for the whole school, a class or a single student</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+            {error}
+          </div>
+        )}
+
+        <div className="grid md:grid-cols-4 gap-6">
+          <div>
+            <label htmlFor="class_id" className="block text-sm font-semibold text-gray-700 mb-2">
+              Class
+            </label>
+            <select
+              id="class_id"
+              name="class_id"
+              value={filters.class_id}
+              onChange={handleChange}
+              className="form-select"
+            >
+              <option value="">All classes</option>
+              {classes.map((cls) => (
+                <option key={cls.id} value={cls.id}>
+                  {cls.class_name} - Grade {cls.grade}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="student_id" className="block text-sm font-semibold text-gray-700 mb-2">
+              Student
+            </label>
+            <select
+              id="student_id"
+              name="student_id"
+              value={filters.student_id}
+              onChange={handleChange}
+              className="form-select"
+            >
+              <option value="">All students</option>
+              {students.map((student) => (
+                <option key={student.id} value={student.id}>
+                  {student.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="period" className="block text-sm font-semibold text-gray-700 mb-2">
+              Time Window
+            </label>
+            <select
+              id="period"
+              name="period"
+              value={filters.period}
+              onChange={handleChange}
+              className="form-select"
+            >
+              {DAY_WINDOWS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+              <AcademicPeriodOptions academicYears={academicYears} />
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="labels" className="block text-sm font-semibold text-gray-700 mb-2">
+              Categories
+            </label>
+            <select
+              id="labels"
+              value={labels}
+              onChange={(e) => setLabels(e.target.value)}
+              className="form-select"
+            >
+              <option value="en">Present / Absent / Late / Excused</option>
+              <option value="id">Hadir / Sakit / Izin / Alpa</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-96">
+          <div className="text-center">
+            <div className="spinner mx-auto mb-4"></div>
+            <p className="text-lg font-semibold text-gray-600">Loading charts...</p>
+          </div>
+        </div>
+      ) : !chartData || totalRecords === 0 ? (
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl text-center">
+          <div className="text-6xl mb-4">📭</div>
+          <p className="text-gray-600 text-lg">No attendance records in this window</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-center text-white font-semibold text-lg mb-4 drop-shadow">
+            {chartData.period}: {chartData.instructionalDays} instructional day{chartData.instructionalDays === 1 ? '' : 's'} (weekends and school holidays are excluded)
+          </p>
+
+          <div className="grid md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
+            {categories.map((category) => (
+              <div key={category.label} className="bg-white/90 backdrop-blur-sm rounded-2xl p-6 shadow-xl card-hover">
+                <h3 className="text-lg font-semibold text-gray-700">{category.label}</h3>
+                <p className="text-3xl font-bold" style={{ color: category.color }}>
+                  {category.count(chartData)}
+                </p>
+              </div>
+            ))}
+            <div className="bg-white/90 backdrop-blur-sm rounded-2xl p-6 shadow-xl card-hover">
+              <h3 className="text-lg font-semibold text-gray-700">{labels === 'id' ? 'Persentase Kehadiran' : 'Attendance Rate'}</h3>
+              <p className="text-3xl font-bold text-gray-800">{attendanceRate}%</p>
+            </div>
+          </div>
+
+          <div className="grid lg:grid-cols-3 gap-8">
+            <div className="lg:col-span-2 bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+              <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+                📊 <span className="ml-2">Daily Trend</span>
+              </h2>
+              <Bar
+                data={trendChart}
+                options={{
+                  responsive: true,
+                  plugins: { legend: { position: 'bottom' } },
+                  scales: {
+                    x: { stacked: true },
+                    y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } }
+                  }
+                }}
+              />
+            </div>
+
+            <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+              <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+                🍩 <span className="ml-2">{labels === 'id' ? 'Rekap Kehadiran' : 'Status Breakdown'}</span>
+              </h2>
+              <Doughnut
+                data={breakdownChart}
+                options={{
+                  responsive: true,
+                  plugins: { legend: { position: 'bottom' } }
+                }}
+              />
+            </div>
+          </div>
+
+          {chartData.tardiness.length > 0 && (
+            <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl mt-8">
+              <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
+                ⏰ <span className="ml-2">Tardiness</span>
+                <span className="ml-auto text-base font-semibold text-gray-600">
+                  {chartData.totalTardyMinutes} minutes late in total
+                </span>
+              </h2>
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b-2 border-gray-200">
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Student</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Class</th>
+                      <th className="text-right py-3 px-4 font-semibold text-gray-700">Times Late</th>
+                      <th className="text-right py-3 px-4 font-semibold text-gray-700">Minutes Late</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {chartData.tardiness.map((student) => (
+                      <tr key={student.student_id} className="border-b border-gray-100">
+                        <td className="py-3 px-4 font-semibold text-gray-800">{student.name}</td>
+                        <td className="py-3 px-4 text-gray-600">{student.class_name || '—'}</td>
+                        <td className="py-3 px-4 text-right text-gray-800">{student.late_count}</td>
+                        <td className="py-3 px-4 text-right font-semibold text-yellow-700">{student.total_minutes}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceCharts;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { api } from '../lib/api';
+import { ABSENCE_REASONS } from '../lib/absenceReasons';
+
+const SOURCE_LABELS = {
+  single: 'Single entry',
+  bulk: 'Class roster',
+  direct: 'Outside the app',
+  lesson: 'Lesson registers',
+  excuse: 'Approved excuse',
+  kiosk: 'Check-in kiosk'
+};
+
+const reasonLabel = reason => (reason ? ABSENCE_REASONS[reason] || reason : 'none');
+
+// What happened to the status in one history entry
+const describeStatus = entry => {
+  if (!entry.old_status) return `Recorded as ${entry.new_status}`;
+  if (entry.old_status !== entry.new_status) return `${entry.old_status} → ${entry.new_status}`;
+  return `Still ${entry.new_status}`;
+};
+
+// Popover listing every change made to one attendance record, newest first
+const AttendanceHistory = ({ attendanceId, onClose }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadHistory();
+  }, [attendanceId]);
+
+  const loadHistory = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const { data } = await api.get(`/attendance/${attendanceId}/history`);
+      setHistory(data);
+    } catch (err) {
+      console.error('Error loading attendance history:', err);
+      setError(err.message || 'Failed to load attendance history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="absolute z-20 left-0 mt-2 w-80 bg-white rounded-2xl shadow-xl border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-bold text-gray-800">🕘 Change History</h3>
+        <button
+          type="button"
+          onClick={onClose}
+          className="w-8 h-8 rounded-full bg-gray-100 hover:bg-gray-200 text-gray-600"
+        >
+          ✕
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="spinner w-6 h-6"></div>
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : history.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes recorded yet</p>
+      ) : (
+        <ul className="space-y-3 max-h-64 overflow-y-auto">
+          {history.map((entry) => (
+            <li key={entry.id} className="text-sm border-l-4 border-blue-300 pl-3">
+              <p className="font-semibold text-gray-800">{describeStatus(entry)}</p>
+              {entry.old_absence_reason !== entry.new_absence_reason && (entry.old_status || entry.new_absence_reason) && (
+                <p className="text-gray-700">
+                  Reason: {entry.old_status
+                    ? `${reasonLabel(entry.old_absence_reason)} → ${reasonLabel(entry.new_absence_reason)}`
+                    : reasonLabel(entry.new_absence_reason)}
+                </p>
+              )}
+              {entry.old_absence_note !== entry.new_absence_note && (entry.old_status || entry.new_absence_note) && (
+                <p className="text-gray-700">
+                  {entry.new_absence_note ? `Note: ${entry.new_absence_note}` : 'Note removed'}
+                </p>
+              )}
+              <p className="text-gray-600">
+                {entry.changed_by_email || 'Unknown user'} · {SOURCE_LABELS[entry.source] || entry.source}
+              </p>
+              <p className="text-gray-400">
+                {format(new Date(entry.changed_at), 'MMM dd, yyyy HH:mm')}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceHistory;
@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../lib/api';
+
+const emptyPeriod = {
+  name: '',
+  start_time: '',
+  end_time: '',
+  is_active: true
+};
+
+// Postgres returns times as HH:mm:ss
+const toTimeInput = (time) => (time ? time.slice(0, 5) : '');
+
+const BellSchedule = () => {
+  const [periods, setPeriods] = useState([]);
+  const [formData, setFormData] = useState(emptyPeriod);
+  const [editingId, setEditingId] = useState(null);
+  const [absenceShare, setAbsenceShare] = useState(50);
+  const [arrival, setArrival] = useState({ school_start_time: '07:30', late_grace_minutes: 5 });
+  const [statusLabels, setStatusLabels] = useState('en');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadSchedule();
+  }, []);
+
+  const loadSchedule = async () => {
+    try {
+      setLoading(true);
+      const [{ data: periodsData }, { data: settings }] = await Promise.all([
+        api.get('/bell-schedule', { include_inactive: true }),
+        api.get('/bell-schedule/settings')
+      ]);
+      setPeriods(periodsData);
+      setAbsenceShare(Math.round(settings.lesson_absence_share * 100));
+      setArrival({
+        school_start_time: toTimeInput(settings.school_start_time),
+        late_grace_minutes: settings.late_grace_minutes
+      });
+      setStatusLabels(settings.status_labels);
+    } catch (err) {
+      console.error('Error loading bell schedule:', err);
+      setError(err.message || 'Failed to load the bell schedule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a save/delete call, then refresh the schedule and report the outcome
+  const runAction = async (action, onSuccess) => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { message } = await action();
+      await loadSchedule();
+      setSuccess(message);
+      onSuccess?.();
+    } catch (err) {
+      console.error('Error saving bell schedule:', err);
+      setError(err.message || 'Failed to save the bell schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyPeriod);
+    setEditingId(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runAction(
+      () => (editingId
+        ? api.put(`/bell-schedule/${editingId}`, formData)
+        : api.post('/bell-schedule', formData)),
+      resetForm
+    );
+  };
+
+  const handleEdit = (period) => {
+    setEditingId(period.id);
+    setFormData({
+      name: period.name,
+      start_time: toTimeInput(period.start_time),
+      end_time: toTimeInput(period.end_time),
+      is_active: period.is_active
+    });
+  };
+
+  const handleToggle = (period) => {
+    runAction(() => api.put(`/bell-schedule/${period.id}`, {
+      name: period.name,
+      start_time: toTimeInput(period.start_time),
+      end_time: toTimeInput(period.end_time),
+      is_active: !period.is_active
+    }));
+  };
+
+  const handleDelete = (period) => {
+    if (!window.confirm(`Delete ${period.name}?`)) return;
+    runAction(() => api.delete(`/bell-schedule/${period.id}`));
+  };
+
+  const handleSaveRule = (e) => {
+    e.preventDefault();
+    runAction(() => api.put('/bell-schedule/settings', {
+      lesson_absence_share: Number(absenceShare) / 100
+    }));
+  };
+
+  const handleSaveArrival = (e) => {
+    e.preventDefault();
+    runAction(() => api.put('/bell-schedule/settings', {
+      school_start_time: arrival.school_start_time,
+      late_grace_minutes: parseInt(arrival.late_grace_minutes, 10)
+    }));
+  };
+
+  const handleSaveLabels = (e) => {
+    e.preventDefault();
+    runAction(() => api.put('/bell-schedule/settings', { status_labels: statusLabels }));
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">🔔</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Bell Schedule</h1>
+            <p className="text-gray-600">Classes that take attendance every lesson record it against these periods</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="grid md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label htmlFor="name" className="block text-sm font-semibold text-gray-700 mb-2">
+                Period Name *
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="e.g., Period 1"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="start_time" className="block text-sm font-semibold text-gray-700 mb-2">
+                Starts *
+              </label>
+              <input
+                type="time"
+                id="start_time"
+                name="start_time"
+                value={formData.start_time}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="end_time" className="block text-sm font-semibold text-gray-700 mb-2">
+                Ends *
+              </label>
+              <input
+                type="time"
+                id="end_time"
+                name="end_time"
+                value={formData.end_time}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {editingId ? '💾 Save' : '✅ Add'}
+              </button>
+              {editingId && (
+                <button type="button" onClick={resetForm} className="flex-1 btn-secondary">
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl mb-8">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Periods</h2>
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="spinner mx-auto mb-4"></div>
+              <p className="text-gray-600">Loading bell schedule...</p>
+            </div>
+          ) : periods.length === 0 ? (
+            <p className="text-gray-500">No periods yet; attendance is taken once a day</p>
+          ) : (
+            <ul className="space-y-2">
+              {periods.map((period) => (
+                <li key={period.id} className="flex items-center justify-between p-3 rounded-xl bg-gray-50">
+                  <div>
+                    <span className="font-semibold text-gray-800">{period.name}</span>
+                    <span className="ml-3 text-sm text-gray-600">
+                      {toTimeInput(period.start_time)} – {toTimeInput(period.end_time)}
+                    </span>
+                    {!period.is_active && (
+                      <span className="ml-3 px-3 py-1 rounded-full text-sm font-semibold bg-gray-200 text-gray-700">
+                        Inactive
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(period)}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-blue-50 text-blue-700 hover:bg-blue-100"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleToggle(period)}
+                      disabled={saving}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-gray-100 text-gray-700 hover:bg-gray-200"
+                    >
+                      {period.is_active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(period)}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl mb-8">
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">School Start</h2>
+          <p className="text-gray-600 mb-4">
+            When a check-in time is recorded, a student arriving more than the grace period after school
+            starts is marked Late, with the minutes after the start time as their minutes late.
+          </p>
+          <form onSubmit={handleSaveArrival} className="flex flex-wrap items-end gap-4">
+            <div>
+              <label htmlFor="school_start_time" className="block text-sm font-semibold text-gray-700 mb-2">
+                School starts at
+              </label>
+              <input
+                type="time"
+                id="school_start_time"
+                value={arrival.school_start_time}
+                onChange={(e) => setArrival({ ...arrival, school_start_time: e.target.value })}
+                className="form-input w-40"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="late_grace_minutes" className="block text-sm font-semibold text-gray-700 mb-2">
+                Grace period (minutes)
+              </label>
+              <input
+                type="number"
+                id="late_grace_minutes"
+                min="0"
+                max="120"
+                value={arrival.late_grace_minutes}
+                onChange={(e) => setArrival({ ...arrival, late_grace_minutes: e.target.value })}
+                className="form-input w-32"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              💾 Save Start Time
+            </button>
+          </form>
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">Daily Status Rule</h2>
+          <p className="text-gray-600 mb-4">
+            When attendance is taken per lesson, each student's daily status is worked out from their lessons:
+            missing at least this share of the day's periods counts as Absent for the day, and arriving after
+            the first period counts as Late.
+          </p>
+          <form onSubmit={handleSaveRule} className="flex flex-wrap items-end gap-4">
+            <div>
+              <label htmlFor="lesson_absence_share" className="block text-sm font-semibold text-gray-700 mb-2">
+                Absent when missing at least (%)
+              </label>
+              <input
+                type="number"
+                id="lesson_absence_share"
+                min="1"
+                max="100"
+                value={absenceShare}
+                onChange={(e) => setAbsenceShare(e.target.value)}
+                className="form-input w-32"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              💾 Save Rule
+            </button>
+          </form>
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl mt-8">
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">Status Labels</h2>
+          <p className="text-gray-600 mb-4">
+            With Indonesian labels, rosters are marked Hadir, Terlambat, Sakit, Izin or Alpa, charts count
+            Hadir/Sakit/Izin/Alpa, and the monthly register downloads as the Rekap Absensi Bulanan.
+            Sakit is an absence with a sick or medical reason, Izin any other excused absence and Alpa an
+            absence without permission.
+          </p>
+          <form onSubmit={handleSaveLabels} className="flex flex-wrap items-end gap-4">
+            <div>
+              <label htmlFor="status_labels" className="block text-sm font-semibold text-gray-700 mb-2">
+                Labels
+              </label>
+              <select
+                id="status_labels"
+                value={statusLabels}
+                onChange={(e) => setStatusLabels(e.target.value)}
+                className="form-select w-64"
+              >
+                <option value="en">English (Present/Absent/Late/Excused)</option>
+                <option value="id">Indonesian (Hadir/Sakit/Izin/Alpa)</option>
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              💾 Save Labels
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BellSchedule;
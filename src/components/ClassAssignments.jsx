@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+
+const ASSIGNMENT_ROLES = [
+  { value: 'homeroom', label: 'Homeroom Teacher' },
+  { value: 'co_teacher', label: 'Co-Teacher' }
+];
+
+const ClassAssignments = () => {
+  const [formData, setFormData] = useState({
+    class_id: '',
+    teacher_id: '',
+    assignment_role: 'homeroom'
+  });
+  const [classes, setClasses] = useState([]);
+  const [teachers, setTeachers] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+
+      const [classesData, teachersResult, assignmentsResult] = await Promise.all([
+        db.getClasses(),
+        api.get('/assignments/teachers'),
+        api.get('/assignments')
+      ]);
+
+      setClasses(classesData);
+      setTeachers(teachersResult.data);
+      setAssignments(assignmentsResult.data);
+    } catch (err) {
+      console.error('Error loading class assignments:', err);
+      setError(err.message || 'Failed to load class assignments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      if (!formData.class_id) {
+        throw new Error('Please select a class');
+      }
+      if (!formData.teacher_id) {
+        throw new Error('Please select a teacher');
+      }
+
+      const { message } = await api.post('/assignments', formData);
+      await loadData();
+
+      setSuccess(`${message} 🎉`);
+      setFormData({
+        ...formData,
+        teacher_id: ''
+      });
+    } catch (err) {
+      console.error('Error assigning teacher:', err);
+      setError(err.message || 'Failed to assign teacher');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (assignment) => {
+    const teacherName = assignment.teacher.name || assignment.teacher.email;
+    if (!window.confirm(`Remove ${teacherName} from ${assignment.classes.class_name}?`)) return;
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const { message } = await api.delete(`/assignments/${assignment.id}`);
+      setAssignments(assignments.filter(a => a.id !== assignment.id));
+      setSuccess(message);
+    } catch (err) {
+      console.error('Error removing assignment:', err);
+      setError(err.message || 'Failed to remove teacher from class');
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex items-center justify-center min-h-96">
+          <div className="text-center">
+            <div className="spinner mx-auto mb-4"></div>
+            <p className="text-lg font-semibold text-gray-600">Loading class assignments...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">🧑‍🏫</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Class Assignments</h1>
+            <p className="text-gray-600">Choose which teachers can see and mark attendance for each class</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="grid md:grid-cols-3 gap-6">
+              <div>
+                <label htmlFor="class_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Class *
+                </label>
+                <select
+                  id="class_id"
+                  name="class_id"
+                  value={formData.class_id}
+                  onChange={handleChange}
+                  className="form-select"
+                  required
+                >
+                  <option value="">Select a class</option>
+                  {classes.map((cls) => (
+                    <option key={cls.id} value={cls.id}>
+                      {cls.class_name} - Grade {cls.grade}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="teacher_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Teacher *
+                </label>
+                <select
+                  id="teacher_id"
+                  name="teacher_id"
+                  value={formData.teacher_id}
+                  onChange={handleChange}
+                  className="form-select"
+                  required
+                >
+                  <option value="">Select a teacher</option>
+                  {teachers.map((teacher) => (
+                    <option key={teacher.id} value={teacher.id}>
+                      {teacher.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="assignment_role" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Role *
+                </label>
+                <select
+                  id="assignment_role"
+                  name="assignment_role"
+                  value={formData.assignment_role}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  {ASSIGNMENT_ROLES.map((role) => (
+                    <option key={role.value} value={role.value}>
+                      {role.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={saving}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? (
+                <div className="flex items-center justify-center">
+                  <div className="spinner w-5 h-5 mr-2"></div>
+                  Assigning Teacher...
+                </div>
+              ) : (
+                '✅ Assign Teacher'
+              )}
+            </button>
+          </form>
+
+          {teachers.length === 0 && (
+            <div className="mt-6 p-4 bg-yellow-100 border border-yellow-400 text-yellow-700 rounded-xl">
+              <p className="font-semibold">No teachers found!</p>
+              <p>Give a user the "teacher" role in their Supabase app metadata to assign them to classes.</p>
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-4">
+          {classes.map((cls) => {
+            const classAssignments = assignments.filter(a => a.class_id === cls.id);
+
+            return (
+              <div key={cls.id} className="bg-white/90 backdrop-blur-sm rounded-2xl p-6 shadow-xl">
+                <h2 className="text-xl font-bold text-gray-800 mb-4">
+                  🏫 {cls.class_name} - Grade {cls.grade}
+                </h2>
+
+                {classAssignments.length === 0 ? (
+                  <p className="text-gray-500">No teachers assigned yet</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {classAssignments.map((assignment) => (
+                      <li key={assignment.id} className="flex items-center justify-between p-3 rounded-xl bg-gray-50">
+                        <div>
+                          <span className="font-semibold text-gray-800">
+                            {assignment.teacher.name || assignment.teacher.email}
+                          </span>
+                          <span className={`ml-3 px-3 py-1 rounded-full text-sm font-semibold ${
+                            assignment.assignment_role === 'homeroom'
+                              ? 'bg-purple-100 text-purple-800'
+                              : 'bg-blue-100 text-blue-800'
+                          }`}>
+                            {ASSIGNMENT_ROLES.find(r => r.value === assignment.assignment_role).label}
+                          </span>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => handleRemove(assignment)}
+                          className="px-4 py-2 rounded-full font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClassAssignments;
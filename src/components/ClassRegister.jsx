@@ -0,0 +1,433 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { format, parseISO } from 'date-fns';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+import { subscribeToAttendance } from '../lib/live';
+import { toSiaCode, fromSiaCode, siaLabel } from '../lib/sia';
+
+// One letter per status, as on the paper register
+export const STATUS_CODES = {
+  Present: 'P',
+  Absent: 'A',
+  Late: 'L',
+  Excused: 'E'
+};
+
+// What a cell can be marked as in each register layout. In the Indonesian layout Sakit, Izin and
+// Alpa set the status and absence reason together; Terlambat is shown as T though it counts as Hadir.
+const CELL_CHOICES = {
+  en: Object.entries(STATUS_CODES).map(([status, code]) => ({ code, label: status, status })),
+  id: [
+    { code: 'H', label: 'Hadir', status: 'Present' },
+    { code: 'T', label: 'Terlambat', status: 'Late' },
+    { code: 'S', label: 'Sakit', status: 'Excused', sia: true },
+    { code: 'I', label: 'Izin', status: 'Excused', sia: true },
+    { code: 'A', label: 'Alpa', status: 'Absent', sia: true }
+  ]
+};
+
+const cellCode = (record, labels) => {
+  if (labels !== 'id') return STATUS_CODES[record.status];
+  return record.status === 'Late' ? 'T' : toSiaCode(record.status, record.absence_reason);
+};
+
+const CODE_STYLES = {
+  Present: 'bg-green-100 text-green-800',
+  Absent: 'bg-red-100 text-red-800',
+  Late: 'bg-yellow-100 text-yellow-800',
+  Excused: 'bg-blue-100 text-blue-800'
+};
+
+const isEnrolledOn = (student, date) => (
+  student.enrollment_status === 'active' || (!!student.left_on && student.left_on > date)
+);
+
+// Keep only the columns a register cell needs from a saved or streamed row
+const toCell = record => ({
+  id: record.id,
+  student_id: record.student_id,
+  date: record.date,
+  status: record.status,
+  check_in_time: record.check_in_time,
+  minutes_late: record.minutes_late,
+  absence_reason: record.absence_reason,
+  absence_note: record.absence_note
+});
+
+const countStatuses = records => Object.fromEntries(
+  Object.keys(STATUS_CODES).map(status => [status, records.filter(record => record?.status === status).length])
+);
+
+const ClassRegister = ({ role }) => {
+  const [classes, setClasses] = useState([]);
+  const [selectedClass, setSelectedClass] = useState('');
+  const [month, setMonth] = useState(format(new Date(), 'yyyy-MM'));
+  const [register, setRegister] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [savingCell, setSavingCell] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [labels, setLabels] = useState('en');
+  const [error, setError] = useState('');
+  const latestRegister = useRef(null);
+
+  const canEdit = role === 'admin' || role === 'teacher';
+  const today = format(new Date(), 'yyyy-MM-dd');
+
+  latestRegister.current = register;
+
+  useEffect(() => {
+    loadClasses();
+    loadStatusLabels();
+  }, []);
+
+  useEffect(() => {
+    if (selectedClass && month) {
+      loadRegister();
+    } else {
+      setRegister(null);
+    }
+  }, [selectedClass, month]);
+
+  // Marks made elsewhere show up in the grid as they are saved
+  useEffect(() => {
+    if (!selectedClass || !month) return undefined;
+    return subscribeToAttendance(({ type, record }) => {
+      if (type === 'upsert') setCell(toCell(record));
+    });
+  }, [selectedClass, month]);
+
+  const loadClasses = async () => {
+    try {
+      const classesData = await db.getClasses();
+      setClasses(classesData);
+    } catch (err) {
+      console.error('Error loading classes:', err);
+      setError('Failed to load classes');
+    }
+  };
+
+  // Schools using Indonesian labels download the Rekap Absensi Bulanan by default
+  const loadStatusLabels = async () => {
+    try {
+      const { data } = await api.get('/bell-schedule/settings');
+      setLabels(data.status_labels);
+    } catch (err) {
+      console.error('Error loading school settings:', err);
+    }
+  };
+
+  const loadRegister = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setEditing(null);
+      const { data } = await api.get(`/attendance/class/${selectedClass}/month/${month}`);
+      setRegister(data);
+    } catch (err) {
+      console.error('Error loading class register:', err);
+      setError(err.message || 'Failed to load the register');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Put one record into the grid, if it belongs to a student and day shown
+  const setCell = (record) => {
+    const current = latestRegister.current;
+    if (!current || !record.date.startsWith(current.month)) return;
+    if (!current.students.some(student => student.id === record.student_id)) return;
+
+    setRegister(previous => ({
+      ...previous,
+      students: previous.students.map(student => (student.id === record.student_id ? {
+        ...student,
+        attendance: { ...student.attendance, [record.date]: record }
+      } : student))
+    }));
+  };
+
+  const handleMark = async (student, date, choice) => {
+    setEditing(null);
+    const record = student.attendance[date];
+    const mark = choice.sia ? fromSiaCode(choice.code, record?.absence_reason) : { status: choice.status };
+    if (record?.status === mark.status && (!choice.sia || record.absence_reason === mark.absence_reason)) return;
+
+    try {
+      setError('');
+      setSavingCell(`${student.id}|${date}`);
+      const { data } = await api.post('/attendance', { student_id: student.id, date, ...mark });
+      setCell(toCell(data));
+    } catch (err) {
+      console.error('Error saving attendance:', err);
+      setError(`${student.name}, ${format(parseISO(date), 'MMM dd')}: ${err.message || 'Failed to save'}`);
+    } finally {
+      setSavingCell(null);
+    }
+  };
+
+  // The signed monthly recap: this class, or every class on its own sheet
+  const handleDownload = async (allClasses) => {
+    try {
+      setError('');
+      setDownloading(true);
+      await api.download(
+        '/export/register',
+        { month, class_id: allClasses ? undefined : selectedClass, labels },
+        `${labels === 'id' ? 'rekap_absensi' : 'register'}_${month}.xlsx`
+      );
+    } catch (err) {
+      console.error('Error downloading register:', err);
+      setError(`Download failed: ${err.message || 'please try again'}`);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  // Students who have moved class are marked in their new class; their days here are read-only
+  const isEditable = (student, day) => (
+    canEdit && student.in_class && !day.closed_reason && day.date <= today && isEnrolledOn(student, day.date)
+  );
+
+  const days = register?.days || [];
+  const students = register?.students || [];
+  const schoolDays = days.filter(day => !day.closed_reason);
+  const dayTotals = Object.fromEntries(days.map(day => [
+    day.date,
+    countStatuses(students.map(student => student.attendance[day.date]))
+  ]));
+  const allTotals = countStatuses(students.flatMap(student => Object.values(student.attendance)));
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl">
+        <div className="text-center mb-8">
+          <div className="text-6xl mb-4">🗒️</div>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Class Register</h1>
+          <p className="text-gray-600">
+            The month at a glance, one row per student{canEdit && '; click a day to change a mark'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+            {error}
+          </div>
+        )}
+
+        <div className="grid md:grid-cols-2 gap-6 mb-8 max-w-3xl mx-auto">
+          <div>
+            <label htmlFor="class_id" className="block text-sm font-semibold text-gray-700 mb-2">
+              Class *
+            </label>
+            <select
+              id="class_id"
+              value={selectedClass}
+              onChange={(e) => setSelectedClass(e.target.value)}
+              className="form-select"
+            >
+              <option value="">Select a class</option>
+              {classes.map((cls) => (
+                <option key={cls.id} value={cls.id}>
+                  {cls.class_name} - Grade {cls.grade}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="month" className="block text-sm font-semibold text-gray-700 mb-2">
+              Month *
+            </label>
+            <input
+              id="month"
+              type="month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="form-input"
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-center items-center gap-4 mb-8">
+          <select
+            aria-label="Register layout"
+            value={labels}
+            onChange={(e) => setLabels(e.target.value)}
+            className="form-select w-auto"
+          >
+            <option value="en">Monthly Register (P/A/L/E)</option>
+            <option value="id">Rekap Absensi Bulanan (H/S/I/A)</option>
+          </select>
+          <button
+            type="button"
+            onClick={() => handleDownload(false)}
+            disabled={downloading || !selectedClass || !month}
+            className="btn-success disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            📥 Download Register (Excel)
+          </button>
+          <button
+            type="button"
+            onClick={() => handleDownload(true)}
+            disabled={downloading || !month}
+            className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            📚 All Classes (one sheet each)
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-8">
+            <div className="spinner mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading register...</p>
+          </div>
+        ) : register && (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <h2 className="text-xl font-bold text-gray-800">
+                {register.class.class_name} - Grade {register.class.grade} · {format(parseISO(`${register.month}-01`), 'MMMM yyyy')}
+              </h2>
+              <div className="flex flex-wrap gap-2 text-sm font-semibold">
+                <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-700">
+                  {schoolDays.length} school days
+                </span>
+                {Object.entries(STATUS_CODES).map(([status, code]) => (
+                  <span key={status} className={`px-3 py-1 rounded-full ${CODE_STYLES[status]}`}>
+                    {code} = {status}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            {students.length === 0 ? (
+              <div className="text-center py-8">
+                <div className="text-6xl mb-4">📭</div>
+                <p className="text-gray-600 text-lg">No students in this class this month</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="text-sm border-collapse">
+                  <thead>
+                    <tr>
+                      <th className="sticky left-0 bg-white text-left py-2 px-3 font-semibold text-gray-700 border-b-2 border-gray-200">
+                        Student
+                      </th>
+                      {days.map(day => (
+                        <th
+                          key={day.date}
+                          title={day.closed_reason ? `Closed: ${day.closed_reason}` : undefined}
+                          className={`w-8 py-2 text-center font-semibold border-b-2 border-gray-200 ${
+                            day.closed_reason ? 'bg-gray-100 text-gray-400' : 'text-gray-700'
+                          } ${day.date === today ? 'text-blue-600' : ''}`}
+                        >
+                          <div>{format(parseISO(day.date), 'd')}</div>
+                          <div className="text-[10px] font-normal">{format(parseISO(day.date), 'EEEEE')}</div>
+                        </th>
+                      ))}
+                      {Object.entries(STATUS_CODES).map(([status, code]) => (
+                        <th key={status} className="w-10 py-2 text-center font-semibold text-gray-700 border-b-2 border-l-2 border-gray-200">
+                          {code}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {students.map((student) => {
+                      const totals = countStatuses(Object.values(student.attendance));
+
+                      return (
+                        <tr key={student.id} className="border-b border-gray-100">
+                          <td className="sticky left-0 bg-white py-2 px-3 font-medium whitespace-nowrap">
+                            <Link to={`/students/${student.id}`} className="hover:text-blue-700 hover:underline">
+                              {student.name}
+                            </Link>
+                            {!student.in_class && (
+                              <span className="ml-2 text-xs text-gray-400">moved class</span>
+                            )}
+                          </td>
+                          {days.map((day) => {
+                            const record = student.attendance[day.date];
+                            const cellKey = `${student.id}|${day.date}`;
+                            const editable = isEditable(student, day);
+                            const isOpen = editing === cellKey;
+
+                            return (
+                              <td
+                                key={day.date}
+                                className={`relative w-8 h-8 text-center ${
+                                  day.closed_reason || !isEnrolledOn(student, day.date) ? 'bg-gray-100' : ''
+                                }`}
+                              >
+                                <button
+                                  type="button"
+                                  disabled={!editable || savingCell === cellKey}
+                                  onClick={() => setEditing(isOpen ? null : cellKey)}
+                                  title={record ? `${labels === 'id' ? siaLabel(record.status, record.absence_reason) : record.status}${record.minutes_late ? ` (${record.minutes_late} min)` : ''}` : undefined}
+                                  className={`w-7 h-7 rounded font-bold ${
+                                    record ? CODE_STYLES[record.status] : 'text-gray-300'
+                                  } ${editable ? 'hover:ring-2 hover:ring-blue-300' : 'cursor-default'} ${
+                                    savingCell === cellKey ? 'opacity-50' : ''
+                                  }`}
+                                >
+                                  {record ? cellCode(record, labels) : editable ? '·' : ''}
+                                </button>
+
+                                {isOpen && (
+                                  <div className="absolute z-20 top-8 left-1/2 -translate-x-1/2 flex space-x-1 bg-white rounded-xl shadow-xl p-2">
+                                    {CELL_CHOICES[labels].map(choice => (
+                                      <button
+                                        key={choice.code}
+                                        type="button"
+                                        onClick={() => handleMark(student, day.date, choice)}
+                                        title={choice.label}
+                                        className={`w-8 h-8 rounded font-bold btn-bounce ${CODE_STYLES[choice.status]}`}
+                                      >
+                                        {choice.code}
+                                      </button>
+                                    ))}
+                                  </div>
+                                )}
+                              </td>
+                            );
+                          })}
+                          {Object.keys(STATUS_CODES).map(status => (
+                            <td key={status} className="w-10 text-center font-semibold text-gray-700 border-l-2 border-gray-200">
+                              {totals[status]}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                  <tfoot>
+                    {[
+                      { label: 'In school', statuses: ['Present', 'Late'], style: 'text-green-700' },
+                      { label: 'Away', statuses: ['Absent', 'Excused'], style: 'text-red-700' }
+                    ].map(row => (
+                      <tr key={row.label} className="border-t-2 border-gray-200">
+                        <td className={`sticky left-0 bg-white py-2 px-3 font-semibold ${row.style}`}>{row.label}</td>
+                        {days.map(day => (
+                          <td key={day.date} className={`text-center font-semibold ${row.style} ${day.closed_reason ? 'bg-gray-100' : ''}`}>
+                            {day.closed_reason ? '' : row.statuses.reduce((sum, status) => sum + dayTotals[day.date][status], 0) || ''}
+                          </td>
+                        ))}
+                        {Object.keys(STATUS_CODES).map(status => (
+                          <td key={status} className="text-center font-semibold text-gray-700 border-l-2 border-gray-200">
+                            {row.statuses.includes(status) ? allTotals[status] : ''}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tfoot>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClassRegister;
@@ -1,23 +1,147 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+import { subscribeToAttendance } from '../lib/live';
 import { format, subDays } from 'date-fns';
+import AcademicPeriodOptions, { toPeriodParams } from './AcademicPeriodOptions';
 
-const Dashboard = () => {
+const RECENT_DAYS = 7;
+const RECENT_LIMIT = 10;
+
+const ALERT_BADGES = {
+  open: 'bg-red-100 text-red-800',
+  acknowledged: 'bg-yellow-100 text-yellow-800'
+};
+
+// What the student's number means for the rule that raised the alert
+const describeAlert = (alert) => {
+  const value = Number(alert.metric_value);
+
+  switch (alert.alert_rules.metric) {
+    case 'absence_rate':
+      return `${value}% of school days missed`;
+    case 'consecutive_absences':
+      return `${value} absences in a row`;
+    default:
+      return `${value} absences`;
+  }
+};
+
+// Today's counters from { [attendance id]: status }
+const countToday = (todayStatuses) => {
+  const statuses = Object.values(todayStatuses);
+  const todayPresent = statuses.filter(status => status === 'Present').length;
+  const todayAbsent = statuses.filter(status => status === 'Absent').length;
+  const totalToday = todayPresent + todayAbsent;
+
+  return {
+    todayPresent,
+    todayAbsent,
+    attendanceRate: totalToday > 0 ? Math.round((todayPresent / totalToday) * 100) : 0
+  };
+};
+
+const Dashboard = ({ role }) => {
   const [stats, setStats] = useState({
     totalStudents: 0,
     totalClasses: 0,
-    todayPresent: 0,
-    todayAbsent: 0,
-    attendanceRate: 0
+    closedReason: null
   });
+  const [todayStatuses, setTodayStatuses] = useState({});
   const [recentAttendance, setRecentAttendance] = useState([]);
+  const [liveConnection, setLiveConnection] = useState(null);
+  const [academicYears, setAcademicYears] = useState([]);
+  const [selectedPeriod, setSelectedPeriod] = useState('');
+  const [periodStats, setPeriodStats] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [alertError, setAlertError] = useState('');
   const [loading, setLoading] = useState(true);
+  const studentsById = useRef({});
+
+  const canFollowUp = role === 'admin' || role === 'teacher';
 
   useEffect(() => {
     loadDashboardData();
+    loadAcademicYears();
+    loadAlerts();
   }, []);
 
+  // Keep today's counters and the recent records current as attendance is taken
+  useEffect(() => subscribeToAttendance(handleAttendanceChange, setLiveConnection), []);
+
+  useEffect(() => {
+    if (selectedPeriod) {
+      loadPeriodStats();
+    }
+  }, [selectedPeriod]);
+
+  const loadAcademicYears = async () => {
+    try {
+      const [{ data: years }, { data: current }] = await Promise.all([
+        api.get('/academic-years'),
+        api.get('/academic-years/current')
+      ]);
+
+      setAcademicYears(years);
+
+      // Start on the current term, or the current year when no term is running
+      if (current.term) {
+        setSelectedPeriod(`term:${current.term.id}`);
+      } else if (current.academic_year) {
+        setSelectedPeriod(`year:${current.academic_year.id}`);
+      }
+    } catch (error) {
+      console.error('Error loading academic years:', error);
+    }
+  };
+
+  const loadPeriodStats = async () => {
+    try {
+      const { data } = await api.get('/attendance/charts', toPeriodParams(selectedPeriod));
+      const { Present, Absent, Late, Excused } = data.statusCounts;
+      const total = Present + Absent + Late + Excused;
+
+      setPeriodStats({
+        ...data.statusCounts,
+        label: data.period,
+        instructionalDays: data.instructionalDays,
+        attendanceRate: total > 0 ? Math.round(((Present + Late) / total) * 100) : 0
+      });
+    } catch (error) {
+      console.error('Error loading term statistics:', error);
+    }
+  };
+
+  const loadAlerts = async () => {
+    try {
+      const { data } = await api.get('/alerts');
+      setAlerts(data);
+    } catch (error) {
+      console.error('Error loading alerts:', error);
+      setAlertError(error.message || 'Failed to load at-risk students');
+    }
+  };
+
+  const handleFollowUp = async (alert, action) => {
+    const notes = window.prompt(
+      action === 'acknowledge'
+        ? `Acknowledge the alert for ${alert.students.name}. Follow-up notes (optional):`
+        : `Resolve the alert for ${alert.students.name}. What was done? (optional)`,
+      alert.notes || ''
+    );
+    if (notes === null) return;
+
+    try {
+      setAlertError('');
+      await api.post(`/alerts/${alert.id}/${action}`, { notes });
+      await loadAlerts();
+    } catch (error) {
+      console.error('Error updating alert:', error);
+      setAlertError(error.message || 'Failed to update the alert');
+    }
+  };
+
   const loadDashboardData = async () => {
     try {
       setLoading(true);
@@ -34,28 +158,31 @@ const Dashboard = () => {
         date: today
       });
 
+      // A closed day has no attendance to report, which is not the same as nobody being marked
+      const { data: schoolDays } = await api.get('/calendar/instructional-days', {
+        start_date: today,
+        end_date: today
+      });
+      const closedReason = schoolDays.count === 0
+        ? schoolDays.closures[0]?.title || 'Weekend'
+        : null;
+
       // Get recent attendance (last 7 days)
-      const weekAgo = format(subDays(new Date(), 7), 'yyyy-MM-dd');
+      const weekAgo = format(subDays(new Date(), RECENT_DAYS), 'yyyy-MM-dd');
       const recentData = await db.getAttendance({
         startDate: weekAgo,
         endDate: today
       });
 
-      // Calculate stats
-      const presentToday = todayAttendance.filter(a => a.status === 'Present').length;
-      const absentToday = todayAttendance.filter(a => a.status === 'Absent').length;
-      const totalToday = presentToday + absentToday;
-      const attendanceRate = totalToday > 0 ? Math.round((presentToday / totalToday) * 100) : 0;
-
       setStats({
         totalStudents: students.length,
         totalClasses: classes.length,
-        todayPresent: presentToday,
-        todayAbsent: absentToday,
-        attendanceRate
+        closedReason
       });
 
-      setRecentAttendance(recentData.slice(0, 10)); // Show last 10 records
+      studentsById.current = Object.fromEntries(students.map(student => [student.id, student]));
+      setTodayStatuses(Object.fromEntries(todayAttendance.map(record => [record.id, record.status])));
+      setRecentAttendance(recentData.slice(0, RECENT_LIMIT));
       
     } catch (error) {
       console.error('Error loading dashboard data:', error);
@@ -64,6 +191,33 @@ const Dashboard = () => {
     }
   };
 
+  // Live rows come without the joined student, which is filled in from the loaded students
+  const handleAttendanceChange = ({ type, record }) => {
+    if (type === 'delete') {
+      setTodayStatuses(({ [record.id]: _removed, ...rest }) => rest);
+      setRecentAttendance(previous => previous.filter(recent => recent.id !== record.id));
+      return;
+    }
+
+    const today = format(new Date(), 'yyyy-MM-dd');
+    if (record.date === today) {
+      setTodayStatuses(previous => ({ ...previous, [record.id]: record.status }));
+    }
+
+    const student = studentsById.current[record.student_id];
+    const weekAgo = format(subDays(new Date(), RECENT_DAYS), 'yyyy-MM-dd');
+    if (!student || record.date < weekAgo || record.date > today) return;
+
+    setRecentAttendance(previous => [
+      { ...record, students: { id: student.id, name: student.name, classes: student.classes } },
+      ...previous.filter(recent => recent.id !== record.id)
+    ]
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, RECENT_LIMIT));
+  };
+
+  const { todayPresent, todayAbsent, attendanceRate } = countToday(todayStatuses);
+
   if (loading) {
     return (
       <div className="container mx-auto px-4 py-8">
@@ -128,7 +282,7 @@ const Dashboard = () => {
           <div className="flex items-center justify-between">
             <div>
               <h3 className="text-lg font-semibold text-green-800">Present Today</h3>
-              <p className="text-3xl font-bold text-green-600">{stats.todayPresent}</p>
+              <p className="text-3xl font-bold text-green-600">{todayPresent}</p>
             </div>
             <div className="text-4xl">✅</div>
           </div>
@@ -138,7 +292,7 @@ const Dashboard = () => {
           <div className="flex items-center justify-between">
             <div>
               <h3 className="text-lg font-semibold text-red-800">Absent Today</h3>
-              <p className="text-3xl font-bold text-red-600">{stats.todayAbsent}</p>
+              <p className="text-3xl font-bold text-red-600">{todayAbsent}</p>
             </div>
             <div className="text-4xl">❌</div>
           </div>
@@ -149,20 +303,166 @@ const Dashboard = () => {
       <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl card-hover mb-8">
         <h2 className="text-2xl font-bold text-gray-800 mb-4 flex items-center">
           📊 <span className="ml-2">Today's Attendance Rate</span>
-        </h2>
-        <div className="flex items-center space-x-4">
-          <div className="flex-1 bg-gray-200 rounded-full h-8">
-            <div 
-              className="bg-gradient-to-r from-green-400 to-green-600 h-8 rounded-full flex items-center justify-center text-white font-bold transition-all duration-1000"
-              style={{ width: `${stats.attendanceRate}%` }}
+          {liveConnection && (
+            <span
+              className="ml-auto px-3 py-1 rounded-full text-sm font-semibold bg-green-100 text-green-800"
+              title="Updates as attendance is recorded"
             >
-              {stats.attendanceRate}%
+              ● Live
+            </span>
+          )}
+        </h2>
+        {stats.closedReason ? (
+          <p className="text-lg text-gray-600">
+            🏖️ No school today ({stats.closedReason}), so there is no attendance to report.
+          </p>
+        ) : (
+          <div className="flex items-center space-x-4">
+            <div className="flex-1 bg-gray-200 rounded-full h-8">
+              <div 
+                className="bg-gradient-to-r from-green-400 to-green-600 h-8 rounded-full flex items-center justify-center text-white font-bold transition-all duration-1000"
+                style={{ width: `${attendanceRate}%` }}
+              >
+                {attendanceRate}%
+              </div>
+            </div>
+            <div className="text-2xl font-bold text-gray-700">
+              {attendanceRate}%
             </div>
           </div>
-          <div className="text-2xl font-bold text-gray-700">
-            {stats.attendanceRate}%
+        )}
+      </div>
+
+      {/* Term Overview */}
+      {academicYears.length > 0 && (
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl card-hover mb-8">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+              🗓️ <span className="ml-2">{periodStats ? periodStats.label : 'Term Overview'}</span>
+            </h2>
+            <select
+              value={selectedPeriod}
+              onChange={(e) => setSelectedPeriod(e.target.value)}
+              className="form-select md:w-64"
+            >
+              <option value="" disabled>Select a term</option>
+              <AcademicPeriodOptions academicYears={academicYears} />
+            </select>
           </div>
+
+          {periodStats && (
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              <div className="text-center p-4 rounded-2xl bg-gray-50">
+                <p className="text-sm font-semibold text-gray-600">Attendance Rate</p>
+                <p className="text-2xl font-bold text-gray-800">{periodStats.attendanceRate}%</p>
+                <p className="text-xs text-gray-500">{periodStats.instructionalDays} school days so far</p>
+              </div>
+              <div className="text-center p-4 rounded-2xl bg-green-50">
+                <p className="text-sm font-semibold text-green-800">Present</p>
+                <p className="text-2xl font-bold text-green-600">{periodStats.Present}</p>
+              </div>
+              <div className="text-center p-4 rounded-2xl bg-red-50">
+                <p className="text-sm font-semibold text-red-800">Absent</p>
+                <p className="text-2xl font-bold text-red-600">{periodStats.Absent}</p>
+              </div>
+              <div className="text-center p-4 rounded-2xl bg-yellow-50">
+                <p className="text-sm font-semibold text-yellow-800">Late</p>
+                <p className="text-2xl font-bold text-yellow-600">{periodStats.Late}</p>
+              </div>
+              <div className="text-center p-4 rounded-2xl bg-blue-50">
+                <p className="text-sm font-semibold text-blue-800">Excused</p>
+                <p className="text-2xl font-bold text-blue-600">{periodStats.Excused}</p>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* At-risk Students */}
+      <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl card-hover mb-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            🚨 <span className="ml-2">At-risk Students</span>
+          </h2>
+          {role === 'admin' && (
+            <Link to="/alert-rules" className="text-sm font-semibold text-blue-600 hover:text-blue-800">
+              Alert rules →
+            </Link>
+          )}
         </div>
+
+        {alertError && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-4">
+            {alertError}
+          </div>
+        )}
+
+        {alerts.length === 0 ? (
+          <p className="text-lg text-gray-600">🎉 No students are at risk of chronic absence right now.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b-2 border-gray-200">
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Student</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Alert</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Since</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Follow-up</th>
+                </tr>
+              </thead>
+              <tbody>
+                {alerts.map((alert) => (
+                  <tr key={alert.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4">
+                      <div className="font-medium">{alert.students.name}</div>
+                      <div className="text-sm text-gray-500">
+                        {alert.students.classes.class_name} - Grade {alert.students.classes.grade}
+                      </div>
+                    </td>
+                    <td className="py-3 px-4">
+                      <div className="font-medium text-gray-800">{alert.alert_rules.name}</div>
+                      <div className="text-sm text-gray-600">
+                        {describeAlert(alert)}
+                        {!alert.threshold_met && ' (back under the threshold)'}
+                      </div>
+                    </td>
+                    <td className="py-3 px-4 text-gray-600">
+                      {format(new Date(alert.triggered_on), 'MMM dd, yyyy')}
+                    </td>
+                    <td className="py-3 px-4">
+                      <span className={`px-3 py-1 rounded-full text-sm font-semibold capitalize ${ALERT_BADGES[alert.status]}`}>
+                        {alert.status}
+                      </span>
+                      {alert.notes && (
+                        <div className="text-sm text-gray-500 mt-1">{alert.notes}</div>
+                      )}
+                      {canFollowUp && (
+                        <div className="flex gap-2 mt-2">
+                          {alert.status === 'open' && (
+                            <button
+                              type="button"
+                              onClick={() => handleFollowUp(alert, 'acknowledge')}
+                              className="text-sm font-semibold text-yellow-700 hover:text-yellow-900"
+                            >
+                              Acknowledge
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => handleFollowUp(alert, 'resolve')}
+                            className="text-sm font-semibold text-green-700 hover:text-green-900"
+                          >
+                            Resolve
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
 
       {/* Recent Attendance */}
@@ -193,7 +493,11 @@ const Dashboard = () => {
               <tbody>
                 {recentAttendance.map((record, index) => (
                   <tr key={record.id} className={`border-b border-gray-100 ${index % 2 === 0 ? 'bg-gray-50' : ''}`}>
-                    <td className="py-3 px-4 font-medium">{record.students.name}</td>
+                    <td className="py-3 px-4 font-medium">
+                      <Link to={`/students/${record.students.id}`} className="text-blue-700 hover:underline">
+                        {record.students.name}
+                      </Link>
+                    </td>
                     <td className="py-3 px-4 text-gray-600">
                       {record.students.classes.class_name} - Grade {record.students.classes.grade}
                     </td>
@@ -0,0 +1,561 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+import AcademicPeriodOptions, { toPeriodParams } from './AcademicPeriodOptions';
+
+const EXPORT_TYPES = [
+  { value: 'attendance', label: 'Attendance Report', icon: '📋', description: 'Daily attendance records for a period' },
+  { value: 'students', label: 'Students List', icon: '👥', description: 'Student details with class and age' }
+];
+
+const PERIODS = [
+  { value: '1month', label: 'Last month' },
+  { value: '3months', label: 'Last 3 months' },
+  { value: 'semester', label: 'Current semester' },
+  { value: '1year', label: 'Last year' },
+  { value: 'custom', label: 'Custom dates' }
+];
+
+const STATUSES = ['Present', 'Absent', 'Late', 'Excused'];
+
+const FORMATS = [
+  { value: 'excel', label: 'Excel', extension: 'xlsx' },
+  { value: 'csv', label: 'CSV', extension: 'csv' },
+  { value: 'pdf', label: 'PDF', extension: 'pdf' }
+];
+
+const PREVIEW_LIMIT = 20;
+
+const ExportData = () => {
+  const [exportType, setExportType] = useState('attendance');
+  const [fileFormat, setFileFormat] = useState('excel');
+  const [filters, setFilters] = useState({
+    period: '1month',
+    start_date: '',
+    end_date: '',
+    class_ids: [],
+    grade: '',
+    statuses: [],
+    gender: '',
+    student_id: '',
+    view: 'daily'
+  });
+  const [classes, setClasses] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [academicYears, setAcademicYears] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadClasses();
+    loadAcademicYears();
+  }, []);
+
+  useEffect(() => {
+    loadStudents();
+  }, [filters.class_ids]);
+
+  useEffect(() => {
+    // Any change to the selection makes the current preview stale
+    setPreview(null);
+    setSuccess('');
+  }, [exportType, filters]);
+
+  const loadClasses = async () => {
+    try {
+      const classesData = await db.getClasses({ includeArchived: true });
+      setClasses(classesData);
+    } catch (err) {
+      console.error('Error loading classes:', err);
+      setError('Failed to load classes');
+    }
+  };
+
+  const loadAcademicYears = async () => {
+    try {
+      const { data } = await api.get('/academic-years');
+      setAcademicYears(data);
+    } catch (err) {
+      console.error('Error loading academic years:', err);
+      setError('Failed to load academic years');
+    }
+  };
+
+  const loadStudents = async () => {
+    try {
+      // The student list only narrows down when a single class is chosen
+      const studentsData = await db.getStudents(
+        filters.class_ids.length === 1 ? filters.class_ids[0] : null,
+        { includeInactive: true }
+      );
+      setStudents(studentsData);
+    } catch (err) {
+      console.error('Error loading students:', err);
+      setError('Failed to load students');
+    }
+  };
+
+  const getExportParams = () => {
+    if (exportType !== 'attendance') {
+      return { class_id: filters.class_ids.length === 1 ? filters.class_ids[0] : '' };
+    }
+
+    return {
+      class_id: filters.class_ids,
+      grade: filters.grade,
+      status: filters.statuses,
+      gender: filters.gender,
+      student_id: filters.student_id,
+      view: filters.view,
+      ...(filters.period === 'custom'
+        ? { start_date: filters.start_date, end_date: filters.end_date }
+        : toPeriodParams(filters.period, 'period'))
+    };
+  };
+
+  const customRangeIncomplete = exportType === 'attendance' &&
+    filters.period === 'custom' &&
+    (!filters.start_date || !filters.end_date);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+
+    setFilters({
+      ...filters,
+      [name]: value,
+      ...(name === 'grade' ? { student_id: '' } : {})
+    });
+  };
+
+  const handleClassesChange = (e) => {
+    setFilters({
+      ...filters,
+      class_ids: Array.from(e.target.selectedOptions, option => option.value),
+      student_id: ''
+    });
+  };
+
+  const toggleStatus = (status) => {
+    setFilters({
+      ...filters,
+      statuses: filters.statuses.includes(status)
+        ? filters.statuses.filter(s => s !== status)
+        : [...filters.statuses, status]
+    });
+  };
+
+  const handlePreview = async () => {
+    setPreviewLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await api.get(`/export/${exportType}`, {
+        ...getExportParams(),
+        format_type: 'json'
+      });
+      setPreview(result);
+    } catch (err) {
+      console.error('Error loading export preview:', err);
+      setError(err.message || 'Failed to load export preview');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { extension } = FORMATS.find(f => f.value === fileFormat);
+      const filename = await api.download(
+        `/export/${exportType}`,
+        { ...getExportParams(), format_type: fileFormat },
+        `${exportType}_${format(new Date(), 'yyyy-MM-dd')}.${extension}`
+      );
+      setSuccess(`Downloaded ${filename} 🎉`);
+    } catch (err) {
+      console.error('Error downloading export:', err);
+      setError(`Download failed: ${err.message || 'please try again'}`);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const previewRows = preview ? preview.data.slice(0, PREVIEW_LIMIT) : [];
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">📤</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Export Data</h1>
+            <p className="text-gray-600">Preview your report, then download it as Excel, CSV or PDF</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <div className="grid md:grid-cols-2 gap-4 mb-8">
+            {EXPORT_TYPES.map((type) => (
+              <button
+                key={type.value}
+                type="button"
+                onClick={() => setExportType(type.value)}
+                className={`p-6 rounded-2xl border-2 text-left btn-bounce ${
+                  exportType === type.value
+                    ? 'border-blue-500 bg-blue-50'
+                    : 'border-gray-200 bg-white hover:bg-gray-50'
+                }`}
+              >
+                <div className="text-4xl mb-2">{type.icon}</div>
+                <h3 className="text-lg font-bold text-gray-800">{type.label}</h3>
+                <p className="text-sm text-gray-600">{type.description}</p>
+              </button>
+            ))}
+          </div>
+
+          <div className={`grid gap-6 mb-8 ${exportType === 'attendance' ? 'md:grid-cols-3' : 'md:grid-cols-1'}`}>
+            {exportType === 'attendance' && (
+              <div>
+                <label htmlFor="period" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Period
+                </label>
+                <select
+                  id="period"
+                  name="period"
+                  value={filters.period}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  {PERIODS.map((period) => (
+                    <option key={period.value} value={period.value}>
+                      {period.label}
+                    </option>
+                  ))}
+                  <AcademicPeriodOptions academicYears={academicYears} />
+                </select>
+
+                {filters.period === 'custom' && (
+                  <div className="grid grid-cols-2 gap-2 mt-3">
+                    <input
+                      type="date"
+                      name="start_date"
+                      aria-label="Start date"
+                      value={filters.start_date}
+                      onChange={handleChange}
+                      className="form-input"
+                      max={filters.end_date || undefined}
+                    />
+                    <input
+                      type="date"
+                      name="end_date"
+                      aria-label="End date"
+                      value={filters.end_date}
+                      onChange={handleChange}
+                      className="form-input"
+                      min={filters.start_date || undefined}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="class_ids" className="block text-sm font-semibold text-gray-700 mb-2">
+                {exportType === 'attendance' ? 'Classes' : 'Class'}
+              </label>
+              {exportType === 'attendance' ? (
+                <>
+                  <select
+                    id="class_ids"
+                    multiple
+                    value={filters.class_ids}
+                    onChange={handleClassesChange}
+                    className="form-select h-32"
+                  >
+                    {classes.map((cls) => (
+                      <option key={cls.id} value={cls.id}>
+                        {cls.class_name} - Grade {cls.grade}{cls.archived_at ? ' (archived)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {filters.class_ids.length === 0
+                      ? 'All classes (Ctrl/Cmd-click to choose several)'
+                      : `${filters.class_ids.length} selected`}
+                  </p>
+                </>
+              ) : (
+                <select
+                  id="class_ids"
+                  value={filters.class_ids[0] || ''}
+                  onChange={(e) => setFilters({ ...filters, class_ids: e.target.value ? [e.target.value] : [] })}
+                  className="form-select"
+                >
+                  <option value="">All classes</option>
+                  {classes.map((cls) => (
+                    <option key={cls.id} value={cls.id}>
+                      {cls.class_name} - Grade {cls.grade}{cls.archived_at ? ' (archived)' : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            {exportType === 'attendance' && (
+              <div>
+                <label htmlFor="student_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Student
+                </label>
+                <select
+                  id="student_id"
+                  name="student_id"
+                  value={filters.student_id}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  <option value="">All students</option>
+                  {students.map((student) => (
+                    <option key={student.id} value={student.id}>
+                      {student.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {exportType === 'attendance' && (
+            <div className="grid md:grid-cols-3 gap-6 mb-8">
+              <div>
+                <label htmlFor="grade" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Grade
+                </label>
+                <select
+                  id="grade"
+                  name="grade"
+                  value={filters.grade}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  <option value="">All grades</option>
+                  {[...new Set(classes.map(cls => cls.grade))].sort((a, b) => a - b).map((grade) => (
+                    <option key={grade} value={grade}>
+                      Grade {grade}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="gender" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Gender
+                </label>
+                <select
+                  id="gender"
+                  name="gender"
+                  value={filters.gender}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  <option value="">All</option>
+                  <option value="Male">Male</option>
+                  <option value="Female">Female</option>
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="view" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Show
+                </label>
+                <select
+                  id="view"
+                  name="view"
+                  value={filters.view}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  <option value="daily">One row per day</option>
+                  <option value="lesson">One row per lesson</option>
+                </select>
+              </div>
+
+              <div>
+                <span className="block text-sm font-semibold text-gray-700 mb-2">Status</span>
+                <div className="flex flex-wrap gap-2">
+                  {STATUSES.map((status) => (
+                    <label
+                      key={status}
+                      className={`px-3 py-1 rounded-full text-sm font-semibold cursor-pointer border-2 ${
+                        filters.statuses.includes(status)
+                          ? 'border-blue-500 bg-blue-50 text-blue-800'
+                          : 'border-gray-200 text-gray-600'
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        className="sr-only"
+                        checked={filters.statuses.includes(status)}
+                        onChange={() => toggleStatus(status)}
+                      />
+                      {status}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center justify-end mb-4">
+            <span className="text-sm font-semibold text-gray-700 mr-3">Format</span>
+            <div className="flex rounded-full bg-gray-100 p-1">
+              {FORMATS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setFileFormat(option.value)}
+                  className={`px-4 py-1 rounded-full text-sm font-semibold ${
+                    fileFormat === option.value ? 'bg-white shadow text-blue-700' : 'text-gray-600'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex space-x-4">
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={previewLoading || customRangeIncomplete}
+              className="flex-1 btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {previewLoading ? (
+                <div className="flex items-center justify-center">
+                  <div className="spinner w-5 h-5 mr-2"></div>
+                  Loading Preview...
+                </div>
+              ) : (
+                '👀 Preview'
+              )}
+            </button>
+
+            <button
+              type="button"
+              onClick={handleDownload}
+              disabled={downloading || !preview || preview.data.length === 0}
+              className="flex-1 btn-success disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {downloading ? (
+                <div className="flex items-center justify-center">
+                  <div className="spinner w-5 h-5 mr-2"></div>
+                  Downloading...
+                </div>
+              ) : (
+                `📥 Download ${FORMATS.find(f => f.value === fileFormat).label}`
+              )}
+            </button>
+          </div>
+        </div>
+
+        {preview && (
+          <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+            <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+              👀 <span className="ml-2">Preview</span>
+            </h2>
+            <p className="text-gray-600 mb-6">
+              {preview.data.length} row{preview.data.length === 1 ? '' : 's'}
+              {preview.period && <> for {preview.period}</>}
+              {preview.date_range && (
+                <> from {format(new Date(preview.date_range.start), 'MMM dd, yyyy')} to {format(new Date(preview.date_range.end), 'MMM dd, yyyy')}</>
+              )}
+              {preview.data.length > PREVIEW_LIMIT && ` (showing the first ${PREVIEW_LIMIT})`}
+            </p>
+            {preview.filters?.length > 0 && (
+              <p className="text-sm text-gray-500 -mt-4 mb-6">Filters: {preview.filters.join(' | ')}</p>
+            )}
+
+            {preview.data.length === 0 ? (
+              <div className="text-center py-8">
+                <div className="text-6xl mb-4">📭</div>
+                <p className="text-gray-600 text-lg">Nothing to export for this selection</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b-2 border-gray-200">
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Student</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Class</th>
+                      {exportType === 'attendance' ? (
+                        <>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-700">Date</th>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-700">Status</th>
+                        </>
+                      ) : (
+                        <>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-700">Gender</th>
+                          <th className="text-left py-3 px-4 font-semibold text-gray-700">Date of Birth</th>
+                        </>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.map((row, index) => {
+                      const student = exportType === 'attendance' ? row.students : row;
+
+                      return (
+                        <tr key={row.id} className={`border-b border-gray-100 ${index % 2 === 0 ? 'bg-gray-50' : ''}`}>
+                          <td className="py-3 px-4 font-medium">{student.name}</td>
+                          <td className="py-3 px-4 text-gray-600">
+                            {student.classes.class_name} - Grade {student.classes.grade}
+                          </td>
+                          {exportType === 'attendance' ? (
+                            <>
+                              <td className="py-3 px-4 text-gray-600">
+                                {format(new Date(row.date), 'MMM dd, yyyy')}
+                                {row.bell_periods && ` · ${row.bell_periods.name}`}
+                              </td>
+                              <td className="py-3 px-4 text-gray-600">{row.status}</td>
+                            </>
+                          ) : (
+                            <>
+                              <td className="py-3 px-4 text-gray-600">{row.gender}</td>
+                              <td className="py-3 px-4 text-gray-600">
+                                {format(new Date(row.date_of_birth), 'MMM dd, yyyy')}
+                              </td>
+                            </>
+                          )}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExportData;
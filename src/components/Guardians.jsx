@@ -0,0 +1,400 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+
+const LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'id', label: 'Bahasa Indonesia' },
+  { value: 'es', label: 'Español' }
+];
+
+const NOTIFICATION_BADGES = {
+  queued: 'bg-blue-100 text-blue-800',
+  sending: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const emptyGuardian = {
+  name: '',
+  relation: '',
+  phone: '',
+  email: '',
+  preferred_language: 'en',
+  receives_notifications: true,
+  student_ids: []
+};
+
+const Guardians = () => {
+  const [guardians, setGuardians] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [formData, setFormData] = useState(emptyGuardian);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [guardiansResult, studentsData, notificationsResult] = await Promise.all([
+        api.get('/guardians'),
+        db.getStudents(),
+        api.get('/notifications')
+      ]);
+      setGuardians(guardiansResult.data);
+      setStudents(studentsData);
+      setNotifications(notificationsResult.data);
+    } catch (err) {
+      console.error('Error loading guardians:', err);
+      setError(err.message || 'Failed to load guardians');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a save/delete/retry call, then refresh everything and report the outcome
+  const runAction = async (action, onSuccess) => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { message } = await action();
+      await loadData();
+      setSuccess(message);
+      onSuccess?.();
+    } catch (err) {
+      console.error('Error updating guardians:', err);
+      setError(err.message || 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyGuardian);
+    setEditingId(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runAction(
+      () => (editingId
+        ? api.put(`/guardians/${editingId}`, formData)
+        : api.post('/guardians', formData)),
+      resetForm
+    );
+  };
+
+  const handleEdit = (guardian) => {
+    setEditingId(guardian.id);
+    setFormData({
+      name: guardian.name,
+      relation: guardian.relation || '',
+      phone: guardian.phone || '',
+      email: guardian.email || '',
+      preferred_language: guardian.preferred_language,
+      receives_notifications: guardian.receives_notifications,
+      student_ids: guardian.students.map(student => student.id)
+    });
+  };
+
+  const handleDelete = (guardian) => {
+    if (!window.confirm(`Delete ${guardian.name}?`)) return;
+    runAction(() => api.delete(`/guardians/${guardian.id}`));
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const handleStudentsChange = (e) => {
+    setFormData({
+      ...formData,
+      student_ids: Array.from(e.target.selectedOptions, option => option.value)
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex items-center justify-center min-h-96">
+          <div className="text-center">
+            <div className="spinner mx-auto mb-4"></div>
+            <p className="text-lg font-semibold text-gray-600">Loading guardians...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">👪</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Guardians</h1>
+            <p className="text-gray-600">Guardians are told automatically when a child is marked Absent or Late</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-semibold text-gray-700 mb-2">
+                Name *
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="relation" className="block text-sm font-semibold text-gray-700 mb-2">
+                Relation
+              </label>
+              <input
+                type="text"
+                id="relation"
+                name="relation"
+                value={formData.relation}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="e.g., Mother"
+              />
+            </div>
+            <div>
+              <label htmlFor="phone" className="block text-sm font-semibold text-gray-700 mb-2">
+                Phone
+              </label>
+              <input
+                type="tel"
+                id="phone"
+                name="phone"
+                value={formData.phone}
+                onChange={handleChange}
+                className="form-input"
+                placeholder="+62 812 3456 7890"
+              />
+            </div>
+            <div>
+              <label htmlFor="email" className="block text-sm font-semibold text-gray-700 mb-2">
+                Email
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label htmlFor="preferred_language" className="block text-sm font-semibold text-gray-700 mb-2">
+                Preferred Language
+              </label>
+              <select
+                id="preferred_language"
+                name="preferred_language"
+                value={formData.preferred_language}
+                onChange={handleChange}
+                className="form-select"
+              >
+                {LANGUAGES.map((language) => (
+                  <option key={language.value} value={language.value}>
+                    {language.label}
+                  </option>
+                ))}
+              </select>
+              <label className="flex items-center mt-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  name="receives_notifications"
+                  checked={formData.receives_notifications}
+                  onChange={handleChange}
+                  className="mr-2"
+                />
+                Send absence notifications
+              </label>
+            </div>
+            <div>
+              <label htmlFor="student_ids" className="block text-sm font-semibold text-gray-700 mb-2">
+                Students *
+              </label>
+              <select
+                id="student_ids"
+                multiple
+                value={formData.student_ids}
+                onChange={handleStudentsChange}
+                className="form-select h-32"
+                required
+              >
+                {students.map((student) => (
+                  <option key={student.id} value={student.id}>
+                    {student.name} ({student.classes.class_name})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-2 flex space-x-4">
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {editingId ? '💾 Save Guardian' : '✅ Add Guardian'}
+              </button>
+              {editingId && (
+                <button type="button" onClick={resetForm} className="flex-1 btn-secondary">
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl mb-8">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">All Guardians</h2>
+          {guardians.length === 0 ? (
+            <p className="text-gray-500">No guardians yet</p>
+          ) : (
+            <ul className="space-y-2">
+              {guardians.map((guardian) => (
+                <li key={guardian.id} className="flex items-center justify-between p-3 rounded-xl bg-gray-50">
+                  <div>
+                    <span className="font-semibold text-gray-800">{guardian.name}</span>
+                    {guardian.relation && <span className="ml-2 text-gray-600">({guardian.relation})</span>}
+                    <span className="ml-3 text-sm text-gray-600">
+                      {[guardian.phone, guardian.email].filter(Boolean).join(' · ')}
+                    </span>
+                    {!guardian.receives_notifications && (
+                      <span className="ml-3 px-3 py-1 rounded-full text-sm font-semibold bg-gray-200 text-gray-700">
+                        Notifications off
+                      </span>
+                    )}
+                    <div className="text-sm text-gray-500">
+                      {guardian.students.map(student => student.name).join(', ')}
+                    </div>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(guardian)}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-blue-50 text-blue-700 hover:bg-blue-100"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(guardian)}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold text-gray-800">Recent Notifications</h2>
+            <button
+              type="button"
+              onClick={() => runAction(() => api.post('/notifications/process'))}
+              disabled={saving}
+              className="px-4 py-2 rounded-full font-semibold btn-bounce bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+            >
+              📤 Send queued now
+            </button>
+          </div>
+          {notifications.length === 0 ? (
+            <p className="text-gray-500">No notifications sent yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b-2 border-gray-200">
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Date</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Student</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">To</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Channel</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {notifications.map((notification) => (
+                    <tr key={notification.id} className="border-b border-gray-100">
+                      <td className="py-3 px-4 text-gray-600">
+                        {format(new Date(notification.date), 'MMM dd, yyyy')}
+                      </td>
+                      <td className="py-3 px-4 font-medium">
+                        {notification.students?.name} <span className="text-gray-500">({notification.attendance_status})</span>
+                      </td>
+                      <td className="py-3 px-4 text-gray-600">
+                        {notification.guardians?.name || notification.recipient}
+                      </td>
+                      <td className="py-3 px-4 text-gray-600">{notification.channel}</td>
+                      <td className="py-3 px-4">
+                        <span
+                          className={`px-3 py-1 rounded-full text-sm font-semibold ${NOTIFICATION_BADGES[notification.status]}`}
+                          title={notification.last_error || ''}
+                        >
+                          {notification.status}
+                          {notification.attempts > 1 && ` (${notification.attempts} tries)`}
+                        </span>
+                        {notification.status === 'failed' && (
+                          <button
+                            type="button"
+                            onClick={() => runAction(() => api.post(`/notifications/${notification.id}/retry`))}
+                            disabled={saving}
+                            className="ml-2 text-sm font-semibold text-blue-600 hover:text-blue-800"
+                          >
+                            Retry
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Guardians;
@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { api } from '../lib/api';
+import { readAsBase64 } from '../lib/files';
+
+const ACCEPTED_TYPES = '.xlsx,.csv';
+
+const TEMPLATE_CSV = 'Name,Class,Gender,Date of Birth\nJane Doe,Class 3A,Female,2016-04-12\n';
+
+const ImportStudents = () => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  const sendImport = async (dryRun) => {
+    const content = await readAsBase64(file);
+    return api.post('/students/import', {
+      filename: file.name,
+      content,
+      dry_run: dryRun
+    });
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+    setSuccess('');
+    setError('');
+  };
+
+  const handleCheck = async () => {
+    setChecking(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { data } = await sendImport(true);
+      setReport(data);
+    } catch (err) {
+      console.error('Error checking roster:', err);
+      setError(err.message || 'Failed to check the file');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!window.confirm(`Import ${report.valid_rows} student${report.valid_rows === 1 ? '' : 's'}? Rows with errors will be skipped.`)) return;
+
+    setImporting(true);
+    setError('');
+
+    try {
+      const { data, message } = await sendImport(false);
+      setReport(data);
+      setSuccess(`${message} 🎉`);
+    } catch (err) {
+      console.error('Error importing roster:', err);
+      setError(err.message || 'Failed to import students');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDownloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([TEMPLATE_CSV], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'student_import_template.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const visibleRows = report
+    ? report.rows.filter(row => !showErrorsOnly || !row.valid)
+    : [];
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">📥</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Import Students</h1>
+            <p className="text-gray-600">
+              Upload an Excel or CSV roster with the columns Name, Class, Gender and Date of Birth
+            </p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <div className="space-y-6">
+            <div>
+              <label htmlFor="roster" className="block text-sm font-semibold text-gray-700 mb-2">
+                Roster file *
+              </label>
+              <input
+                type="file"
+                id="roster"
+                accept={ACCEPTED_TYPES}
+                onChange={handleFileChange}
+                className="form-input"
+              />
+              <button
+                type="button"
+                onClick={handleDownloadTemplate}
+                className="mt-2 text-sm font-semibold text-blue-600 hover:text-blue-800"
+              >
+                Download a CSV template
+              </button>
+            </div>
+
+            <div className="flex space-x-4">
+              <button
+                type="button"
+                onClick={handleCheck}
+                disabled={!file || checking || importing}
+                className="flex-1 btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {checking ? (
+                  <div className="flex items-center justify-center">
+                    <div className="spinner w-5 h-5 mr-2"></div>
+                    Checking...
+                  </div>
+                ) : (
+                  '🔍 Check File'
+                )}
+              </button>
+
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={!report || !report.dry_run || report.valid_rows === 0 || importing}
+                className="flex-1 btn-success disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {importing ? (
+                  <div className="flex items-center justify-center">
+                    <div className="spinner w-5 h-5 mr-2"></div>
+                    Importing...
+                  </div>
+                ) : (
+                  `✅ Import ${report?.dry_run ? report.valid_rows : ''} Valid Rows`
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {report && (
+          <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-2xl font-bold text-gray-800">
+                {report.dry_run ? 'Validation Report' : 'Import Report'}
+              </h2>
+              <label className="flex items-center text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showErrorsOnly}
+                  onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                  className="mr-2"
+                />
+                Show errors only
+              </label>
+            </div>
+
+            <div className="grid grid-cols-3 gap-4 mb-6">
+              <div className="p-4 rounded-xl bg-gray-50 text-center">
+                <div className="text-2xl font-bold text-gray-800">{report.total_rows}</div>
+                <div className="text-sm text-gray-600">Rows</div>
+              </div>
+              <div className="p-4 rounded-xl bg-green-50 text-center">
+                <div className="text-2xl font-bold text-green-700">
+                  {report.dry_run ? report.valid_rows : report.imported}
+                </div>
+                <div className="text-sm text-gray-600">{report.dry_run ? 'Ready to import' : 'Imported'}</div>
+              </div>
+              <div className="p-4 rounded-xl bg-red-50 text-center">
+                <div className="text-2xl font-bold text-red-700">{report.error_rows}</div>
+                <div className="text-sm text-gray-600">{report.dry_run ? 'With errors' : 'Skipped'}</div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b-2 border-gray-200">
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Row</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Student</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Class</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map((row) => (
+                    <tr key={row.row} className={`border-b border-gray-100 ${row.valid ? '' : 'bg-red-50'}`}>
+                      <td className="py-3 px-4 text-gray-600">{row.row}</td>
+                      <td className="py-3 px-4 font-medium">{row.name || '—'}</td>
+                      <td className="py-3 px-4 text-gray-600">{row.class_name || '—'}</td>
+                      <td className="py-3 px-4">
+                        {row.valid ? (
+                          <span className="text-green-700 font-semibold">OK</span>
+                        ) : (
+                          <ul className="text-red-700 text-sm list-disc list-inside">
+                            {row.errors.map((message) => (
+                              <li key={message}>{message}</li>
+                            ))}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportStudents;
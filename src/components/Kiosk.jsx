@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { format } from 'date-fns';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+
+// A card read twice within this window is one scan (scanners and cameras repeat themselves)
+const SCAN_COOLDOWN_MS = 5000;
+const CAMERA_INTERVAL_MS = 400;
+const RECENT_SCANS = 8;
+
+const RESULT_STYLES = {
+  Present: 'bg-green-500 text-white',
+  Late: 'bg-yellow-500 text-white',
+  Excused: 'bg-blue-500 text-white',
+  duplicate: 'bg-gray-200 text-gray-800',
+  error: 'bg-red-500 text-white'
+};
+
+const RESULT_ICONS = {
+  Present: '✅',
+  Late: '⏰',
+  Excused: '📄',
+  duplicate: '👍',
+  error: '⛔'
+};
+
+// The camera reader needs the browser's BarcodeDetector (Chrome and Edge on Android and desktop)
+const canUseCamera = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+const Kiosk = () => {
+  const [classes, setClasses] = useState([]);
+  const [selectedClass, setSelectedClass] = useState('');
+  const [active, setActive] = useState(false);
+  const [code, setCode] = useState('');
+  const [lastResult, setLastResult] = useState(null);
+  const [scans, setScans] = useState([]);
+  const [cameraOn, setCameraOn] = useState(false);
+  const [now, setNow] = useState(new Date());
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  const recentCodes = useRef({});
+
+  useEffect(() => {
+    loadClasses();
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Keep the scanner input focused, since USB scanners type into whatever has focus
+  useEffect(() => {
+    if (active) inputRef.current?.focus();
+  }, [active, lastResult]);
+
+  useEffect(() => {
+    if (!active || !cameraOn) return undefined;
+
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const startCamera = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' } });
+        if (stopped) return;
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector({ formats: ['qr_code', 'code_128', 'code_39'] });
+        timer = setInterval(async () => {
+          const [barcode] = await detector.detect(videoRef.current).catch(() => []);
+          if (barcode) handleScan(barcode.rawValue);
+        }, CAMERA_INTERVAL_MS);
+      } catch (err) {
+        console.error('Error starting camera:', err);
+        setError('The camera could not be started; use a card scanner instead');
+        setCameraOn(false);
+      }
+    };
+
+    startCamera();
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+  }, [active, cameraOn, selectedClass]);
+
+  const loadClasses = async () => {
+    try {
+      const classesData = await db.getClasses();
+      setClasses(classesData);
+    } catch (err) {
+      console.error('Error loading classes:', err);
+      setError('Failed to load classes');
+    }
+  };
+
+  const showResult = (result) => {
+    setLastResult(result);
+    setScans(previous => [result, ...previous].slice(0, RECENT_SCANS));
+  };
+
+  const handleScan = async (rawCode) => {
+    const cardCode = rawCode.trim().toUpperCase();
+    if (!cardCode) return;
+
+    // Ignore the same card again straight away
+    const lastSeen = recentCodes.current[cardCode];
+    if (lastSeen && Date.now() - lastSeen < SCAN_COOLDOWN_MS) return;
+    recentCodes.current[cardCode] = Date.now();
+
+    try {
+      const { data, duplicate, message } = await api.post('/attendance/check-in', {
+        class_id: selectedClass,
+        card_code: cardCode
+      });
+
+      showResult({
+        key: `${cardCode}-${Date.now()}`,
+        kind: duplicate ? 'duplicate' : data.status,
+        name: data.students?.name,
+        message,
+        time: format(new Date(), 'HH:mm:ss')
+      });
+    } catch (err) {
+      showResult({
+        key: `${cardCode}-${Date.now()}`,
+        kind: 'error',
+        message: err.message || 'Check-in failed',
+        time: format(new Date(), 'HH:mm:ss')
+      });
+    }
+  };
+
+  // Scanners type the card code and press Enter
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const scanned = code;
+    setCode('');
+    handleScan(scanned);
+  };
+
+  const handleStart = () => {
+    setError('');
+    setScans([]);
+    setLastResult(null);
+    recentCodes.current = {};
+    setActive(true);
+  };
+
+  const handleStop = () => {
+    setActive(false);
+    setCameraOn(false);
+  };
+
+  const handlePrintCards = async () => {
+    try {
+      setError('');
+      await api.download('/students/cards', { class_id: selectedClass }, 'student_cards.pdf');
+    } catch (err) {
+      console.error('Error printing cards:', err);
+      setError(err.message || 'Failed to print student cards');
+    }
+  };
+
+  const className = classes.find(cls => cls.id === selectedClass)?.class_name;
+  const checkedIn = scans.filter(scan => ['Present', 'Late', 'Excused'].includes(scan.kind)).length;
+
+  if (active) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-3xl mx-auto">
+          <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl text-center">
+            <div className="flex items-center justify-between mb-6">
+              <div className="text-left">
+                <h1 className="text-3xl font-bold text-gray-800">{className}</h1>
+                <p className="text-gray-600">{format(now, 'EEEE, MMM dd')} · {checkedIn} checked in</p>
+              </div>
+              <div className="text-4xl font-bold text-gray-800 tabular-nums">{format(now, 'HH:mm')}</div>
+            </div>
+
+            {error && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+                {error}
+              </div>
+            )}
+
+            <div
+              className={`rounded-3xl p-10 mb-6 transition-all duration-200 ${
+                lastResult ? RESULT_STYLES[lastResult.kind] : 'bg-gray-50 text-gray-600'
+              }`}
+              aria-live="assertive"
+            >
+              <div className="text-7xl mb-4">{lastResult ? RESULT_ICONS[lastResult.kind] : '🪪'}</div>
+              <p className="text-3xl font-bold">
+                {lastResult ? lastResult.message : 'Scan your card'}
+              </p>
+            </div>
+
+            {cameraOn && (
+              <video ref={videoRef} className="w-full max-w-sm mx-auto rounded-2xl mb-6" muted playsInline />
+            )}
+
+            <form onSubmit={handleSubmit} className="mb-6">
+              <input
+                ref={inputRef}
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                onBlur={() => setTimeout(() => inputRef.current?.focus(), 200)}
+                className="form-input text-center text-xl tracking-widest"
+                placeholder="Card code"
+                autoComplete="off"
+                aria-label="Card code"
+              />
+            </form>
+
+            {scans.length > 0 && (
+              <ul className="text-left space-y-1 mb-6">
+                {scans.map(scan => (
+                  <li key={scan.key} className="flex justify-between text-sm text-gray-700">
+                    <span>{RESULT_ICONS[scan.kind]} {scan.message}</span>
+                    <span className="text-gray-500">{scan.time}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex justify-center space-x-4">
+              {canUseCamera && (
+                <button type="button" onClick={() => setCameraOn(!cameraOn)} className="btn-secondary">
+                  {cameraOn ? '📷 Camera Off' : '📷 Use Camera'}
+                </button>
+              )}
+              <button type="button" onClick={handleStop} className="btn-secondary">
+                ⏹️ Stop Kiosk
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">🪪</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Check-in Kiosk</h1>
+            <p className="text-gray-600">
+              Put a tablet at the classroom door: students scan their card and are marked Present or Late from the time they arrive
+            </p>
+          </div>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <div className="mb-6">
+            <label htmlFor="class_id" className="block text-sm font-semibold text-gray-700 mb-2">
+              Class *
+            </label>
+            <select
+              id="class_id"
+              value={selectedClass}
+              onChange={(e) => setSelectedClass(e.target.value)}
+              className="form-select"
+            >
+              <option value="">Select a class</option>
+              {classes.map((cls) => (
+                <option key={cls.id} value={cls.id}>
+                  {cls.class_name} - Grade {cls.grade}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex space-x-4">
+            <button
+              type="button"
+              onClick={handleStart}
+              disabled={!selectedClass}
+              className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              ▶️ Start Kiosk
+            </button>
+            <button
+              type="button"
+              onClick={handlePrintCards}
+              disabled={!selectedClass}
+              className="flex-1 btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              🖨️ Print Student Cards
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Kiosk;
@@ -1,18 +1,42 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import { auth } from '../lib/supabase';
+import SyncStatus from './SyncStatus';
 
-const Navbar = () => {
+const Navbar = ({ session }) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const location = useLocation();
 
+  const role = auth.getRole(session);
+
   const navItems = [
     { path: '/dashboard', label: 'Dashboard', icon: '📊' },
-    { path: '/add-student', label: 'Add Student', icon: '👥' },
-    { path: '/add-class', label: 'Add Class', icon: '🏫' },
-    { path: '/record-attendance', label: 'Record Attendance', icon: '📝' },
+    { path: '/students', label: 'Students', icon: '🧒', roles: ['admin'] },
+    { path: '/guardians', label: 'Guardians', icon: '👪', roles: ['admin'] },
+    { path: '/add-student', label: 'Add Student', icon: '👥', roles: ['admin'] },
+    { path: '/import-students', label: 'Import', icon: '📥', roles: ['admin'] },
+    { path: '/add-class', label: 'Add Class', icon: '🏫', roles: ['admin'] },
+    { path: '/record-attendance', label: 'Record Attendance', icon: '📝', roles: ['admin', 'teacher'] },
+    { path: '/register', label: 'Register', icon: '🗒️' },
+    { path: '/excuses', label: 'Excuses', icon: '📄', roles: ['admin', 'teacher'] },
+    { path: '/kiosk', label: 'Kiosk', icon: '🪪', roles: ['admin', 'teacher'] },
     { path: '/charts', label: 'Charts', icon: '📈' },
-    { path: '/export', label: 'Export Data', icon: '📤' }
-  ];
+    { path: '/export', label: 'Export Data', icon: '📤' },
+    { path: '/assignments', label: 'Assignments', icon: '🧑‍🏫', roles: ['admin'] },
+    { path: '/calendar', label: 'Calendar', icon: '📅', roles: ['admin'] },
+    { path: '/academic-years', label: 'Terms', icon: '🗓️', roles: ['admin'] },
+    { path: '/bell-schedule', label: 'Bell Schedule', icon: '🔔', roles: ['admin'] },
+    { path: '/rollover', label: 'Rollover', icon: '🎓', roles: ['admin'] },
+    { path: '/alert-rules', label: 'Alert Rules', icon: '🚨', roles: ['admin'] }
+  ].filter(item => !item.roles || item.roles.includes(role));
+
+  const handleSignOut = async () => {
+    try {
+      await auth.signOut();
+    } catch (err) {
+      console.error('Error signing out:', err);
+    }
+  };
 
   const isActive = (path) => location.pathname === path;
 
@@ -30,6 +54,8 @@ const Navbar = () => {
             </div>
           </Link>
 
+          <SyncStatus />
+
           {/* Desktop Navigation */}
           <nav className="hidden lg:flex space-x-2">
             {navItems.map((item) => (
@@ -46,6 +72,15 @@ const Navbar = () => {
                 {item.label}
               </Link>
             ))}
+            <button
+              type="button"
+              onClick={handleSignOut}
+              title={`${session.user.email} (${role})`}
+              className="px-4 py-2 rounded-full font-semibold btn-bounce transition-all duration-200 bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              <span className="mr-2">🚪</span>
+              Sign Out
+            </button>
           </nav>
 
           {/* Mobile Menu Button */}
@@ -80,6 +115,14 @@ const Navbar = () => {
                   <div className="text-sm">{item.label}</div>
                 </Link>
               ))}
+              <button
+                type="button"
+                onClick={handleSignOut}
+                className="px-4 py-3 rounded-xl font-semibold btn-bounce transition-all duration-200 text-center bg-gray-100 text-gray-700 hover:bg-gray-200"
+              >
+                <div className="text-2xl mb-1">🚪</div>
+                <div className="text-sm">Sign Out</div>
+              </button>
             </div>
           </nav>
         )}
@@ -0,0 +1,783 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { format } from 'date-fns';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+import { subscribeToAttendance } from '../lib/live';
+import { withCache, updateCache, rosterCacheKey, enqueue, subscribe, isOfflineError } from '../lib/offline';
+import AttendanceHistory from './AttendanceHistory';
+import { ABSENCE_REASONS } from '../lib/absenceReasons';
+import { toSiaCode, fromSiaCode, siaLabel } from '../lib/sia';
+
+const STATUS_OPTIONS = [
+  { value: 'Present', icon: '✅', active: 'bg-green-500 text-white', idle: 'bg-green-50 text-green-700 hover:bg-green-100' },
+  { value: 'Absent', icon: '❌', active: 'bg-red-500 text-white', idle: 'bg-red-50 text-red-700 hover:bg-red-100' },
+  { value: 'Late', icon: '⏰', active: 'bg-yellow-500 text-white', idle: 'bg-yellow-50 text-yellow-700 hover:bg-yellow-100' },
+  { value: 'Excused', icon: '📄', active: 'bg-blue-500 text-white', idle: 'bg-blue-50 text-blue-700 hover:bg-blue-100' }
+];
+
+// Daily rosters with Indonesian labels: Sakit, Izin and Alpa set the status and absence reason together
+const SIA_OPTIONS = [
+  { value: 'Present', label: 'Hadir', icon: '✅', active: 'bg-green-500 text-white', idle: 'bg-green-50 text-green-700 hover:bg-green-100' },
+  { value: 'Late', label: 'Terlambat', icon: '⏰', active: 'bg-yellow-500 text-white', idle: 'bg-yellow-50 text-yellow-700 hover:bg-yellow-100' },
+  { code: 'S', label: 'Sakit', icon: '🤒', active: 'bg-purple-500 text-white', idle: 'bg-purple-50 text-purple-700 hover:bg-purple-100' },
+  { code: 'I', label: 'Izin', icon: '📄', active: 'bg-blue-500 text-white', idle: 'bg-blue-50 text-blue-700 hover:bg-blue-100' },
+  { code: 'A', label: 'Alpa', icon: '❌', active: 'bg-red-500 text-white', idle: 'bg-red-50 text-red-700 hover:bg-red-100' }
+];
+
+const ABSENCES = ['Absent', 'Excused'];
+
+// Postgres returns times as HH:mm:ss
+const toTimeInput = (time) => (time ? time.slice(0, 5) : '');
+
+const RecordAttendance = () => {
+  const [classes, setClasses] = useState([]);
+  const [selectedClass, setSelectedClass] = useState('');
+  const [selectedDate, setSelectedDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [periods, setPeriods] = useState([]);
+  const [selectedPeriod, setSelectedPeriod] = useState('');
+  const [subject, setSubject] = useState('');
+  const [students, setStudents] = useState([]);
+  const [statuses, setStatuses] = useState({});
+  const [savedStatuses, setSavedStatuses] = useState({});
+  const [checkIns, setCheckIns] = useState({});
+  const [savedCheckIns, setSavedCheckIns] = useState({});
+  const [reasons, setReasons] = useState({});
+  const [savedReasons, setSavedReasons] = useState({});
+  const [statusLabels, setStatusLabels] = useState('en');
+  const [closedReason, setClosedReason] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [historyFor, setHistoryFor] = useState(null);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+  const [liveConnection, setLiveConnection] = useState(null);
+  const latest = useRef({});
+
+  useEffect(() => {
+    loadClasses();
+    loadPeriods();
+    loadStatusLabels();
+  }, []);
+
+  useEffect(() => subscribe(setQueue), []);
+
+  useEffect(() => {
+    if (selectedClass && selectedDate) {
+      loadRoster();
+    } else {
+      setStudents([]);
+      setStatuses({});
+      setSavedStatuses({});
+      setCheckIns({});
+      setSavedCheckIns({});
+      setReasons({});
+      setSavedReasons({});
+    }
+  }, [selectedClass, selectedDate, selectedPeriod]);
+
+  // Daily rosters follow changes made elsewhere (another teacher, the kiosk, an approved excuse)
+  useEffect(() => {
+    if (!selectedClass || !selectedDate || selectedPeriod) return undefined;
+
+    const unsubscribe = subscribeToAttendance(handleLiveChange, setLiveConnection);
+    return () => {
+      unsubscribe();
+      setLiveConnection(null);
+    };
+  }, [selectedClass, selectedDate, selectedPeriod]);
+
+  const loadClasses = async () => {
+    try {
+      const { data: classesData } = await withCache('classes', () => db.getClasses());
+      setClasses(classesData);
+    } catch (err) {
+      console.error('Error loading classes:', err);
+      setError('Failed to load classes');
+    }
+  };
+
+  // Schools without a bell schedule only take daily attendance
+  const loadPeriods = async () => {
+    try {
+      const { data } = await withCache('bell-schedule', async () => (await api.get('/bell-schedule')).data);
+      setPeriods(data);
+    } catch (err) {
+      console.error('Error loading bell schedule:', err);
+    }
+  };
+
+  // Indonesian schools mark Hadir/Sakit/Izin/Alpa
+  const loadStatusLabels = async () => {
+    try {
+      const { data } = await withCache('school-settings', async () => (await api.get('/bell-schedule/settings')).data);
+      setStatusLabels(data.status_labels);
+    } catch (err) {
+      console.error('Error loading school settings:', err);
+    }
+  };
+
+  const loadRoster = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setSuccess('');
+      setHistoryFor(null);
+
+      // Rosters are kept on the device so attendance can still be taken when the Wi-Fi drops
+      const { data, cachedAt: rosterCachedAt } = await withCache(
+        rosterCacheKey(selectedClass, selectedDate, selectedPeriod),
+        async () => (await api.get(`/attendance/class/${selectedClass}/date/${selectedDate}`, {
+          period_id: selectedPeriod
+        })).data
+      );
+
+      // Remember what is already stored so unsaved edits can be highlighted
+      const recorded = {};
+      const recordedCheckIns = {};
+      const recordedReasons = {};
+      data.students.forEach(student => {
+        if (student.attendance) {
+          recorded[student.id] = student.attendance.status;
+        }
+        if (student.attendance?.absence_reason) {
+          recordedReasons[student.id] = student.attendance.absence_reason;
+        }
+        if (student.attendance?.check_in_time) {
+          recordedCheckIns[student.id] = toTimeInput(student.attendance.check_in_time);
+        }
+      });
+
+      setStudents(data.students);
+      setSubject(data.students.find(student => student.attendance?.subject)?.attendance.subject || '');
+      setClosedReason(data.closed_reason);
+      setCachedAt(rosterCachedAt);
+      setSavedStatuses(recorded);
+      setStatuses(recorded);
+      setSavedCheckIns(recordedCheckIns);
+      setCheckIns(recordedCheckIns);
+      setSavedReasons(recordedReasons);
+      setReasons(recordedReasons);
+    } catch (err) {
+      console.error('Error loading class attendance:', err);
+      setError(err.message || 'Failed to load class attendance');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  latest.current = { students, statuses, savedStatuses, checkIns, savedCheckIns, reasons, savedReasons, selectedDate };
+
+  // Apply a record saved somewhere else; students with unsaved edits keep them
+  const handleLiveChange = ({ type, record }) => {
+    const current = latest.current;
+    if (type !== 'upsert' || record.date !== current.selectedDate) return;
+
+    const student = current.students.find(item => item.id === record.student_id);
+    if (!student) return;
+
+    const checkIn = toTimeInput(record.check_in_time);
+    const reason = record.absence_reason || '';
+    const unsaved = (
+      current.statuses[student.id] !== current.savedStatuses[student.id] ||
+      (current.checkIns[student.id] || '') !== (current.savedCheckIns[student.id] || '') ||
+      (current.reasons[student.id] || '') !== (current.savedReasons[student.id] || '')
+    );
+
+    setStudents(previous => previous.map(item => (item.id === student.id ? {
+      ...item,
+      attendance: {
+        id: record.id,
+        status: record.status,
+        date: record.date,
+        subject: record.subject,
+        check_in_time: record.check_in_time,
+        minutes_late: record.minutes_late,
+        absence_reason: record.absence_reason,
+        absence_note: record.absence_note
+      }
+    } : item)));
+    setSavedStatuses(previous => ({ ...previous, [student.id]: record.status }));
+    setSavedCheckIns(previous => ({ ...previous, [student.id]: checkIn }));
+    setSavedReasons(previous => ({ ...previous, [student.id]: reason }));
+
+    if (!unsaved) {
+      setStatuses(previous => ({ ...previous, [student.id]: record.status }));
+      setCheckIns(previous => ({ ...previous, [student.id]: checkIn }));
+      setReasons(previous => ({ ...previous, [student.id]: reason }));
+    }
+  };
+
+  const hasUnsavedChange = (studentId) => (
+    statuses[studentId] !== savedStatuses[studentId] ||
+    (checkIns[studentId] || '') !== (savedCheckIns[studentId] || '') ||
+    (reasons[studentId] || '') !== (savedReasons[studentId] || '')
+  );
+
+  const unsavedCount = students.filter(student => hasUnsavedChange(student.id)).length;
+  const recordedCount = students.filter(student => student.attendance).length;
+
+  const confirmDiscard = () => (
+    unsavedCount === 0 ||
+    window.confirm(`You have ${unsavedCount} unsaved change(s). Discard them?`)
+  );
+
+  const handleClassChange = (e) => {
+    if (!confirmDiscard()) return;
+    setSelectedClass(e.target.value);
+  };
+
+  const handleDateChange = (e) => {
+    if (!confirmDiscard()) return;
+    setSelectedDate(e.target.value);
+  };
+
+  const handlePeriodChange = (e) => {
+    if (!confirmDiscard()) return;
+    setSelectedPeriod(e.target.value);
+  };
+
+  // Reasons only go with absences; an absence keeps its reason unless a new one is given
+  const handleStatusChange = (studentId, status, absenceReason) => {
+    setSuccess('');
+    setStatuses({
+      ...statuses,
+      [studentId]: status
+    });
+
+    if (absenceReason !== undefined || !ABSENCES.includes(status)) {
+      setReasons({
+        ...reasons,
+        [studentId]: absenceReason || ''
+      });
+    }
+
+    // An absent student has no arrival to record
+    if (status === 'Absent') {
+      setCheckIns({
+        ...checkIns,
+        [studentId]: ''
+      });
+    }
+  };
+
+  const handleSiaChange = (studentId, code) => {
+    const { status, absence_reason } = fromSiaCode(code, reasons[studentId]);
+    handleStatusChange(studentId, status, absence_reason);
+  };
+
+  const handleReasonChange = (studentId, absenceReason) => {
+    setSuccess('');
+    setReasons({
+      ...reasons,
+      [studentId]: absenceReason
+    });
+  };
+
+  // The server marks the student Present or Late from their check-in time when saved
+  const handleCheckInChange = (studentId, time) => {
+    setSuccess('');
+    setCheckIns({
+      ...checkIns,
+      [studentId]: time
+    });
+
+    if (time && statuses[studentId] === 'Absent') {
+      setStatuses({
+        ...statuses,
+        [studentId]: undefined
+      });
+    }
+  };
+
+  const handleMarkAllPresent = () => {
+    setSuccess('');
+    const allPresent = {};
+    students.forEach(student => {
+      allPresent[student.id] = 'Present';
+    });
+    setStatuses(allPresent);
+    setReasons({});
+  };
+
+  const handleReset = () => {
+    setStatuses(savedStatuses);
+    setCheckIns(savedCheckIns);
+    setReasons(savedReasons);
+    setError('');
+    setSuccess('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const records = students
+        .filter(student => statuses[student.id] || (!selectedPeriod && checkIns[student.id]))
+        .map(student => ({
+          student_id: student.id,
+          status: statuses[student.id],
+          ...(!selectedPeriod && {
+            check_in_time: checkIns[student.id] || null,
+            absence_reason: reasons[student.id] || null
+          })
+        }));
+
+      if (records.length === 0) {
+        throw new Error('Please mark at least one student before saving');
+      }
+
+      let result;
+      try {
+        result = await api.post('/attendance/bulk', {
+          date: selectedDate,
+          period_id: selectedPeriod || undefined,
+          subject: selectedPeriod ? subject : undefined,
+          records
+        });
+      } catch (err) {
+        if (!isOfflineError(err)) throw err;
+        await saveOffline(records);
+        return;
+      }
+
+      const { data, daily, message } = result;
+
+      // Reflect the stored records so the roster no longer shows them as unsaved
+      const stored = { ...savedStatuses };
+      const storedCheckIns = { ...savedCheckIns };
+      const storedReasons = { ...savedReasons };
+      data.forEach(record => {
+        stored[record.student_id] = record.status;
+        if (!selectedPeriod) {
+          storedCheckIns[record.student_id] = toTimeInput(record.check_in_time);
+          storedReasons[record.student_id] = record.absence_reason || '';
+        }
+      });
+
+      setSavedStatuses(stored);
+      setStatuses(stored);
+      setSavedCheckIns(storedCheckIns);
+      setCheckIns(storedCheckIns);
+      setSavedReasons(storedReasons);
+      setReasons(storedReasons);
+      setStudents(students.map(student => {
+        const record = data.find(r => r.student_id === student.id);
+        const dailyRecord = daily?.find(r => r.student_id === student.id);
+        return record ? {
+          ...student,
+          attendance: {
+            id: record.id,
+            status: record.status,
+            date: record.date,
+            subject: record.subject,
+            check_in_time: record.check_in_time,
+            minutes_late: record.minutes_late,
+            absence_reason: record.absence_reason,
+            absence_note: record.absence_note
+          },
+          ...(dailyRecord && {
+            daily_attendance: {
+              id: dailyRecord.id,
+              status: dailyRecord.status,
+              date: dailyRecord.date
+            }
+          })
+        } : student;
+      }));
+      setSuccess(`${message} 🎉`);
+    } catch (err) {
+      console.error('Error saving attendance:', err);
+      setError(err.message || 'Failed to save attendance');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Queue the register on this device and show it as saved; it syncs when the network is back
+  const saveOffline = async (records) => {
+    await enqueue({
+      class_id: selectedClass,
+      class_name: classes.find(cls => cls.id === selectedClass)?.class_name,
+      date: selectedDate,
+      period_id: selectedPeriod || null,
+      period_name: periods.find(period => period.id === selectedPeriod)?.name,
+      subject,
+      records,
+      base: Object.fromEntries(records.map(record => [record.student_id, savedStatuses[record.student_id] || null]))
+    });
+
+    const queuedStudents = students.map((student) => {
+      const record = records.find(r => r.student_id === student.id);
+      return record ? {
+        ...student,
+        attendance: {
+          ...student.attendance,
+          status: record.status || student.attendance?.status,
+          check_in_time: record.check_in_time ?? student.attendance?.check_in_time,
+          absence_reason: record.absence_reason ?? student.attendance?.absence_reason
+        }
+      } : student;
+    });
+
+    await updateCache(rosterCacheKey(selectedClass, selectedDate, selectedPeriod), {
+      date: selectedDate,
+      class_id: selectedClass,
+      period_id: selectedPeriod || null,
+      students: queuedStudents,
+      closed_reason: closedReason
+    });
+
+    setSavedStatuses({ ...statuses });
+    setSavedCheckIns({ ...checkIns });
+    setSavedReasons({ ...reasons });
+    setStudents(queuedStudents);
+    setSuccess(`📴 You are offline. ${records.length} record${records.length === 1 ? ' is' : 's are'} saved on this device and will sync when the connection is back.`);
+  };
+
+  const indonesian = statusLabels === 'id';
+  const statusOptions = indonesian && !selectedPeriod ? SIA_OPTIONS : STATUS_OPTIONS;
+  const statusLabel = ({ status, absence_reason }) => (indonesian ? siaLabel(status, absence_reason) : status);
+
+  const queuedIds = new Set(queue
+    .filter(operation => (
+      operation.class_id === selectedClass &&
+      operation.date === selectedDate &&
+      (operation.period_id || '') === selectedPeriod
+    ))
+    .flatMap(operation => operation.records.map(record => record.student_id)));
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">📝</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Record Attendance</h1>
+            <p className="text-gray-600">Pick a class and date, mark each student, then save the whole roster at once</p>
+            <p className="text-sm text-gray-500 mt-1">
+              Entering a check-in time marks the student Present or Late from the school start time
+            </p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          {cachedAt && (
+            <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded-xl mb-6">
+              📴 Offline: showing the roster saved on this device at {format(new Date(cachedAt), 'HH:mm, MMM dd')}.
+              You can keep marking; changes sync when the connection is back.
+            </div>
+          )}
+
+          <div className={`grid gap-6 mb-8 ${periods.length > 0 ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+            <div>
+              <label htmlFor="class_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                Class *
+              </label>
+              <select
+                id="class_id"
+                value={selectedClass}
+                onChange={handleClassChange}
+                className="form-select"
+              >
+                <option value="">Select a class</option>
+                {classes.map((cls) => (
+                  <option key={cls.id} value={cls.id}>
+                    {cls.class_name} - Grade {cls.grade}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="date" className="block text-sm font-semibold text-gray-700 mb-2">
+                Date *
+              </label>
+              <input
+                type="date"
+                id="date"
+                value={selectedDate}
+                onChange={handleDateChange}
+                className="form-input"
+                max={format(new Date(), 'yyyy-MM-dd')}
+              />
+            </div>
+
+            {periods.length > 0 && (
+              <div>
+                <label htmlFor="period_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Lesson
+                </label>
+                <select
+                  id="period_id"
+                  value={selectedPeriod}
+                  onChange={handlePeriodChange}
+                  className="form-select"
+                >
+                  <option value="">Whole day</option>
+                  {periods.map((period) => (
+                    <option key={period.id} value={period.id}>
+                      {period.name} ({period.start_time.slice(0, 5)})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {selectedPeriod && (
+            <div className="mb-8">
+              <label htmlFor="subject" className="block text-sm font-semibold text-gray-700 mb-2">
+                Subject
+              </label>
+              <input
+                type="text"
+                id="subject"
+                value={subject}
+                onChange={(e) => setSubject(e.target.value)}
+                className="form-input"
+                placeholder="e.g., Mathematics (optional)"
+                maxLength={100}
+              />
+              <p className="text-sm text-gray-500 mt-2">
+                Each student's daily status is worked out from their lessons when you save.
+              </p>
+            </div>
+          )}
+
+          {!selectedClass ? (
+            <div className="text-center py-8">
+              <div className="text-6xl mb-4">🏫</div>
+              <p className="text-gray-600 text-lg">Select a class to load its roster</p>
+            </div>
+          ) : loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="text-center">
+                <div className="spinner mx-auto mb-4"></div>
+                <p className="text-lg font-semibold text-gray-600">Loading roster...</p>
+              </div>
+            </div>
+          ) : students.length === 0 ? (
+            <div className="text-center py-8">
+              <div className="text-6xl mb-4">👥</div>
+              <p className="text-gray-600 text-lg">This class has no students yet</p>
+              <a href="/add-student" className="btn-primary mt-4 inline-block">
+                Add a Student
+              </a>
+            </div>
+          ) : (
+            <>
+              {closedReason && (
+                <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded-xl mb-6">
+                  <p className="font-semibold">🏖️ School is closed on this day ({closedReason})</p>
+                  <p>Attendance can only be recorded on instructional days.</p>
+                </div>
+              )}
+
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <div className="flex flex-wrap gap-2 text-sm font-semibold">
+                  <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-700">
+                    {students.length} students
+                  </span>
+                  <span className="px-3 py-1 rounded-full bg-blue-100 text-blue-800">
+                    {recordedCount} already recorded
+                  </span>
+                  {unsavedCount > 0 && (
+                    <span className="px-3 py-1 rounded-full bg-yellow-100 text-yellow-800">
+                      {unsavedCount} unsaved change{unsavedCount === 1 ? '' : 's'}
+                    </span>
+                  )}
+                  {liveConnection && (
+                    <span
+                      className="px-3 py-1 rounded-full bg-green-100 text-green-800"
+                      title="Changes recorded elsewhere appear here as they happen"
+                    >
+                      ● Live
+                    </span>
+                  )}
+                </div>
+                <button
+                  type="button"
+                  onClick={handleMarkAllPresent}
+                  className="btn-success"
+                >
+                  ✅ Mark All Present
+                </button>
+              </div>
+
+              <div className="space-y-3 mb-8">
+                {students.map((student) => {
+                  const unsaved = hasUnsavedChange(student.id);
+
+                  return (
+                    <div
+                      key={student.id}
+                      className={`flex flex-col md:flex-row md:items-center justify-between gap-4 p-4 rounded-2xl border-2 transition-all duration-200 ${
+                        unsaved ? 'border-yellow-400 bg-yellow-50' : 'border-gray-100 bg-gray-50'
+                      }`}
+                    >
+                      <div className="relative">
+                        <p className="font-semibold text-gray-800">{student.name}</p>
+                        <p className="text-sm text-gray-500">
+                          {student.attendance && selectedPeriod ? (
+                            <>
+                              Recorded as <span className="font-semibold">{statusLabel(student.attendance)}</span>
+                              {student.daily_attendance && (
+                                <span className="ml-2">· day: <span className="font-semibold">{statusLabel(student.daily_attendance)}</span></span>
+                              )}
+                            </>
+                          ) : student.attendance ? (
+                            <>
+                              Recorded as <span className="font-semibold">{statusLabel(student.attendance)}</span>
+                              {student.attendance.check_in_time && (
+                                <span className="ml-2">
+                                  · in at {toTimeInput(student.attendance.check_in_time)}
+                                  {student.attendance.minutes_late > 0 && ` (${student.attendance.minutes_late} min late)`}
+                                </span>
+                              )}
+                              {student.attendance.absence_reason && (
+                                <span className="ml-2">
+                                  · {ABSENCE_REASONS[student.attendance.absence_reason]}
+                                  {student.attendance.absence_note && `: ${student.attendance.absence_note}`}
+                                </span>
+                              )}
+                              {student.attendance.id && (
+                                <button
+                                  type="button"
+                                  onClick={() => setHistoryFor(historyFor === student.attendance.id ? null : student.attendance.id)}
+                                  className="ml-2 text-blue-600 hover:underline font-semibold"
+                                >
+                                  🕘 History
+                                </button>
+                              )}
+                            </>
+                          ) : (
+                            'Not recorded yet'
+                          )}
+                          {unsaved && <span className="ml-2 text-yellow-700 font-semibold">• unsaved</span>}
+                          {!unsaved && queuedIds.has(student.id) && (
+                            <span className="ml-2 text-orange-700 font-semibold">⏳ waiting to sync</span>
+                          )}
+                        </p>
+                        {!selectedPeriod && student.lessons?.length > 0 && (
+                          <p className="text-xs text-gray-500">
+                            Lessons: {student.lessons.map(lesson => `${lesson.period_name} ${lesson.status}`).join(' · ')}
+                          </p>
+                        )}
+                        {!selectedPeriod && student.attendance && historyFor === student.attendance.id && (
+                          <AttendanceHistory
+                            attendanceId={student.attendance.id}
+                            onClose={() => setHistoryFor(null)}
+                          />
+                        )}
+                      </div>
+
+                      <div className="flex flex-wrap items-center gap-2">
+                        {!selectedPeriod && (
+                          <div className="flex items-center gap-1">
+                            <input
+                              type="time"
+                              aria-label={`Check-in time for ${student.name}`}
+                              value={checkIns[student.id] || ''}
+                              onChange={(e) => handleCheckInChange(student.id, e.target.value)}
+                              className="form-input w-32 py-2"
+                            />
+                            <button
+                              type="button"
+                              onClick={() => handleCheckInChange(student.id, format(new Date(), 'HH:mm'))}
+                              className="px-3 py-2 rounded-full text-sm font-semibold btn-bounce bg-gray-100 text-gray-700 hover:bg-gray-200"
+                            >
+                              Now
+                            </button>
+                          </div>
+                        )}
+                        {statusOptions.map((option) => {
+                          const selected = option.code
+                            ? toSiaCode(statuses[student.id], reasons[student.id]) === option.code
+                            : statuses[student.id] === option.value;
+
+                          return (
+                            <button
+                              key={option.code || option.value}
+                              type="button"
+                              onClick={() => (option.code
+                                ? handleSiaChange(student.id, option.code)
+                                : handleStatusChange(student.id, option.value))}
+                              className={`px-4 py-2 rounded-full font-semibold btn-bounce ${
+                                selected ? option.active : option.idle
+                              }`}
+                            >
+                              <span className="mr-1">{option.icon}</span>
+                              {option.label || statusLabel({ status: option.value })}
+                            </button>
+                          );
+                        })}
+                        {!selectedPeriod && ABSENCES.includes(statuses[student.id]) && (
+                          <select
+                            aria-label={`Absence reason for ${student.name}`}
+                            value={reasons[student.id] || ''}
+                            onChange={(e) => handleReasonChange(student.id, e.target.value)}
+                            className="form-select w-48 py-2"
+                          >
+                            <option value="">{indonesian ? 'Tanpa keterangan' : 'No reason given'}</option>
+                            {Object.entries(ABSENCE_REASONS).map(([value, label]) => (
+                              <option key={value} value={value}>
+                                {label}
+                              </option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="flex space-x-4">
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={saving || unsavedCount === 0 || !!closedReason}
+                  className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {saving ? (
+                    <div className="flex items-center justify-center">
+                      <div className="spinner w-5 h-5 mr-2"></div>
+                      Saving Attendance...
+                    </div>
+                  ) : (
+                    '💾 Save Attendance'
+                  )}
+                </button>
+
+                <button
+                  type="button"
+                  onClick={handleReset}
+                  disabled={saving || unsavedCount === 0}
+                  className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  🔄 Undo Changes
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordAttendance;
@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import {
+  format,
+  addMonths,
+  subMonths,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  eachDayOfInterval,
+  isSameMonth,
+  isWeekend
+} from 'date-fns';
+import { api } from '../lib/api';
+
+const EVENT_TYPES = {
+  holiday: { label: 'Holiday', icon: '🎉', className: 'bg-red-100 text-red-800' },
+  break: { label: 'School Break', icon: '🏖️', className: 'bg-orange-100 text-orange-800' },
+  teacher_only: { label: 'Teacher-Only Day', icon: '🧑‍🏫', className: 'bg-purple-100 text-purple-800' }
+};
+
+const emptyForm = (date = '') => ({
+  title: '',
+  event_type: 'holiday',
+  start_date: date,
+  end_date: date,
+  notes: ''
+});
+
+const SchoolCalendar = () => {
+  const [month, setMonth] = useState(startOfMonth(new Date()));
+  const [events, setEvents] = useState([]);
+  const [formData, setFormData] = useState(emptyForm());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadEvents();
+  }, [month]);
+
+  const loadEvents = async () => {
+    try {
+      setLoading(true);
+
+      const { data } = await api.get('/calendar', {
+        start_date: format(startOfMonth(month), 'yyyy-MM-dd'),
+        end_date: format(endOfMonth(month), 'yyyy-MM-dd')
+      });
+      setEvents(data);
+    } catch (err) {
+      console.error('Error loading calendar events:', err);
+      setError(err.message || 'Failed to load calendar events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      if (!formData.title.trim()) {
+        throw new Error('Event title is required');
+      }
+      if (formData.end_date < formData.start_date) {
+        throw new Error('End date must be on or after the start date');
+      }
+
+      const { message } = await api.post('/calendar', {
+        ...formData,
+        title: formData.title.trim()
+      });
+      await loadEvents();
+
+      setSuccess(`${message} 🎉`);
+      setFormData(emptyForm());
+    } catch (err) {
+      console.error('Error creating calendar event:', err);
+      setError(err.message || 'Failed to create calendar event');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (event) => {
+    if (!window.confirm(`Delete "${event.title}"?`)) return;
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const { message } = await api.delete(`/calendar/${event.id}`);
+      setEvents(events.filter(e => e.id !== event.id));
+      setSuccess(message);
+    } catch (err) {
+      console.error('Error deleting calendar event:', err);
+      setError(err.message || 'Failed to delete calendar event');
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const eventsOn = (date) => events.filter(event => event.start_date <= date && event.end_date >= date);
+
+  const days = eachDayOfInterval({
+    start: startOfWeek(month),
+    end: endOfWeek(endOfMonth(month))
+  });
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="grid lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2 bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+          <div className="flex items-center justify-between mb-6">
+            <button
+              type="button"
+              onClick={() => setMonth(subMonths(month, 1))}
+              className="px-4 py-2 rounded-full font-semibold btn-bounce bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              ◀
+            </button>
+            <h1 className="text-3xl font-bold text-gray-800">📅 {format(month, 'MMMM yyyy')}</h1>
+            <button
+              type="button"
+              onClick={() => setMonth(addMonths(month, 1))}
+              className="px-4 py-2 rounded-full font-semibold btn-bounce bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              ▶
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-24">
+              <div className="spinner"></div>
+            </div>
+          ) : (
+            <div className="grid grid-cols-7 gap-2">
+              {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day) => (
+                <div key={day} className="text-center text-sm font-semibold text-gray-500 py-2">
+                  {day}
+                </div>
+              ))}
+
+              {days.map((day) => {
+                const date = format(day, 'yyyy-MM-dd');
+                const dayEvents = eventsOn(date);
+                const inMonth = isSameMonth(day, month);
+
+                return (
+                  <button
+                    key={date}
+                    type="button"
+                    onClick={() => setFormData({ ...formData, start_date: date, end_date: date })}
+                    title="Add an event on this day"
+                    className={`calendar-day min-h-24 p-2 rounded-xl text-left border ${
+                      !inMonth ? 'opacity-40' : ''
+                    } ${
+                      dayEvents.length > 0
+                        ? EVENT_TYPES[dayEvents[0].event_type].className
+                        : isWeekend(day)
+                          ? 'bg-gray-100 text-gray-400'
+                          : 'bg-white text-gray-800'
+                    }`}
+                  >
+                    <div className="font-bold">{format(day, 'd')}</div>
+                    {dayEvents.map((event) => (
+                      <div key={event.id} className="text-xs font-semibold truncate">
+                        {EVENT_TYPES[event.event_type].icon} {event.title}
+                      </div>
+                    ))}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-3 mt-6 text-sm">
+            {Object.entries(EVENT_TYPES).map(([type, config]) => (
+              <span key={type} className={`px-3 py-1 rounded-full font-semibold ${config.className}`}>
+                {config.icon} {config.label}
+              </span>
+            ))}
+            <span className="px-3 py-1 rounded-full font-semibold bg-gray-100 text-gray-500">Weekend</span>
+          </div>
+        </div>
+
+        <div className="space-y-8">
+          <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+            <h2 className="text-2xl font-bold text-gray-800 mb-4">➕ Add Closure</h2>
+
+            {success && (
+              <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-4">
+                {success}
+              </div>
+            )}
+
+            {error && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-4">
+                {error}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="title" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Title *
+                </label>
+                <input
+                  type="text"
+                  id="title"
+                  name="title"
+                  value={formData.title}
+                  onChange={handleChange}
+                  className="form-input"
+                  placeholder="e.g., Independence Day"
+                  required
+                />
+              </div>
+
+              <div>
+                <label htmlFor="event_type" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Type *
+                </label>
+                <select
+                  id="event_type"
+                  name="event_type"
+                  value={formData.event_type}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  {Object.entries(EVENT_TYPES).map(([type, config]) => (
+                    <option key={type} value={type}>
+                      {config.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="start_date" className="block text-sm font-semibold text-gray-700 mb-2">
+                    From *
+                  </label>
+                  <input
+                    type="date"
+                    id="start_date"
+                    name="start_date"
+                    value={formData.start_date}
+                    onChange={handleChange}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label htmlFor="end_date" className="block text-sm font-semibold text-gray-700 mb-2">
+                    To *
+                  </label>
+                  <input
+                    type="date"
+                    id="end_date"
+                    name="end_date"
+                    value={formData.end_date}
+                    onChange={handleChange}
+                    className="form-input"
+                    min={formData.start_date}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="notes" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Notes
+                </label>
+                <textarea
+                  id="notes"
+                  name="notes"
+                  value={formData.notes}
+                  onChange={handleChange}
+                  className="form-input"
+                  rows={2}
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={saving}
+                className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? (
+                  <div className="flex items-center justify-center">
+                    <div className="spinner w-5 h-5 mr-2"></div>
+                    Saving...
+                  </div>
+                ) : (
+                  '✅ Add to Calendar'
+                )}
+              </button>
+            </form>
+          </div>
+
+          <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+            <h2 className="text-2xl font-bold text-gray-800 mb-4">📋 This Month</h2>
+
+            {events.length === 0 ? (
+              <p className="text-gray-500">Every weekday this month is a school day</p>
+            ) : (
+              <ul className="space-y-3">
+                {events.map((event) => (
+                  <li key={event.id} className="flex items-start justify-between gap-2 p-3 rounded-xl bg-gray-50">
+                    <div>
+                      <p className="font-semibold text-gray-800">
+                        {EVENT_TYPES[event.event_type].icon} {event.title}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {format(new Date(event.start_date), 'MMM dd')}
+                        {event.end_date !== event.start_date && ` – ${format(new Date(event.end_date), 'MMM dd')}`}
+                        {' · '}{EVENT_TYPES[event.event_type].label}
+                      </p>
+                      {event.notes && <p className="text-sm text-gray-500">{event.notes}</p>}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(event)}
+                      className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                    >
+                      Delete
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchoolCalendar;
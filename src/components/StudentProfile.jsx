@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  format,
+  parseISO,
+  eachDayOfInterval,
+  startOfWeek,
+  endOfWeek,
+  isWeekend
+} from 'date-fns';
+import { api } from '../lib/api';
+import { ABSENCE_REASONS } from '../lib/absenceReasons';
+
+const STATUS_STYLES = {
+  Present: { cell: 'bg-green-500', card: 'bg-green-50', text: 'text-green-800', value: 'text-green-600' },
+  Absent: { cell: 'bg-red-500', card: 'bg-red-50', text: 'text-red-800', value: 'text-red-600' },
+  Late: { cell: 'bg-yellow-400', card: 'bg-yellow-50', text: 'text-yellow-800', value: 'text-yellow-600' },
+  Excused: { cell: 'bg-blue-500', card: 'bg-blue-50', text: 'text-blue-800', value: 'text-blue-600' }
+};
+
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+// What one heatmap cell shows: a recorded status, a closed day, or nothing yet
+const describeDay = (date, { statusByDate, closures, period, today }) => {
+  if (date < period.start_date || date > period.end_date) return { kind: 'outside' };
+  if (statusByDate[date]) return { kind: 'status', status: statusByDate[date] };
+  if (isWeekend(parseISO(date))) return { kind: 'closed', label: 'Weekend' };
+
+  const closure = closures.find(event => event.start_date <= date && event.end_date >= date);
+  if (closure) return { kind: 'closed', label: closure.title };
+
+  return { kind: date > today ? 'future' : 'unrecorded' };
+};
+
+const CELL_STYLES = {
+  outside: 'bg-transparent',
+  closed: 'bg-gray-200',
+  future: 'bg-gray-50 border border-gray-100',
+  unrecorded: 'bg-white border border-gray-300'
+};
+
+// GitHub-style grid: one column per week, Monday at the top
+const AttendanceHeatmap = ({ period, attendance, closures }) => {
+  const today = format(new Date(), 'yyyy-MM-dd');
+  const statusByDate = Object.fromEntries(attendance.map(record => [record.date, record.status]));
+  const context = { statusByDate, closures, period, today };
+
+  const days = eachDayOfInterval({
+    start: startOfWeek(parseISO(period.start_date), { weekStartsOn: 1 }),
+    end: endOfWeek(parseISO(period.end_date), { weekStartsOn: 1 })
+  });
+
+  const weeks = [];
+  for (let i = 0; i < days.length; i += 7) {
+    weeks.push(days.slice(i, i + 7));
+  }
+
+  return (
+    <div className="overflow-x-auto pb-2">
+      <div className="inline-flex space-x-1">
+        <div className="flex flex-col space-y-1 mr-1 pt-5">
+          {WEEKDAY_LABELS.map((label, index) => (
+            <div key={index} className="h-3 text-[10px] leading-3 text-gray-500">{label}</div>
+          ))}
+        </div>
+        {weeks.map((week, index) => {
+          // Label a column with its month when the month starts in that week
+          const firstOfMonth = week.find(day => day.getDate() === 1);
+          const showMonth = index === 0 || firstOfMonth;
+
+          return (
+            <div key={index} className="flex flex-col space-y-1">
+              <div className="h-4 text-[10px] leading-4 text-gray-500 whitespace-nowrap">
+                {showMonth ? format(firstOfMonth || week[0], 'MMM') : ''}
+              </div>
+              {week.map((day) => {
+                const date = format(day, 'yyyy-MM-dd');
+                const cell = describeDay(date, context);
+                const style = cell.kind === 'status' ? STATUS_STYLES[cell.status].cell : CELL_STYLES[cell.kind];
+                const label = cell.kind === 'status'
+                  ? cell.status
+                  : cell.kind === 'closed'
+                    ? `Closed (${cell.label})`
+                    : cell.kind === 'unrecorded' ? 'Not recorded' : '';
+
+                return (
+                  <div
+                    key={date}
+                    className={`w-3 h-3 rounded-sm ${style}`}
+                    title={cell.kind === 'outside' ? undefined : `${format(day, 'EEE, MMM dd, yyyy')}${label ? `: ${label}` : ''}`}
+                  />
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mt-4 text-sm text-gray-600">
+        {Object.entries(STATUS_STYLES).map(([status, style]) => (
+          <span key={status} className="flex items-center">
+            <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${style.cell}`} /> {status}
+          </span>
+        ))}
+        <span className="flex items-center">
+          <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${CELL_STYLES.unrecorded}`} /> Not recorded
+        </span>
+        <span className="flex items-center">
+          <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${CELL_STYLES.closed}`} /> No school
+        </span>
+      </div>
+    </div>
+  );
+};
+
+const StudentProfile = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [academicYears, setAcademicYears] = useState([]);
+  const [selectedYear, setSelectedYear] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadAcademicYears();
+  }, []);
+
+  useEffect(() => {
+    loadProfile();
+  }, [id, selectedYear]);
+
+  const loadAcademicYears = async () => {
+    try {
+      const { data } = await api.get('/academic-years');
+      setAcademicYears(data);
+    } catch (err) {
+      console.error('Error loading academic years:', err);
+    }
+  };
+
+  const loadProfile = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await api.get(`/students/${id}/summary`, { academic_year_id: selectedYear });
+      setProfile(data);
+    } catch (err) {
+      console.error('Error loading student profile:', err);
+      setError(err.message || 'Failed to load the student');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading && !profile) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex items-center justify-center min-h-96">
+          <div className="text-center">
+            <div className="spinner mx-auto mb-4"></div>
+            <p className="text-lg font-semibold text-gray-600">Loading student...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl">
+          {error}
+        </div>
+      </div>
+    );
+  }
+
+  const { student, guardians, period, summary, streaks } = profile;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-5xl mx-auto space-y-8">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl">
+          <div className="flex flex-wrap items-start justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-800">🧒 {student.name}</h1>
+              <p className="text-lg text-gray-600">
+                {student.classes ? `${student.classes.class_name} - Grade ${student.classes.grade}` : 'No class'}
+                {student.enrollment_status !== 'active' && (
+                  <span className="ml-3 px-3 py-1 rounded-full text-sm font-semibold capitalize bg-red-100 text-red-800">
+                    {student.enrollment_status}
+                    {student.left_on && ` since ${format(parseISO(student.left_on), 'MMM dd, yyyy')}`}
+                  </span>
+                )}
+              </p>
+            </div>
+            <select
+              value={selectedYear}
+              onChange={(e) => setSelectedYear(e.target.value)}
+              className="form-select md:w-64"
+              aria-label="Academic year"
+            >
+              <option value="">Current year</option>
+              {academicYears.map(year => (
+                <option key={year.id} value={year.id}>Academic Year {year.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mt-6">
+              {error}
+            </div>
+          )}
+
+          {guardians && (
+            <div className="mt-6">
+              <h2 className="text-lg font-semibold text-gray-700 mb-2">👪 Guardians</h2>
+              {guardians.length === 0 ? (
+                <p className="text-gray-600">No guardians on file</p>
+              ) : (
+                <ul className="grid md:grid-cols-2 gap-3">
+                  {guardians.map(guardian => (
+                    <li key={guardian.id} className="p-3 rounded-xl bg-gray-50">
+                      <p className="font-semibold text-gray-800">
+                        {guardian.name}
+                        {guardian.relation && <span className="ml-2 text-sm text-gray-600">({guardian.relation})</span>}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {[guardian.phone, guardian.email].filter(Boolean).join(' · ')}
+                      </p>
+                      {!guardian.receives_notifications && (
+                        <p className="text-xs text-gray-500">Does not receive attendance notifications</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl">
+          <h2 className="text-2xl font-bold text-gray-800 mb-1">📊 {period.label}</h2>
+          <p className="text-gray-600 mb-6">
+            {summary.instructional_days} school days so far
+            {summary.unrecorded_days > 0 && `, ${summary.unrecorded_days} without attendance`}
+          </p>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4 mb-8">
+            <div className="text-center p-4 rounded-2xl bg-gray-50">
+              <p className="text-sm font-semibold text-gray-600">Attendance Rate</p>
+              <p className="text-2xl font-bold text-gray-800">{summary.attendance_rate}%</p>
+            </div>
+            {Object.entries(STATUS_STYLES).map(([status, style]) => (
+              <div key={status} className={`text-center p-4 rounded-2xl ${style.card}`}>
+                <p className={`text-sm font-semibold ${style.text}`}>{status}</p>
+                <p className={`text-2xl font-bold ${style.value}`}>{summary.counts[status]}</p>
+                <p className="text-xs text-gray-500">{summary.rates[status]}%</p>
+              </div>
+            ))}
+            <div className="text-center p-4 rounded-2xl bg-green-50">
+              <p className="text-sm font-semibold text-green-800">Current Streak</p>
+              <p className="text-2xl font-bold text-green-600">{streaks.current}</p>
+              <p className="text-xs text-gray-500">days in school</p>
+            </div>
+            <div className="text-center p-4 rounded-2xl bg-purple-50">
+              <p className="text-sm font-semibold text-purple-800">Longest Streak</p>
+              <p className="text-2xl font-bold text-purple-600">{streaks.longest}</p>
+              <p className="text-xs text-gray-500">days in school</p>
+            </div>
+          </div>
+
+          <AttendanceHeatmap period={period} attendance={profile.attendance} closures={profile.closures} />
+        </div>
+
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">📋 Recent Absences</h2>
+          {profile.recent_absences.length === 0 ? (
+            <p className="text-lg text-gray-600">🎉 No absences this year.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b-2 border-gray-200">
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Date</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Status</th>
+                    <th className="text-left py-3 px-4 font-semibold text-gray-700">Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {profile.recent_absences.map((record, index) => (
+                    <tr key={record.id} className={`border-b border-gray-100 ${index % 2 === 0 ? 'bg-gray-50' : ''}`}>
+                      <td className="py-3 px-4 text-gray-600">{format(parseISO(record.date), 'EEE, MMM dd, yyyy')}</td>
+                      <td className="py-3 px-4">
+                        <span className={`px-3 py-1 rounded-full text-sm font-semibold ${STATUS_STYLES[record.status].card} ${STATUS_STYLES[record.status].text}`}>
+                          {record.status}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4 text-gray-600">
+                        {record.absence_reason ? ABSENCE_REASONS[record.absence_reason] : '—'}
+                        {record.absence_note && `: ${record.absence_note}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <button type="button" onClick={() => navigate(-1)} className="text-blue-600 font-semibold hover:text-blue-800">
+          ← Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StudentProfile;
@@ -0,0 +1,319 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { db } from '../lib/supabase';
+import { api } from '../lib/api';
+
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Active' },
+  { value: 'withdrawn', label: 'Withdrawn' },
+  { value: 'transferred', label: 'Transferred' },
+  { value: 'graduated', label: 'Graduated' },
+  { value: 'all', label: 'All students' }
+];
+
+const LEAVING_STATUSES = ['withdrawn', 'transferred', 'graduated'];
+
+const STATUS_BADGES = {
+  active: 'bg-green-100 text-green-800',
+  withdrawn: 'bg-red-100 text-red-800',
+  transferred: 'bg-yellow-100 text-yellow-800',
+  graduated: 'bg-purple-100 text-purple-800'
+};
+
+const emptyWithdrawal = () => ({
+  enrollment_status: 'withdrawn',
+  left_on: format(new Date(), 'yyyy-MM-dd'),
+  withdrawal_reason: ''
+});
+
+const Students = () => {
+  const [status, setStatus] = useState('active');
+  const [students, setStudents] = useState([]);
+  const [classes, setClasses] = useState([]);
+  const [withdrawing, setWithdrawing] = useState(null);
+  const [withdrawal, setWithdrawal] = useState(emptyWithdrawal());
+  const [reinstating, setReinstating] = useState(null);
+  const [reinstateClassId, setReinstateClassId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadClasses();
+  }, []);
+
+  useEffect(() => {
+    loadStudents();
+  }, [status]);
+
+  const loadClasses = async () => {
+    try {
+      const classesData = await db.getClasses();
+      setClasses(classesData);
+    } catch (err) {
+      console.error('Error loading classes:', err);
+      setError('Failed to load classes');
+    }
+  };
+
+  const loadStudents = async () => {
+    try {
+      setLoading(true);
+      const { data } = await api.get('/students', { status });
+      setStudents(data);
+    } catch (err) {
+      console.error('Error loading students:', err);
+      setError(err.message || 'Failed to load students');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run an enrollment or card change, then refresh the list and report the outcome
+  const runAction = async (action) => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { message } = await action();
+      setWithdrawing(null);
+      setReinstating(null);
+      await loadStudents();
+      setSuccess(message);
+    } catch (err) {
+      console.error('Error updating enrollment:', err);
+      setError(err.message || 'Failed to update the student');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startWithdrawal = (student) => {
+    setReinstating(null);
+    setWithdrawing(student.id);
+    setWithdrawal(emptyWithdrawal());
+  };
+
+  const startReinstate = (student) => {
+    setWithdrawing(null);
+    setReinstating(student.id);
+    setReinstateClassId(classes.some(cls => cls.id === student.class_id) ? student.class_id : '');
+  };
+
+  const handleWithdraw = (e, student) => {
+    e.preventDefault();
+    runAction(() => api.post(`/students/${student.id}/withdraw`, withdrawal));
+  };
+
+  const handleReinstate = (e, student) => {
+    e.preventDefault();
+    runAction(() => api.post(`/students/${student.id}/reinstate`, { class_id: reinstateClassId }));
+  };
+
+  // Replace a lost card: the old code stops working and the new card is downloaded for printing
+  const handleReplaceCard = (student) => {
+    if (!window.confirm(`Issue a new card for ${student.name}? Their current card will stop working.`)) return;
+    runAction(async () => {
+      const result = await api.post(`/students/${student.id}/card`);
+      await api.download('/students/cards', { student_id: student.id }, 'student_card.pdf');
+      return result;
+    });
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">🧒</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Students</h1>
+            <p className="text-gray-600">Withdraw students who leave; their attendance history is kept</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2 mb-6">
+            {STATUS_FILTERS.map((filter) => (
+              <button
+                key={filter.value}
+                type="button"
+                onClick={() => setStatus(filter.value)}
+                className={`px-4 py-2 rounded-full font-semibold btn-bounce ${
+                  status === filter.value
+                    ? 'bg-blue-500 text-white shadow-lg'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <div className="text-center py-8">
+              <div className="spinner mx-auto mb-4"></div>
+              <p className="text-gray-600">Loading students...</p>
+            </div>
+          ) : students.length === 0 ? (
+            <div className="text-center py-8">
+              <div className="text-6xl mb-4">📭</div>
+              <p className="text-gray-600 text-lg">No students here</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {students.map((student) => (
+                <div key={student.id} className="p-4 rounded-xl bg-gray-50">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <Link to={`/students/${student.id}`} className="font-semibold text-gray-800 hover:text-blue-700 hover:underline">
+                        {student.name}
+                      </Link>
+                      <span className="ml-3 text-sm text-gray-600">
+                        {student.classes.class_name} - Grade {student.classes.grade}
+                      </span>
+                      <span className={`ml-3 px-3 py-1 rounded-full text-sm font-semibold capitalize ${STATUS_BADGES[student.enrollment_status]}`}>
+                        {student.enrollment_status}
+                      </span>
+                      {student.left_on && (
+                        <span className="ml-3 text-sm text-gray-600">
+                          since {format(new Date(student.left_on), 'MMM dd, yyyy')}
+                          {student.withdrawal_reason && ` – ${student.withdrawal_reason}`}
+                        </span>
+                      )}
+                    </div>
+                    {student.enrollment_status === 'active' ? (
+                      <div className="flex space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => handleReplaceCard(student)}
+                          disabled={saving}
+                          className="px-4 py-2 rounded-full font-semibold btn-bounce bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        >
+                          🪪 New Card
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => startWithdrawal(student)}
+                          className="px-4 py-2 rounded-full font-semibold btn-bounce bg-red-50 text-red-700 hover:bg-red-100"
+                        >
+                          Withdraw
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => startReinstate(student)}
+                        className="px-4 py-2 rounded-full font-semibold btn-bounce bg-green-50 text-green-700 hover:bg-green-100"
+                      >
+                        Re-enroll
+                      </button>
+                    )}
+                  </div>
+
+                  {withdrawing === student.id && (
+                    <form onSubmit={(e) => handleWithdraw(e, student)} className="grid md:grid-cols-4 gap-3 items-end mt-4">
+                      <select
+                        value={withdrawal.enrollment_status}
+                        onChange={(e) => setWithdrawal({ ...withdrawal, enrollment_status: e.target.value })}
+                        className="form-select capitalize"
+                        aria-label="Reason for leaving"
+                      >
+                        {LEAVING_STATUSES.map((value) => (
+                          <option key={value} value={value}>
+                            {value}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="date"
+                        value={withdrawal.left_on}
+                        onChange={(e) => setWithdrawal({ ...withdrawal, left_on: e.target.value })}
+                        className="form-input"
+                        aria-label="Withdrawal date"
+                        required
+                      />
+                      <input
+                        type="text"
+                        value={withdrawal.withdrawal_reason}
+                        onChange={(e) => setWithdrawal({ ...withdrawal, withdrawal_reason: e.target.value })}
+                        className="form-input"
+                        placeholder="Reason (optional)"
+                        maxLength={500}
+                      />
+                      <div className="flex space-x-2">
+                        <button
+                          type="submit"
+                          disabled={saving}
+                          className="flex-1 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Save
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setWithdrawing(null)}
+                          className="flex-1 btn-secondary"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {reinstating === student.id && (
+                    <form onSubmit={(e) => handleReinstate(e, student)} className="grid md:grid-cols-3 gap-3 items-end mt-4">
+                      <select
+                        value={reinstateClassId}
+                        onChange={(e) => setReinstateClassId(e.target.value)}
+                        className="form-select md:col-span-2"
+                        aria-label="Class"
+                        required
+                      >
+                        <option value="">Choose a class</option>
+                        {classes.map((cls) => (
+                          <option key={cls.id} value={cls.id}>
+                            {cls.class_name} - Grade {cls.grade}
+                          </option>
+                        ))}
+                      </select>
+                      <div className="flex space-x-2">
+                        <button
+                          type="submit"
+                          disabled={saving}
+                          className="flex-1 btn-success disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Re-enroll
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setReinstating(null)}
+                          className="flex-1 btn-secondary"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Students;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import { subscribe, syncQueue, resolveConflict, discardOperation } from '../lib/offline';
+
+const STATE_LABELS = {
+  queued: 'Waiting to sync',
+  conflict: 'Changed by someone else',
+  failed: 'Not accepted'
+};
+
+// Offline / pending-sync indicator, with the queued registers and any conflicts to settle
+const SyncStatus = () => {
+  const [queue, setQueue] = useState([]);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => subscribe(setQueue), []);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  const attention = queue.filter(operation => operation.state !== 'queued').length;
+  const waiting = queue.reduce((sum, operation) => sum + operation.records.length, 0);
+
+  if (online && queue.length === 0) return null;
+
+  const label = !online
+    ? `📴 Offline${waiting > 0 ? ` · ${waiting} to sync` : ''}`
+    : attention > 0
+      ? `⚠️ ${attention} to review`
+      : `⏳ ${waiting} to sync`;
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`px-4 py-2 rounded-full font-semibold btn-bounce ${
+          attention > 0 ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+        }`}
+      >
+        {label}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 max-w-[90vw] bg-white rounded-2xl shadow-xl p-4 z-20">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="font-bold text-gray-800">Attendance saved on this device</h2>
+            <button
+              type="button"
+              onClick={syncQueue}
+              disabled={!online}
+              className="px-3 py-1 rounded-full text-sm font-semibold btn-bounce bg-blue-50 text-blue-700 hover:bg-blue-100 disabled:opacity-50"
+            >
+              Sync now
+            </button>
+          </div>
+
+          {queue.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing waiting; changes you save offline will appear here</p>
+          ) : (
+            <ul className="space-y-3 max-h-96 overflow-y-auto">
+              {queue.map((operation) => (
+                <li key={operation.id} className="p-3 rounded-xl bg-gray-50 text-sm">
+                  <p className="font-semibold text-gray-800">
+                    {operation.class_name} · {format(parseISO(operation.date), 'MMM dd')}
+                    {operation.period_name && ` · ${operation.period_name}`}
+                  </p>
+                  <p className="text-gray-600">
+                    {operation.records.length} student{operation.records.length === 1 ? '' : 's'} · {STATE_LABELS[operation.state]}
+                  </p>
+
+                  {operation.state === 'failed' && (
+                    <>
+                      <p className="text-red-700">{operation.last_error}</p>
+                      <button
+                        type="button"
+                        onClick={() => discardOperation(operation.id)}
+                        className="mt-2 px-3 py-1 rounded-full font-semibold btn-bounce bg-gray-200 text-gray-700 hover:bg-gray-300"
+                      >
+                        Discard
+                      </button>
+                    </>
+                  )}
+
+                  {operation.state === 'conflict' && (
+                    <>
+                      <ul className="my-2 space-y-1">
+                        {operation.conflicts.map(conflict => (
+                          <li key={conflict.student_id} className="text-gray-700">
+                            {conflict.name}: you marked <span className="font-semibold">{conflict.mine}</span>,
+                            now <span className="font-semibold">{conflict.theirs || 'not recorded'}</span>
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="flex space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => resolveConflict(operation.id, 'mine')}
+                          className="px-3 py-1 rounded-full font-semibold btn-bounce bg-blue-50 text-blue-700 hover:bg-blue-100"
+                        >
+                          Keep mine
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => resolveConflict(operation.id, 'theirs')}
+                          className="px-3 py-1 rounded-full font-semibold btn-bounce bg-gray-200 text-gray-700 hover:bg-gray-300"
+                        >
+                          Keep theirs
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../lib/api';
+
+const LEAVER_OUTCOMES = [
+  { value: 'graduated', label: 'Graduated' },
+  { value: 'withdrawn', label: 'Withdrawn' }
+];
+
+// Target select values: an existing class id, "new" for a class created by the rollover, or "leave"
+const targetValue = (entry) => {
+  if (entry.to_class_id) return entry.to_class_id;
+  return entry.new_class_name !== null ? 'new' : 'leave';
+};
+
+const YearRollover = () => {
+  const [academicYears, setAcademicYears] = useState([]);
+  const [toYearId, setToYearId] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [currentClasses, setCurrentClasses] = useState([]);
+  const [targetYearClasses, setTargetYearClasses] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [success, setSuccess] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadAcademicYears();
+  }, []);
+
+  useEffect(() => {
+    if (toYearId) loadSuggestion();
+  }, [toYearId]);
+
+  useEffect(() => {
+    // Any change to the plan needs a fresh preview before it can be applied
+    setPreview(null);
+  }, [plan]);
+
+  const loadAcademicYears = async () => {
+    try {
+      const { data } = await api.get('/academic-years');
+      setAcademicYears(data);
+    } catch (err) {
+      console.error('Error loading academic years:', err);
+      setError('Failed to load academic years');
+    }
+  };
+
+  const loadSuggestion = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await api.get('/rollover/suggestion', { to_academic_year_id: toYearId });
+      setCurrentClasses(data.current_classes);
+      setTargetYearClasses(data.target_year_classes);
+      setPlan({
+        to_academic_year_id: data.to_academic_year_id,
+        leaver_outcome: data.leaver_outcome,
+        classes: data.classes
+      });
+    } catch (err) {
+      console.error('Error loading rollover suggestion:', err);
+      setError(err.message || 'Failed to load the suggested plan');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateEntry = (fromClassId, changes) => {
+    setPlan({
+      ...plan,
+      classes: plan.classes.map(entry => (
+        entry.from_class_id === fromClassId ? { ...entry, ...changes } : entry
+      ))
+    });
+  };
+
+  const handleTargetChange = (cls, value) => {
+    if (value === 'leave') {
+      updateEntry(cls.id, { to_class_id: null, new_class_name: null, new_grade: null });
+    } else if (value === 'new') {
+      updateEntry(cls.id, { to_class_id: null, new_class_name: cls.class_name, new_grade: Math.min(cls.grade + 1, 12) });
+    } else {
+      updateEntry(cls.id, { to_class_id: value, new_class_name: null, new_grade: null });
+    }
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const { data } = await api.post('/rollover/preview', plan);
+      setPreview(data);
+    } catch (err) {
+      console.error('Error previewing rollover:', err);
+      setError(err.message || 'Failed to preview the rollover');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm(`Roll the school over to ${preview.academic_year.name}? This moves every student and archives ${preview.totals.classes_archived} classes.`)) return;
+
+    setApplying(true);
+    setError('');
+
+    try {
+      const { message } = await api.post('/rollover/apply', plan);
+      setSuccess(`${message} 🎉`);
+      setPlan(null);
+      setToYearId('');
+    } catch (err) {
+      console.error('Error applying rollover:', err);
+      setError(err.message || 'Failed to apply the rollover');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-8 shadow-xl mb-8">
+          <div className="text-center mb-8">
+            <div className="text-6xl mb-4">🎓</div>
+            <h1 className="text-3xl font-bold text-gray-800 mb-2">Year Rollover</h1>
+            <p className="text-gray-600">Move every class up a grade, graduate the top grade and archive last year's classes</p>
+          </div>
+
+          {success && (
+            <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded-xl mb-6">
+              {success}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6">
+              {error}
+            </div>
+          )}
+
+          <div className="grid md:grid-cols-2 gap-6 mb-8">
+            <div>
+              <label htmlFor="to_academic_year_id" className="block text-sm font-semibold text-gray-700 mb-2">
+                1. Roll over into *
+              </label>
+              <select
+                id="to_academic_year_id"
+                value={toYearId}
+                onChange={(e) => setToYearId(e.target.value)}
+                className="form-select"
+              >
+                <option value="">Choose the new academic year</option>
+                {academicYears.map((year) => (
+                  <option key={year.id} value={year.id}>
+                    {year.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {plan && (
+              <div>
+                <label htmlFor="leaver_outcome" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Students leaving the school are
+                </label>
+                <select
+                  id="leaver_outcome"
+                  value={plan.leaver_outcome}
+                  onChange={(e) => setPlan({ ...plan, leaver_outcome: e.target.value })}
+                  className="form-select"
+                >
+                  {LEAVER_OUTCOMES.map((outcome) => (
+                    <option key={outcome.value} value={outcome.value}>
+                      {outcome.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {loading && !plan && (
+            <div className="text-center py-8">
+              <div className="spinner mx-auto mb-4"></div>
+              <p className="text-gray-600">Loading classes...</p>
+            </div>
+          )}
+
+          {plan && (
+            <>
+              <h2 className="text-xl font-bold text-gray-800 mb-4">2. Map each class to next year</h2>
+              <div className="space-y-3 mb-8">
+                {currentClasses.map((cls) => {
+                  const entry = plan.classes.find(item => item.from_class_id === cls.id);
+                  const value = targetValue(entry);
+
+                  return (
+                    <div key={cls.id} className="grid md:grid-cols-3 gap-3 items-center p-3 rounded-xl bg-gray-50">
+                      <div className="font-semibold text-gray-800">
+                        {cls.class_name} <span className="text-gray-500 font-normal">- Grade {cls.grade}</span>
+                      </div>
+                      <select
+                        value={value}
+                        onChange={(e) => handleTargetChange(cls, e.target.value)}
+                        className="form-select"
+                        aria-label={`Next year's class for ${cls.class_name}`}
+                      >
+                        <option value="new">New class…</option>
+                        {targetYearClasses.map((target) => (
+                          <option key={target.id} value={target.id}>
+                            {target.class_name} - Grade {target.grade}
+                          </option>
+                        ))}
+                        <option value="leave">Leaves the school</option>
+                      </select>
+                      {value === 'new' ? (
+                        <div className="grid grid-cols-2 gap-2">
+                          <input
+                            type="text"
+                            value={entry.new_class_name}
+                            onChange={(e) => updateEntry(cls.id, { new_class_name: e.target.value })}
+                            className="form-input"
+                            aria-label="New class name"
+                            required
+                          />
+                          <input
+                            type="number"
+                            min="1"
+                            max="12"
+                            value={entry.new_grade}
+                            onChange={(e) => updateEntry(cls.id, { new_grade: parseInt(e.target.value, 10) || null })}
+                            className="form-input"
+                            aria-label="New class grade"
+                          />
+                        </div>
+                      ) : (
+                        <div className="text-sm text-gray-600">
+                          {value === 'leave' ? `Students will be ${plan.leaver_outcome}` : 'Joins an existing class'}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="flex space-x-4">
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  disabled={loading}
+                  className="flex-1 btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Checking...' : '👀 3. Preview'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleApply}
+                  disabled={!preview || preview.errors.length > 0 || applying}
+                  className="flex-1 btn-success disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {applying ? 'Applying...' : '✅ 4. Apply Rollover'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        {preview && (
+          <div className="bg-white/90 backdrop-blur-sm rounded-3xl p-6 shadow-xl">
+            <h2 className="text-2xl font-bold text-gray-800 mb-4">Preview: {preview.academic_year.name}</h2>
+
+            {preview.errors.length > 0 && (
+              <ul className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-4 list-disc list-inside">
+                {preview.errors.map((message) => (
+                  <li key={message}>{message}</li>
+                ))}
+              </ul>
+            )}
+
+            {preview.warnings.length > 0 && (
+              <ul className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded-xl mb-4 list-disc list-inside">
+                {preview.warnings.map((message) => (
+                  <li key={message}>{message}</li>
+                ))}
+              </ul>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              <div className="p-4 rounded-xl bg-green-50 text-center">
+                <div className="text-2xl font-bold text-green-700">{preview.totals.promoted}</div>
+                <div className="text-sm text-gray-600">Promoted</div>
+              </div>
+              <div className="p-4 rounded-xl bg-purple-50 text-center">
+                <div className="text-2xl font-bold text-purple-700">{preview.totals.leaving}</div>
+                <div className="text-sm text-gray-600">Leaving</div>
+              </div>
+              <div className="p-4 rounded-xl bg-blue-50 text-center">
+                <div className="text-2xl font-bold text-blue-700">{preview.totals.classes_created}</div>
+                <div className="text-sm text-gray-600">Classes created</div>
+              </div>
+              <div className="p-4 rounded-xl bg-gray-50 text-center">
+                <div className="text-2xl font-bold text-gray-700">{preview.totals.classes_archived}</div>
+                <div className="text-sm text-gray-600">Classes archived</div>
+              </div>
+            </div>
+
+            <table className="w-full">
+              <thead>
+                <tr className="border-b-2 border-gray-200">
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">This year</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Students</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Next year</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.classes.map((item) => (
+                  <tr key={item.from_class.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 font-medium">
+                      {item.from_class.class_name} - Grade {item.from_class.grade}
+                    </td>
+                    <td className="py-3 px-4 text-gray-600">{item.student_count}</td>
+                    <td className="py-3 px-4 text-gray-600">
+                      {item.to_class
+                        ? `${item.to_class.class_name} - Grade ${item.to_class.grade}${item.to_class.is_new ? ' (new)' : ''}`
+                        : <span className="capitalize">{item.outcome}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default YearRollover;
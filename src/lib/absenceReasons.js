@@ -0,0 +1,10 @@
+// Why a student was absent, as recorded on attendance and excuses.
+// The server validates against the same list (server/lib/excuses.js).
+
+export const ABSENCE_REASONS = {
+  sick: 'Sick',
+  family: 'Family',
+  medical_appointment: 'Medical appointment',
+  religious: 'Religious',
+  other: 'Other'
+};
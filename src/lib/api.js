@@ -0,0 +1,145 @@
+import { auth } from './supabase';
+
+// Client for the Express API (proxied to /api by Vite in development)
+const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
+
+const buildUrl = (path, params = {}) => {
+  const query = new URLSearchParams();
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      value.forEach(item => query.append(key, item));
+    } else {
+      query.append(key, value);
+    }
+  });
+
+  const queryString = query.toString();
+  return `${API_BASE_URL}${path}${queryString ? `?${queryString}` : ''}`;
+};
+
+// Every API route needs the signed-in user's access token
+const getHeaders = async (extra = {}) => {
+  const session = await auth.getSession();
+  return session
+    ? { ...extra, Authorization: `Bearer ${session.access_token}` }
+    : extra;
+};
+
+// fetch only rejects when the request never reached the server
+const send = async (url, options) => {
+  try {
+    return await fetch(url, options);
+  } catch (err) {
+    const error = new Error('You appear to be offline');
+    error.offline = true;
+    throw error;
+  }
+};
+
+const request = async (method, path, { params, body } = {}) => {
+  const response = await send(buildUrl(path, params), {
+    method,
+    headers: await getHeaders(body ? { 'Content-Type': 'application/json' } : {}),
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const payload = await response.json().catch(() => null);
+
+  if (!response.ok || !payload?.success) {
+    throw new Error(payload?.error || `Request failed with status ${response.status}`);
+  }
+
+  return payload;
+};
+
+// Pull the filename the server chose out of a Content-Disposition header,
+// preferring the UTF-8 filename* over the ASCII fallback
+const getFilename = (response, fallback) => {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded) return decodeURIComponent(encoded[1]);
+
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  return match ? match[1] : fallback;
+};
+
+export const api = {
+  get(path, params) {
+    return request('GET', path, { params });
+  },
+
+  post(path, body) {
+    return request('POST', path, { body });
+  },
+
+  put(path, body) {
+    return request('PUT', path, { body });
+  },
+
+  delete(path) {
+    return request('DELETE', path);
+  },
+
+  // Read a Server-Sent Events stream, calling onEvent(name, data) for each event until
+  // the server closes it or `signal` aborts. EventSource cannot send the bearer token.
+  async stream(path, onEvent, signal) {
+    const response = await send(buildUrl(path), {
+      headers: await getHeaders({ Accept: 'text/event-stream' }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Stream failed with status ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      // Events are separated by a blank line; the last piece may still be arriving
+      const blocks = (buffer + value).split('\n\n');
+      buffer = blocks.pop();
+
+      blocks.forEach((block) => {
+        let name = 'message';
+        let data = '';
+        block.split('\n').forEach((line) => {
+          if (line.startsWith('event:')) name = line.slice(6).trim();
+          if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (data) onEvent(name, JSON.parse(data));
+      });
+    }
+  },
+
+  // Fetch a file from the API and hand it to the browser as a download
+  async download(path, params, fallbackFilename = 'download') {
+    const response = await send(buildUrl(path, params), {
+      headers: await getHeaders()
+    });
+
+    if (!response.ok) {
+      const payload = await response.json().catch(() => null);
+      throw new Error(payload?.error || `Download failed with status ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const filename = getFilename(response, fallbackFilename);
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    return filename;
+  }
+};
@@ -0,0 +1,65 @@
+import { supabase } from './supabase';
+import { api } from './api';
+
+// Live attendance: changes saved anywhere in the school arrive as they happen.
+// Supabase Realtime is tried first; when its channel fails (blocked websockets,
+// Realtime disabled) the Express server's Server-Sent Events stream is used instead.
+
+const RECONNECT_MS = 5000;
+
+let channelCount = 0;
+
+// Call onChange({ type: 'upsert' | 'delete', record }) for every attendance row saved or
+// removed, and onStatus with the connection in use: 'realtime', 'stream', or null while
+// reconnecting. Returns an unsubscribe function.
+export const subscribeToAttendance = (onChange, onStatus = () => {}) => {
+  let stopped = false;
+  let usingStream = false;
+  let controller = null;
+  let retryTimer = null;
+
+  const startStream = async () => {
+    if (stopped) return;
+    controller = new AbortController();
+
+    try {
+      onStatus('stream');
+      await api.stream('/attendance/stream', (event, record) => {
+        if (event === 'attendance') onChange({ type: 'upsert', record });
+      }, controller.signal);
+    } catch (error) {
+      if (!stopped) console.error('Attendance stream interrupted:', error);
+    }
+
+    if (stopped) return;
+    onStatus(null);
+    retryTimer = setTimeout(startStream, RECONNECT_MS);
+  };
+
+  channelCount += 1;
+  const channel = supabase
+    .channel(`attendance-live-${channelCount}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'attendance' }, (payload) => {
+      onChange(payload.eventType === 'DELETE'
+        ? { type: 'delete', record: payload.old }
+        : { type: 'upsert', record: payload.new });
+    })
+    .subscribe((status) => {
+      if (stopped || usingStream) return;
+
+      if (status === 'SUBSCRIBED') {
+        onStatus('realtime');
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        usingStream = true;
+        supabase.removeChannel(channel);
+        startStream();
+      }
+    });
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    controller?.abort();
+    supabase.removeChannel(channel);
+  };
+};
@@ -0,0 +1,216 @@
+import { api } from './api';
+
+// Offline support for taking attendance on flaky classroom Wi-Fi.
+// Rosters and lookups are cached in IndexedDB as they load, and registers saved while the
+// network is down wait in a queue that is replayed, oldest first, once it is back.
+//
+// Conflicts: every queued record remembers the status the teacher saw when they marked it.
+// If the server has a different status by the time the record is replayed, someone else
+// changed it in the meantime; that record is held back and the user chooses whose status
+// to keep (see resolveConflict). Records nobody else touched are saved as usual.
+
+const DB_NAME = 'attendance-offline';
+const DB_VERSION = 1;
+const CACHE_STORE = 'cache';
+const QUEUE_STORE = 'queue';
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+let dbPromise = null;
+let syncing = false;
+const listeners = new Set();
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run one request against a store and resolve with its result
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// Network failures (as opposed to the server turning a request down)
+export const isOfflineError = (error) => (
+  !navigator.onLine ||
+  error?.offline === true ||
+  /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || '')
+);
+
+export const rosterCacheKey = (classId, date, periodId) => `roster|${classId}|${date}|${periodId || ''}`;
+
+// Load through `loader`, keeping a copy; when offline, fall back to the last copy.
+// Resolves with { data, cachedAt } where cachedAt is null for fresh data.
+export const withCache = async (key, loader) => {
+  try {
+    const data = await loader();
+    await withStore(CACHE_STORE, 'readwrite', store => store.put({ key, data, cached_at: new Date().toISOString() }));
+    return { data, cachedAt: null };
+  } catch (error) {
+    if (!isOfflineError(error)) throw error;
+
+    const cached = await withStore(CACHE_STORE, 'readonly', store => store.get(key));
+    if (!cached) throw new Error('You are offline and this has not been loaded on this device before');
+    return { data: cached.data, cachedAt: cached.cached_at };
+  }
+};
+
+export const updateCache = (key, data) => (
+  withStore(CACHE_STORE, 'readwrite', store => store.put({ key, data, cached_at: new Date().toISOString() }))
+);
+
+const notify = async () => {
+  const queue = await getQueue();
+  listeners.forEach(listener => listener(queue));
+};
+
+// Call listener with the queue now and whenever it changes; returns an unsubscribe function
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  getQueue().then(listener).catch(error => console.error('Error reading sync queue:', error));
+  return () => listeners.delete(listener);
+};
+
+export const getQueue = () => withStore(QUEUE_STORE, 'readonly', store => store.getAll());
+
+// Queue a register for later:
+// { class_id, class_name, date, period_id, subject, records, base: { [student_id]: status seen } }
+export const enqueue = async (operation) => {
+  await withStore(QUEUE_STORE, 'readwrite', store => store.add({
+    ...operation,
+    state: 'queued',
+    conflicts: [],
+    last_error: null,
+    queued_at: new Date().toISOString()
+  }));
+  await notify();
+};
+
+const putOperation = operation => withStore(QUEUE_STORE, 'readwrite', store => store.put(operation));
+const deleteOperation = id => withStore(QUEUE_STORE, 'readwrite', store => store.delete(id));
+
+// Send one queued register, holding back records someone else changed in the meantime
+const replay = async (operation) => {
+  const { data: roster } = await api.get(`/attendance/class/${operation.class_id}/date/${operation.date}`, {
+    period_id: operation.period_id
+  });
+  const current = Object.fromEntries(roster.students.map(student => [student.id, student]));
+
+  // Students who left the class since are skipped
+  const records = operation.records.filter(record => current[record.student_id]);
+
+  const conflicts = operation.resolution === 'mine'
+    ? []
+    : records
+      .map((record) => {
+        const serverStatus = current[record.student_id]?.attendance?.status || null;
+        const seenStatus = operation.base[record.student_id] || null;
+        return serverStatus !== seenStatus && serverStatus !== record.status
+          ? { student_id: record.student_id, name: current[record.student_id].name, mine: record.status, theirs: serverStatus }
+          : null;
+      })
+      .filter(Boolean);
+
+  const conflicted = new Set(conflicts.map(conflict => conflict.student_id));
+  const toSave = records.filter(record => !conflicted.has(record.student_id));
+
+  if (toSave.length > 0) {
+    await api.post('/attendance/bulk', {
+      date: operation.date,
+      period_id: operation.period_id || undefined,
+      subject: operation.period_id ? operation.subject : undefined,
+      records: toSave
+    });
+  }
+
+  if (conflicts.length > 0) {
+    await putOperation({
+      ...operation,
+      records: records.filter(record => conflicted.has(record.student_id)),
+      state: 'conflict',
+      conflicts,
+      last_error: null
+    });
+  } else {
+    await deleteOperation(operation.id);
+  }
+};
+
+// Replay everything that is queued. Stops at the first network failure; a register the
+// server turns down (e.g. the day was closed meanwhile) is kept as failed for the user to see.
+export const syncQueue = async () => {
+  if (syncing || !navigator.onLine) return;
+  syncing = true;
+
+  try {
+    const queue = await getQueue();
+
+    for (const operation of queue.filter(item => item.state === 'queued')) {
+      try {
+        await replay(operation);
+      } catch (error) {
+        if (isOfflineError(error)) break;
+        console.error('Error syncing queued attendance:', error);
+        await putOperation({ ...operation, state: 'failed', last_error: error.message });
+      }
+    }
+  } finally {
+    syncing = false;
+    await notify();
+  }
+};
+
+// Settle a conflict: 'mine' saves the queued statuses over the server's, 'theirs' drops them
+export const resolveConflict = async (id, choice) => {
+  const operation = await withStore(QUEUE_STORE, 'readonly', store => store.get(id));
+  if (!operation) return;
+
+  if (choice === 'mine') {
+    await putOperation({ ...operation, state: 'queued', resolution: 'mine', conflicts: [] });
+    await notify();
+    await syncQueue();
+  } else {
+    await deleteOperation(id);
+    await notify();
+  }
+};
+
+export const discardOperation = async (id) => {
+  await deleteOperation(id);
+  await notify();
+};
+
+// Replay the queue when the connection comes back, and every so often in case the
+// browser's online event did not fire. Returns a function that stops it.
+export const startSync = () => {
+  const handleOnline = () => syncQueue();
+  const handleOffline = () => notify();
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  const timer = setInterval(syncQueue, RETRY_INTERVAL_MS);
+
+  syncQueue();
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+    clearInterval(timer);
+  };
+};
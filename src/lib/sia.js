@@ -0,0 +1,39 @@
+// Hadir/Sakit/Izin/Alpa, the recap categories on Indonesian attendance forms.
+// They are read from the status and absence reason: Present and Late are Hadir, a sick or
+// medical reason is Sakit, other Excused days are Izin and other Absent days are Alpa.
+// The server uses this module too (server/lib/sia.js), so both always agree.
+
+export const SIA_LABELS = {
+  H: 'Hadir',
+  S: 'Sakit',
+  I: 'Izin',
+  A: 'Alpa'
+};
+
+export const SIA_CODES = Object.keys(SIA_LABELS);
+
+// Absence reasons that count as Sakit, whether or not the absence has been excused yet
+export const SICK_REASONS = ['sick', 'medical_appointment'];
+
+// H, S, I or A for a status and absence reason; null when nothing is marked
+export const toSiaCode = (status, absenceReason) => {
+  if (!status) return null;
+  if (status === 'Present' || status === 'Late') return 'H';
+  if (SICK_REASONS.includes(absenceReason)) return 'S';
+  return status === 'Excused' ? 'I' : 'A';
+};
+
+// What to call a record on an Indonesian roster; Late is still Hadir but shown as Terlambat
+export const siaLabel = (status, absenceReason) => (
+  status === 'Late' ? 'Terlambat' : SIA_LABELS[toSiaCode(status, absenceReason)]
+);
+
+// The status and absence reason to store for Sakit, Izin or Alpa.
+// A reason already given is kept when it still fits the category.
+export const fromSiaCode = (code, absenceReason) => {
+  const sick = SICK_REASONS.includes(absenceReason);
+
+  if (code === 'S') return { status: 'Excused', absence_reason: sick ? absenceReason : 'sick' };
+  if (code === 'I') return { status: 'Excused', absence_reason: sick ? null : absenceReason || null };
+  return { status: 'Absent', absence_reason: null };
+};
@@ -9,33 +9,58 @@ if (!supabaseUrl || !supabaseAnonKey) {
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey);
 
+// Authentication helpers
+export const auth = {
+  async getSession() {
+    const { data, error } = await supabase.auth.getSession();
+    if (error) throw error;
+    return data.session;
+  },
+
+  async signIn(email, password) {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return data.session;
+  },
+
+  async signOut() {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+  },
+
+  onChange(callback) {
+    const { data } = supabase.auth.onAuthStateChange((_event, session) => callback(session));
+    return () => data.subscription.unsubscribe();
+  },
+
+  // Matches the server: roles live in app_metadata and default to viewer
+  getRole(session) {
+    return session?.user?.app_metadata?.role || 'viewer';
+  }
+};
+
 // Database helper functions
 export const db = {
   // Classes
-  async getClasses() {
-    const { data, error } = await supabase
+  async getClasses({ includeArchived = false } = {}) {
+    let query = supabase
       .from('classes')
       .select('*')
       .order('grade', { ascending: true })
       .order('class_name', { ascending: true });
-    
-    if (error) throw error;
-    return data;
-  },
 
-  async createClass(classData) {
-    const { data, error } = await supabase
-      .from('classes')
-      .insert([classData])
-      .select()
-      .single();
+    // Classes retired by a year rollover only matter for historic reports
+    if (!includeArchived) query = query.is('archived_at', null);
+
+    const { data, error } = await query;
     
     if (error) throw error;
     return data;
   },
 
   // Students
-  async getStudents(classId = null) {
+  // Students who have left (withdrawn, transferred, graduated) only with includeInactive
+  async getStudents(classId = null, { includeInactive = false } = {}) {
     let query = supabase
       .from('students')
       .select(`
@@ -52,6 +77,10 @@ export const db = {
       query = query.eq('class_id', classId);
     }
 
+    if (!includeInactive) {
+      query = query.eq('enrollment_status', 'active');
+    }
+
     const { data, error } = await query;
     if (error) throw error;
     return data;
@@ -160,7 +189,7 @@ export const db = {
   },
 
   async getClassAttendanceForDate(classId, date) {
-    // Get all students in the class
+    // Get the students enrolled in the class on that date
     const { data: students, error: studentsError } = await supabase
       .from('students')
       .select(`
@@ -174,6 +203,7 @@ export const db = {
         )
       `)
       .eq('class_id', classId)
+      .or(`enrollment_status.eq.active,left_on.gt.${date}`)
       .order('name');
 
     if (studentsError) throw studentsError;
@@ -0,0 +1,165 @@
+/*
+  # Teacher to class assignments
+
+  1. New Tables
+    - `class_teachers`
+      - `id` (uuid, primary key)
+      - `class_id` (uuid, foreign key → classes.id)
+      - `teacher_id` (uuid, foreign key → auth.users.id)
+      - `assignment_role` (text, enum: 'homeroom', 'co_teacher')
+      - `created_at` (timestamp)
+
+  2. Security
+    - Helper functions `app_role()` and `teaches_class()` read the caller's JWT
+    - Replace the open `USING (true)` policies:
+      - admins manage everything
+      - viewers read everything
+      - teachers read and record attendance only for classes assigned to them
+
+  3. Data Integrity
+    - A teacher is assigned to a class at most once
+    - A class has at most one homeroom teacher
+*/
+
+CREATE TYPE class_assignment_role AS ENUM ('homeroom', 'co_teacher');
+
+CREATE TABLE IF NOT EXISTS class_teachers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  class_id uuid NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  teacher_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  assignment_role class_assignment_role NOT NULL DEFAULT 'co_teacher',
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(class_id, teacher_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_class_teachers_one_homeroom
+  ON class_teachers(class_id)
+  WHERE assignment_role = 'homeroom';
+CREATE INDEX IF NOT EXISTS idx_class_teachers_teacher_id ON class_teachers(teacher_id);
+
+ALTER TABLE class_teachers ENABLE ROW LEVEL SECURITY;
+
+-- Role stored in app_metadata by an admin (defaults to viewer, like the API)
+CREATE OR REPLACE FUNCTION app_role()
+RETURNS text
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(auth.jwt() -> 'app_metadata' ->> 'role', 'viewer');
+$$;
+
+CREATE OR REPLACE FUNCTION teaches_class(target_class_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM class_teachers
+    WHERE class_id = target_class_id
+      AND teacher_id = auth.uid()
+  );
+$$;
+
+-- Replace the open policies
+DROP POLICY IF EXISTS "Allow all operations on classes" ON classes;
+DROP POLICY IF EXISTS "Allow all operations on students" ON students;
+DROP POLICY IF EXISTS "Allow all operations on attendance" ON attendance;
+
+-- Policies for classes
+CREATE POLICY "Admins manage classes"
+  ON classes
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read visible classes"
+  ON classes
+  FOR SELECT
+  TO authenticated
+  USING (app_role() = 'viewer' OR teaches_class(id));
+
+-- Policies for students
+CREATE POLICY "Admins manage students"
+  ON students
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read visible students"
+  ON students
+  FOR SELECT
+  TO authenticated
+  USING (app_role() = 'viewer' OR teaches_class(class_id));
+
+-- Policies for attendance
+CREATE POLICY "Admins manage attendance"
+  ON attendance
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read visible attendance"
+  ON attendance
+  FOR SELECT
+  TO authenticated
+  USING (
+    app_role() = 'viewer' OR
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = attendance.student_id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+CREATE POLICY "Teachers record attendance for their classes"
+  ON attendance
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    app_role() = 'teacher' AND
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = attendance.student_id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+CREATE POLICY "Teachers update attendance for their classes"
+  ON attendance
+  FOR UPDATE
+  TO authenticated
+  USING (
+    app_role() = 'teacher' AND
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = attendance.student_id
+        AND teaches_class(students.class_id)
+    )
+  )
+  WITH CHECK (
+    app_role() = 'teacher' AND
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = attendance.student_id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+-- Policies for class_teachers
+CREATE POLICY "Admins manage class assignments"
+  ON class_teachers
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Teachers read their own assignments"
+  ON class_teachers
+  FOR SELECT
+  TO authenticated
+  USING (teacher_id = auth.uid());
@@ -0,0 +1,124 @@
+/*
+  # Attendance audit trail
+
+  1. New Tables
+    - `attendance_history`
+      - `id` (uuid, primary key)
+      - `attendance_id` (uuid, the attendance row that changed)
+      - `student_id` (uuid)
+      - `date` (date)
+      - `old_status` (attendance_status, null when the record was first created)
+      - `new_status` (attendance_status)
+      - `changed_by` (uuid, the user who made the change)
+      - `changed_by_email` (text)
+      - `source` (text, enum: 'single', 'bulk', 'direct')
+      - `changed_at` (timestamp)
+
+  2. Changes
+    - `attendance` gains `recorded_by`, `recorded_by_email` and `change_source`: who made the
+      latest change and through which API route (the API sets them on every write)
+    - A trigger on `attendance` writes the history row for every status change, in the same
+      transaction as the change
+
+  3. Security
+    - Enable RLS; history is readable by whoever can read the attendance row
+    - Rows are append-only: updates and deletes are rejected by a trigger
+    - Writes made straight from a client (not through the API) are still recorded, as 'direct',
+      with the user taken from their JWT
+
+  4. Data Integrity
+    - No foreign keys, so history outlives the attendance and student rows
+*/
+
+CREATE TYPE attendance_change_source AS ENUM ('single', 'bulk', 'direct');
+
+CREATE TABLE IF NOT EXISTS attendance_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  attendance_id uuid NOT NULL,
+  student_id uuid NOT NULL,
+  date date NOT NULL,
+  old_status attendance_status,
+  new_status attendance_status NOT NULL,
+  changed_by uuid,
+  changed_by_email text,
+  source attendance_change_source NOT NULL,
+  changed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_history_attendance_id ON attendance_history(attendance_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_history_student_date ON attendance_history(student_id, date);
+
+-- Keep the history append-only
+CREATE OR REPLACE FUNCTION prevent_attendance_history_changes()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'attendance_history is append-only';
+END;
+$$;
+
+CREATE TRIGGER attendance_history_append_only
+  BEFORE UPDATE OR DELETE ON attendance_history
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_attendance_history_changes();
+
+ALTER TABLE attendance
+  ADD COLUMN IF NOT EXISTS recorded_by uuid,
+  ADD COLUMN IF NOT EXISTS recorded_by_email text,
+  ADD COLUMN IF NOT EXISTS change_source attendance_change_source;
+
+-- History for every status change, whoever makes it. The API connects with the service role
+-- and names the user and route in the row; a signed-in client writing directly cannot, so its
+-- JWT is used instead.
+CREATE OR REPLACE FUNCTION record_attendance_history()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  direct boolean := auth.uid() IS NOT NULL;
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO attendance_history (
+    attendance_id, student_id, date, old_status, new_status, changed_by, changed_by_email, source
+  )
+  VALUES (
+    NEW.id,
+    NEW.student_id,
+    NEW.date,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+    NEW.status,
+    CASE WHEN direct THEN auth.uid() ELSE NEW.recorded_by END,
+    CASE WHEN direct THEN auth.jwt() ->> 'email' ELSE NEW.recorded_by_email END,
+    CASE WHEN direct THEN 'direct'::attendance_change_source
+      ELSE COALESCE(NEW.change_source, 'direct'::attendance_change_source) END
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER attendance_record_history
+  AFTER INSERT OR UPDATE ON attendance
+  FOR EACH ROW
+  EXECUTE FUNCTION record_attendance_history();
+
+ALTER TABLE attendance_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Read visible attendance history"
+  ON attendance_history
+  FOR SELECT
+  TO authenticated
+  USING (
+    app_role() IN ('admin', 'viewer') OR
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = attendance_history.student_id
+        AND teaches_class(students.class_id)
+    )
+  );
@@ -0,0 +1,50 @@
+/*
+  # School calendar
+
+  1. New Tables
+    - `calendar_events`
+      - `id` (uuid, primary key)
+      - `title` (text, required)
+      - `event_type` (text, enum: 'holiday', 'break', 'teacher_only')
+      - `start_date` (date, required)
+      - `end_date` (date, required)
+      - `notes` (text)
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS; every signed-in user can read the calendar, only admins manage it
+
+  3. Data Integrity
+    - An event ends on or after the day it starts
+    - Weekends are never instructional, so they are not stored as events
+*/
+
+CREATE TYPE calendar_event_type AS ENUM ('holiday', 'break', 'teacher_only');
+
+CREATE TABLE IF NOT EXISTS calendar_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  title text NOT NULL,
+  event_type calendar_event_type NOT NULL DEFAULT 'holiday',
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  notes text,
+  created_at timestamptz DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_events_dates ON calendar_events(start_date, end_date);
+
+ALTER TABLE calendar_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins manage calendar events"
+  ON calendar_events
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read calendar events"
+  ON calendar_events
+  FOR SELECT
+  TO authenticated
+  USING (true);
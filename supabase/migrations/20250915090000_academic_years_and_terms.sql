@@ -0,0 +1,83 @@
+/*
+  # Academic years and terms
+
+  1. New Tables
+    - `academic_years`
+      - `id` (uuid, primary key)
+      - `name` (text, required, e.g. '2025/2026')
+      - `start_date` (date, required)
+      - `end_date` (date, required)
+      - `created_at` (timestamp)
+    - `terms`
+      - `id` (uuid, primary key)
+      - `academic_year_id` (uuid, foreign key → academic_years.id)
+      - `name` (text, required, e.g. 'Semester 1')
+      - `term_type` (text, enum: 'semester', 'quarter', 'trimester')
+      - `start_date` (date, required)
+      - `end_date` (date, required)
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS; every signed-in user can read years and terms, only admins manage them
+
+  3. Data Integrity
+    - Periods end on or after the day they start
+    - Academic years do not overlap, so every date belongs to at most one year
+    - Year and term names are unique within their parent
+*/
+
+CREATE TYPE term_type AS ENUM ('semester', 'quarter', 'trimester');
+
+CREATE TABLE IF NOT EXISTS academic_years (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL UNIQUE,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  CHECK (end_date >= start_date),
+  EXCLUDE USING gist (daterange(start_date, end_date, '[]') WITH &&)
+);
+
+CREATE TABLE IF NOT EXISTS terms (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  academic_year_id uuid NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  term_type term_type NOT NULL DEFAULT 'semester',
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  CHECK (end_date >= start_date),
+  UNIQUE(academic_year_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_terms_academic_year_id ON terms(academic_year_id);
+CREATE INDEX IF NOT EXISTS idx_terms_dates ON terms(start_date, end_date);
+
+ALTER TABLE academic_years ENABLE ROW LEVEL SECURITY;
+ALTER TABLE terms ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins manage academic years"
+  ON academic_years
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read academic years"
+  ON academic_years
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admins manage terms"
+  ON terms
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read terms"
+  ON terms
+  FOR SELECT
+  TO authenticated
+  USING (true);
@@ -0,0 +1,229 @@
+/*
+  # End-of-year rollover
+
+  1. Changes
+    - `classes`
+      - `academic_year_id` (uuid, foreign key → academic_years.id, null for classes created before years existed)
+      - `archived_at` (timestamp, set when a rollover retires the class)
+    - `attendance`
+      - `class_id` (uuid, foreign key → classes.id): the class the student was in when the day
+        was recorded, set on insert and backfilled from the students' current classes
+
+  2. New Tables
+    - `student_promotions`
+      - `id` (uuid, primary key)
+      - `student_id` (uuid, foreign key → students.id)
+      - `from_class_id` (uuid, foreign key → classes.id, the class the student finished the year in)
+      - `to_class_id` (uuid, foreign key → classes.id, null when the student left)
+      - `to_academic_year_id` (uuid, foreign key → academic_years.id)
+      - `outcome` (text, enum: 'promoted', 'graduated', 'withdrawn')
+      - `promoted_by` (uuid, the admin who applied the rollover)
+      - `created_at` (timestamp)
+
+  3. Functions
+    - `apply_year_rollover()` moves every student and archives the old classes in one transaction
+      (leavers are marked with the enrollment status from the student enrollment migration)
+    - `set_attendance_class()` stamps new attendance rows with the student's class
+
+  4. Security
+    - Enable RLS on `student_promotions`; admins and viewers read all of it, teachers read their classes
+    - Teachers see and update attendance recorded in their classes, not everything their
+      current students were ever marked for
+
+  5. Data Integrity
+    - Classes and students are archived, never deleted, so historic attendance is kept
+    - Attendance keeps the class it was recorded in, so promoting a student does not move
+      last year's days into the new class's reports
+*/
+
+CREATE TYPE promotion_outcome AS ENUM ('promoted', 'graduated', 'withdrawn');
+
+ALTER TABLE classes
+  ADD COLUMN IF NOT EXISTS academic_year_id uuid REFERENCES academic_years(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS archived_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_classes_academic_year_id ON classes(academic_year_id);
+
+ALTER TABLE attendance
+  ADD COLUMN IF NOT EXISTS class_id uuid REFERENCES classes(id) ON DELETE RESTRICT;
+
+UPDATE attendance
+SET class_id = students.class_id
+FROM students
+WHERE students.id = attendance.student_id AND attendance.class_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_class_id_date ON attendance(class_id, date);
+
+-- A day belongs to the class the student was in when it was first recorded; later edits
+-- (even after the student has moved on) leave it there
+CREATE OR REPLACE FUNCTION set_attendance_class()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    NEW.class_id := OLD.class_id;
+  ELSIF NEW.class_id IS NULL THEN
+    SELECT class_id INTO NEW.class_id FROM students WHERE id = NEW.student_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS attendance_set_class ON attendance;
+CREATE TRIGGER attendance_set_class
+  BEFORE INSERT OR UPDATE ON attendance
+  FOR EACH ROW
+  EXECUTE FUNCTION set_attendance_class();
+
+-- Teachers follow the class a day was recorded in
+DROP POLICY IF EXISTS "Read visible attendance" ON attendance;
+DROP POLICY IF EXISTS "Teachers record attendance for their classes" ON attendance;
+DROP POLICY IF EXISTS "Teachers update attendance for their classes" ON attendance;
+
+CREATE POLICY "Read visible attendance"
+  ON attendance
+  FOR SELECT
+  TO authenticated
+  USING (app_role() = 'viewer' OR teaches_class(class_id));
+
+CREATE POLICY "Teachers record attendance for their classes"
+  ON attendance
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (app_role() = 'teacher' AND teaches_class(class_id));
+
+CREATE POLICY "Teachers update attendance for their classes"
+  ON attendance
+  FOR UPDATE
+  TO authenticated
+  USING (app_role() = 'teacher' AND teaches_class(class_id))
+  WITH CHECK (app_role() = 'teacher' AND teaches_class(class_id));
+
+DROP POLICY IF EXISTS "Read visible attendance history" ON attendance_history;
+
+CREATE POLICY "Read visible attendance history"
+  ON attendance_history
+  FOR SELECT
+  TO authenticated
+  USING (
+    app_role() IN ('admin', 'viewer') OR
+    EXISTS (
+      SELECT 1 FROM attendance
+      WHERE attendance.id = attendance_history.attendance_id
+        AND teaches_class(attendance.class_id)
+    )
+  );
+
+CREATE TABLE IF NOT EXISTS student_promotions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  from_class_id uuid NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+  to_class_id uuid REFERENCES classes(id) ON DELETE SET NULL,
+  to_academic_year_id uuid NOT NULL REFERENCES academic_years(id) ON DELETE CASCADE,
+  outcome promotion_outcome NOT NULL,
+  promoted_by uuid,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(student_id, to_academic_year_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_promotions_student_id ON student_promotions(student_id);
+
+ALTER TABLE student_promotions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins manage student promotions"
+  ON student_promotions
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read visible student promotions"
+  ON student_promotions
+  FOR SELECT
+  TO authenticated
+  USING (
+    app_role() = 'viewer' OR
+    teaches_class(from_class_id) OR
+    teaches_class(to_class_id)
+  );
+
+-- Apply a rollover plan:
+--   [{ "from_class_id": uuid, "to_class_id": uuid | null, "new_class_name": text | null, "new_grade": int | null }]
+-- Each class either moves into an existing class of the new year, into a class created here,
+-- or (no target at all) sends its students out of the school with p_leaver_outcome.
+CREATE OR REPLACE FUNCTION apply_year_rollover(
+  p_to_academic_year_id uuid,
+  p_class_map jsonb,
+  p_leaver_outcome promotion_outcome,
+  p_promoted_by uuid
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  entry jsonb;
+  source_class_id uuid;
+  target_class_id uuid;
+  promoted_count integer := 0;
+  left_count integer := 0;
+  created_count integer := 0;
+  archived_count integer := 0;
+  affected integer;
+BEGIN
+  IF p_leaver_outcome NOT IN ('graduated', 'withdrawn') THEN
+    RAISE EXCEPTION 'Students leaving the school must be graduated or withdrawn';
+  END IF;
+
+  FOR entry IN SELECT * FROM jsonb_array_elements(p_class_map)
+  LOOP
+    source_class_id := (entry ->> 'from_class_id')::uuid;
+    target_class_id := (entry ->> 'to_class_id')::uuid;
+
+    IF target_class_id IS NULL AND entry ->> 'new_class_name' IS NOT NULL THEN
+      INSERT INTO classes (class_name, grade, academic_year_id)
+      VALUES (entry ->> 'new_class_name', (entry ->> 'new_grade')::integer, p_to_academic_year_id)
+      RETURNING id INTO target_class_id;
+      created_count := created_count + 1;
+    END IF;
+
+    IF target_class_id IS NULL THEN
+      INSERT INTO student_promotions (student_id, from_class_id, to_class_id, to_academic_year_id, outcome, promoted_by)
+      SELECT id, source_class_id, NULL, p_to_academic_year_id, p_leaver_outcome, p_promoted_by
+      FROM students
+      WHERE class_id = source_class_id AND enrollment_status = 'active';
+
+      UPDATE students
+      SET enrollment_status = p_leaver_outcome::text::enrollment_status,
+          left_on = CURRENT_DATE
+      WHERE class_id = source_class_id AND enrollment_status = 'active';
+
+      GET DIAGNOSTICS affected = ROW_COUNT;
+      left_count := left_count + affected;
+    ELSE
+      INSERT INTO student_promotions (student_id, from_class_id, to_class_id, to_academic_year_id, outcome, promoted_by)
+      SELECT id, source_class_id, target_class_id, p_to_academic_year_id, 'promoted', p_promoted_by
+      FROM students
+      WHERE class_id = source_class_id AND enrollment_status = 'active';
+
+      UPDATE students
+      SET class_id = target_class_id
+      WHERE class_id = source_class_id AND enrollment_status = 'active';
+
+      GET DIAGNOSTICS affected = ROW_COUNT;
+      promoted_count := promoted_count + affected;
+    END IF;
+
+    UPDATE classes SET archived_at = now() WHERE id = source_class_id;
+    archived_count := archived_count + 1;
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'promoted', promoted_count,
+    'left', left_count,
+    'classes_created', created_count,
+    'classes_archived', archived_count
+  );
+END;
+$$;
@@ -0,0 +1,41 @@
+/*
+  # Student enrollment status
+
+  1. Changes
+    - `students`
+      - `enrollment_status` (text, enum: 'active', 'graduated', 'withdrawn', 'transferred')
+      - `left_on` (date, the withdrawal date: the first day the student is no longer enrolled)
+      - `withdrawal_reason` (text, optional)
+
+  2. Security
+    - No policy changes
+
+  3. Data Integrity
+    - Deleting a student or class no longer cascades into attendance: students who leave are
+      withdrawn instead, and a student with attendance cannot be deleted
+    - Inactive students must have a withdrawal date
+*/
+
+CREATE TYPE enrollment_status AS ENUM ('active', 'graduated', 'withdrawn', 'transferred');
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS enrollment_status enrollment_status NOT NULL DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS left_on date,
+  ADD COLUMN IF NOT EXISTS withdrawal_reason text;
+
+CREATE INDEX IF NOT EXISTS idx_students_enrollment_status ON students(enrollment_status);
+
+ALTER TABLE students
+  ADD CONSTRAINT students_inactive_have_left_on
+  CHECK (enrollment_status = 'active' OR left_on IS NOT NULL);
+
+-- Keep attendance when a student row is removed by mistake: refuse instead of cascading
+ALTER TABLE attendance
+  DROP CONSTRAINT IF EXISTS attendance_student_id_fkey,
+  ADD CONSTRAINT attendance_student_id_fkey
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE RESTRICT;
+
+ALTER TABLE students
+  DROP CONSTRAINT IF EXISTS students_class_id_fkey,
+  ADD CONSTRAINT students_class_id_fkey
+    FOREIGN KEY (class_id) REFERENCES classes(id) ON DELETE RESTRICT;
@@ -0,0 +1,142 @@
+/*
+  # Guardians and absence notifications
+
+  1. New Tables
+    - `guardians`
+      - `id` (uuid, primary key)
+      - `name` (text, required)
+      - `relation` (text, e.g. 'Mother', 'Grandfather')
+      - `phone` (text)
+      - `email` (text)
+      - `preferred_language` (text, e.g. 'en', 'id')
+      - `receives_notifications` (boolean, default true)
+      - `created_at` (timestamp)
+    - `student_guardians`
+      - `student_id` (uuid, foreign key → students.id)
+      - `guardian_id` (uuid, foreign key → guardians.id)
+      - primary key (student_id, guardian_id), so siblings can share a guardian
+    - `notifications`
+      - `id` (uuid, primary key)
+      - `student_id` (uuid, foreign key → students.id)
+      - `guardian_id` (uuid, foreign key → guardians.id)
+      - `attendance_id` (uuid, the attendance row that triggered it)
+      - `date` (date)
+      - `attendance_status` (attendance_status)
+      - `channel` (text, the adapter that delivers it: 'log', 'smtp', 'sms', 'whatsapp')
+      - `recipient` (text, email address or phone number)
+      - `language` (text)
+      - `subject` (text)
+      - `body` (text)
+      - `status` (text, enum: 'queued', 'sending', 'sent', 'failed')
+      - `attempts` (integer)
+      - `last_error` (text)
+      - `next_attempt_at` (timestamp)
+      - `claimed_at` (timestamp, when a worker took it for sending)
+      - `sent_at` (timestamp)
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS; admins manage guardians, teachers read guardians of their classes
+    - Notifications are written by the API and readable by admins
+
+  3. Data Integrity
+    - A guardian needs a phone number or an email address
+    - Notifications keep their text and recipient, so the log stays accurate after guardians change
+    - A notification left 'sending' by a worker that stopped is queued again once its claim is stale
+*/
+
+CREATE TYPE notification_status AS ENUM ('queued', 'sending', 'sent', 'failed');
+
+CREATE TABLE IF NOT EXISTS guardians (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  relation text,
+  phone text,
+  email text,
+  preferred_language text NOT NULL DEFAULT 'en',
+  receives_notifications boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  CHECK (phone IS NOT NULL OR email IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS student_guardians (
+  student_id uuid NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  guardian_id uuid NOT NULL REFERENCES guardians(id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now(),
+  PRIMARY KEY (student_id, guardian_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_guardians_guardian_id ON student_guardians(guardian_id);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  guardian_id uuid REFERENCES guardians(id) ON DELETE SET NULL,
+  attendance_id uuid,
+  date date NOT NULL,
+  attendance_status attendance_status NOT NULL,
+  channel text NOT NULL,
+  recipient text NOT NULL,
+  language text NOT NULL DEFAULT 'en',
+  subject text NOT NULL,
+  body text NOT NULL,
+  status notification_status NOT NULL DEFAULT 'queued',
+  attempts integer NOT NULL DEFAULT 0,
+  last_error text,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  claimed_at timestamptz,
+  sent_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_queue ON notifications(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_student_date ON notifications(student_id, date);
+
+ALTER TABLE guardians ENABLE ROW LEVEL SECURITY;
+ALTER TABLE student_guardians ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins manage guardians"
+  ON guardians
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Teachers read guardians of their classes"
+  ON guardians
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM student_guardians
+      JOIN students ON students.id = student_guardians.student_id
+      WHERE student_guardians.guardian_id = guardians.id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+CREATE POLICY "Admins manage student guardians"
+  ON student_guardians
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Teachers read student guardians of their classes"
+  ON student_guardians
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = student_guardians.student_id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+CREATE POLICY "Admins read notifications"
+  ON notifications
+  FOR SELECT
+  TO authenticated
+  USING (app_role() = 'admin');
@@ -0,0 +1,114 @@
+/*
+  # Chronic absenteeism early-warning alerts
+
+  1. New Tables
+    - `alert_rules`
+      - `id` (uuid, primary key)
+      - `name` (text, required)
+      - `metric` (text, enum: 'absence_rate', 'absence_count', 'consecutive_absences')
+      - `threshold` (numeric, a percentage for 'absence_rate', a number of days otherwise)
+      - `window_days` (integer, look back this many days; null means the academic year so far)
+      - `is_active` (boolean, default true)
+      - `created_at` (timestamp)
+    - `attendance_alerts`
+      - `id` (uuid, primary key)
+      - `student_id` (uuid, foreign key → students.id)
+      - `rule_id` (uuid, foreign key → alert_rules.id)
+      - `status` (text, enum: 'open', 'acknowledged', 'resolved')
+      - `metric_value` (numeric, the student's value when last evaluated)
+      - `threshold_met` (boolean, whether the student still meets the rule)
+      - `last_absence_on` (date, the latest absence that counted towards the rule)
+      - `triggered_on` (date)
+      - `last_evaluated_at` (timestamp)
+      - `acknowledged_by`, `acknowledged_by_email`, `acknowledged_at` (who picked up the follow-up)
+      - `resolved_by`, `resolved_by_email`, `resolved_at`
+      - `notes` (text, counsellor follow-up notes)
+      - `created_at` (timestamp)
+      - `unresolved` (boolean, generated: true until the alert is resolved, null after)
+
+  2. Security
+    - Enable RLS; admins manage rules, everyone signed in can read them
+    - Admins read every alert, teachers read alerts for students in their classes
+
+  3. Data Integrity
+    - Only one unresolved alert per student and rule
+    - Two starter rules: more than 10% of instructional days missed, and 3 absences in a row
+*/
+
+CREATE TYPE alert_metric AS ENUM ('absence_rate', 'absence_count', 'consecutive_absences');
+CREATE TYPE alert_status AS ENUM ('open', 'acknowledged', 'resolved');
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  metric alert_metric NOT NULL,
+  threshold numeric NOT NULL CHECK (threshold > 0),
+  window_days integer CHECK (window_days > 0),
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS attendance_alerts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  rule_id uuid NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+  status alert_status NOT NULL DEFAULT 'open',
+  metric_value numeric NOT NULL,
+  threshold_met boolean NOT NULL DEFAULT true,
+  last_absence_on date NOT NULL,
+  triggered_on date NOT NULL DEFAULT CURRENT_DATE,
+  last_evaluated_at timestamptz DEFAULT now(),
+  acknowledged_by uuid,
+  acknowledged_by_email text,
+  acknowledged_at timestamptz,
+  resolved_by uuid,
+  resolved_by_email text,
+  resolved_at timestamptz,
+  notes text,
+  created_at timestamptz DEFAULT now(),
+  -- Nulls never clash, so a student can have any number of resolved alerts per rule but only
+  -- one open one; a plain unique key also lets evaluations insert with ON CONFLICT DO NOTHING
+  unresolved boolean GENERATED ALWAYS AS (CASE WHEN status <> 'resolved' THEN true END) STORED,
+  UNIQUE(student_id, rule_id, unresolved)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_alerts_status ON attendance_alerts(status);
+
+ALTER TABLE alert_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attendance_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins manage alert rules"
+  ON alert_rules
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read alert rules"
+  ON alert_rules
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admins manage attendance alerts"
+  ON attendance_alerts
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Teachers read attendance alerts of their classes"
+  ON attendance_alerts
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = attendance_alerts.student_id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+INSERT INTO alert_rules (name, metric, threshold, window_days) VALUES
+  ('Chronic absence', 'absence_rate', 10, NULL),
+  ('Consecutive absences', 'consecutive_absences', 3, NULL);
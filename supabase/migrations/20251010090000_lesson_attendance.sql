@@ -0,0 +1,138 @@
+/*
+  # Per-period (lesson-level) attendance
+
+  1. New Tables
+    - `bell_periods` (the school's bell schedule)
+      - `id` (uuid, primary key)
+      - `name` (text, required, e.g. 'Period 1')
+      - `start_time` (time, required)
+      - `end_time` (time, required)
+      - `is_active` (boolean, default true; retired periods keep their attendance)
+      - `created_at` (timestamp)
+    - `lesson_attendance`
+      - `id` (uuid, primary key)
+      - `student_id` (uuid, foreign key → students.id)
+      - `class_id` (uuid, foreign key → classes.id, the student's class when first recorded)
+      - `date` (date)
+      - `period_id` (uuid, foreign key → bell_periods.id)
+      - `subject` (text, optional)
+      - `status` (attendance_status)
+      - `recorded_by` (uuid)
+      - `created_at`, `updated_at` (timestamp)
+    - `school_settings` (a single row)
+      - `lesson_absence_share` (numeric, default 0.5): a student missing at least this share of
+        the day's periods is Absent for the day
+
+  2. Changes
+    - `attendance_change_source` gains 'lesson' for daily statuses derived from lesson records
+
+  3. Security
+    - Enable RLS; everyone signed in reads the bell schedule and settings, only admins change them
+    - Lesson attendance follows the same rules as daily attendance
+
+  4. Data Integrity
+    - One status per student, date and period
+    - The daily `attendance` row stays the source for reports, alerts and notifications; once a
+      day has lesson records its daily status is derived from them, over the periods the class
+      took a register for, unless an approved excuse set it
+*/
+
+ALTER TYPE attendance_change_source ADD VALUE IF NOT EXISTS 'lesson';
+
+CREATE TABLE IF NOT EXISTS bell_periods (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  start_time time NOT NULL,
+  end_time time NOT NULL,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  CHECK (end_time > start_time)
+);
+
+CREATE TABLE IF NOT EXISTS lesson_attendance (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES students(id) ON DELETE RESTRICT,
+  class_id uuid REFERENCES classes(id) ON DELETE RESTRICT,
+  date date NOT NULL,
+  period_id uuid NOT NULL REFERENCES bell_periods(id) ON DELETE RESTRICT,
+  subject text,
+  status attendance_status NOT NULL,
+  recorded_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE(student_id, date, period_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lesson_attendance_date ON lesson_attendance(date);
+CREATE INDEX IF NOT EXISTS idx_lesson_attendance_class_id_date ON lesson_attendance(class_id, date);
+
+-- Lessons stay with the class they were taught in, like daily attendance
+CREATE TRIGGER lesson_attendance_set_class
+  BEFORE INSERT OR UPDATE ON lesson_attendance
+  FOR EACH ROW
+  EXECUTE FUNCTION set_attendance_class();
+
+CREATE TABLE IF NOT EXISTS school_settings (
+  id boolean PRIMARY KEY DEFAULT true CHECK (id),
+  lesson_absence_share numeric NOT NULL DEFAULT 0.5
+    CHECK (lesson_absence_share > 0 AND lesson_absence_share <= 1),
+  updated_at timestamptz DEFAULT now()
+);
+
+INSERT INTO school_settings DEFAULT VALUES ON CONFLICT DO NOTHING;
+
+ALTER TABLE bell_periods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lesson_attendance ENABLE ROW LEVEL SECURITY;
+ALTER TABLE school_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins manage bell periods"
+  ON bell_periods
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read bell periods"
+  ON bell_periods
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admins manage school settings"
+  ON school_settings
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read school settings"
+  ON school_settings
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Admins manage lesson attendance"
+  ON lesson_attendance
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read visible lesson attendance"
+  ON lesson_attendance
+  FOR SELECT
+  TO authenticated
+  USING (app_role() = 'viewer' OR teaches_class(class_id));
+
+CREATE POLICY "Teachers record lesson attendance for their classes"
+  ON lesson_attendance
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (app_role() = 'teacher' AND teaches_class(class_id));
+
+CREATE POLICY "Teachers update lesson attendance for their classes"
+  ON lesson_attendance
+  FOR UPDATE
+  TO authenticated
+  USING (app_role() = 'teacher' AND teaches_class(class_id))
+  WITH CHECK (app_role() = 'teacher' AND teaches_class(class_id));
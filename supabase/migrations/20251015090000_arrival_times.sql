@@ -0,0 +1,29 @@
+/*
+  # Arrival times and automatic Late classification
+
+  1. Changes
+    - `attendance`
+      - `check_in_time` (time, optional): when the student arrived
+      - `minutes_late` (integer, optional): minutes after the school start time
+    - `school_settings`
+      - `school_start_time` (time, default 07:30)
+      - `late_grace_minutes` (integer, default 5): arriving within this many minutes of the
+        start time still counts as Present
+
+  2. Security
+    - No policy changes
+
+  3. Data Integrity
+    - Minutes late cannot be negative
+    - A day with a check-in time keeps it when lesson records are saved; its status is then
+      derived from the lessons like any other day
+*/
+
+ALTER TABLE attendance
+  ADD COLUMN IF NOT EXISTS check_in_time time,
+  ADD COLUMN IF NOT EXISTS minutes_late integer CHECK (minutes_late >= 0);
+
+ALTER TABLE school_settings
+  ADD COLUMN IF NOT EXISTS school_start_time time NOT NULL DEFAULT '07:30',
+  ADD COLUMN IF NOT EXISTS late_grace_minutes integer NOT NULL DEFAULT 5
+    CHECK (late_grace_minutes >= 0 AND late_grace_minutes <= 120);
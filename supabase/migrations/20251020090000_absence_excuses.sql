@@ -0,0 +1,172 @@
+/*
+  # Absence reasons, excuses and supporting documents
+
+  1. New Tables
+    - `absence_excuses` (an excuse a parent handed in, waiting for the office to review it)
+      - `id` (uuid, primary key)
+      - `student_id` (uuid, foreign key → students.id)
+      - `guardian_id` (uuid, optional foreign key → guardians.id, who submitted it)
+      - `start_date`, `end_date` (date, the days it covers)
+      - `reason` (absence_reason)
+      - `note` (text, optional)
+      - `status` (excuse_status, default 'pending')
+      - `submitted_by`, `submitted_by_email` (the user who entered it)
+      - `reviewed_by`, `reviewed_by_email`, `reviewed_at`, `review_note`
+      - `created_at` (timestamp)
+    - `excuse_attachments` (doctor's letters and other documents)
+      - `id` (uuid, primary key)
+      - `excuse_id` (uuid, foreign key → absence_excuses.id)
+      - `file_name`, `content_type`, `size_bytes`
+      - `storage_path` (text, where the storage adapter keeps the file)
+      - `uploaded_by` (uuid)
+      - `created_at` (timestamp)
+
+  2. Changes
+    - `attendance` gains `absence_reason`, `absence_note` and `excuse_id`
+    - `attendance_change_source` gains 'excuse' for statuses set by approving an excuse
+
+  3. Security
+    - Enable RLS; excuses follow the same visibility as attendance
+    - Teachers can hand in excuses for their classes, only admins review them
+
+  4. Data Integrity
+    - An excuse ends on or after the day it starts
+    - Marking a student Present or Late clears the absence reason on that day
+*/
+
+ALTER TYPE attendance_change_source ADD VALUE IF NOT EXISTS 'excuse';
+
+CREATE TYPE absence_reason AS ENUM ('sick', 'family', 'medical_appointment', 'religious', 'other');
+CREATE TYPE excuse_status AS ENUM ('pending', 'approved', 'rejected');
+
+CREATE TABLE IF NOT EXISTS absence_excuses (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  guardian_id uuid REFERENCES guardians(id) ON DELETE SET NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  reason absence_reason NOT NULL,
+  note text,
+  status excuse_status NOT NULL DEFAULT 'pending',
+  submitted_by uuid,
+  submitted_by_email text,
+  reviewed_by uuid,
+  reviewed_by_email text,
+  reviewed_at timestamptz,
+  review_note text,
+  created_at timestamptz DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_absence_excuses_student_id ON absence_excuses(student_id);
+CREATE INDEX IF NOT EXISTS idx_absence_excuses_status ON absence_excuses(status);
+
+CREATE TABLE IF NOT EXISTS excuse_attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  excuse_id uuid NOT NULL REFERENCES absence_excuses(id) ON DELETE CASCADE,
+  file_name text NOT NULL,
+  content_type text NOT NULL,
+  size_bytes integer NOT NULL CHECK (size_bytes > 0),
+  storage_path text NOT NULL UNIQUE,
+  uploaded_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_excuse_attachments_excuse_id ON excuse_attachments(excuse_id);
+
+ALTER TABLE attendance
+  ADD COLUMN IF NOT EXISTS absence_reason absence_reason,
+  ADD COLUMN IF NOT EXISTS absence_note text,
+  ADD COLUMN IF NOT EXISTS excuse_id uuid REFERENCES absence_excuses(id) ON DELETE SET NULL;
+
+-- A student who turned up has no absence to explain
+CREATE OR REPLACE FUNCTION clear_attendance_absence_reason()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.status IN ('Present', 'Late') THEN
+    NEW.absence_reason := NULL;
+    NEW.absence_note := NULL;
+    NEW.excuse_id := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER attendance_clear_absence_reason
+  BEFORE INSERT OR UPDATE ON attendance
+  FOR EACH ROW
+  EXECUTE FUNCTION clear_attendance_absence_reason();
+
+ALTER TABLE absence_excuses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE excuse_attachments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins manage absence excuses"
+  ON absence_excuses
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read visible absence excuses"
+  ON absence_excuses
+  FOR SELECT
+  TO authenticated
+  USING (
+    app_role() = 'viewer' OR
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = absence_excuses.student_id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+CREATE POLICY "Teachers hand in excuses for their classes"
+  ON absence_excuses
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    app_role() = 'teacher' AND
+    status = 'pending' AND
+    EXISTS (
+      SELECT 1 FROM students
+      WHERE students.id = absence_excuses.student_id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+CREATE POLICY "Admins manage excuse attachments"
+  ON excuse_attachments
+  FOR ALL
+  TO authenticated
+  USING (app_role() = 'admin')
+  WITH CHECK (app_role() = 'admin');
+
+CREATE POLICY "Read visible excuse attachments"
+  ON excuse_attachments
+  FOR SELECT
+  TO authenticated
+  USING (
+    app_role() = 'viewer' OR
+    EXISTS (
+      SELECT 1 FROM absence_excuses
+      JOIN students ON students.id = absence_excuses.student_id
+      WHERE absence_excuses.id = excuse_attachments.excuse_id
+        AND teaches_class(students.class_id)
+    )
+  );
+
+CREATE POLICY "Teachers attach documents to excuses for their classes"
+  ON excuse_attachments
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    app_role() = 'teacher' AND
+    EXISTS (
+      SELECT 1 FROM absence_excuses
+      JOIN students ON students.id = absence_excuses.student_id
+      WHERE absence_excuses.id = excuse_attachments.excuse_id
+        AND teaches_class(students.class_id)
+    )
+  );
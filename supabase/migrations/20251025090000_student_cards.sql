@@ -0,0 +1,23 @@
+/*
+  # Student ID cards for kiosk check-in
+
+  1. Changes
+    - `students`
+      - `card_code` (text, unique): the code printed on the student's card as a QR code;
+        existing students get one when the column is added
+    - `attendance_change_source` gains 'kiosk' for check-ins scanned at the classroom door
+
+  2. Security
+    - No policy changes
+
+  3. Data Integrity
+    - Every card code is unique; issuing a new card replaces the code, so a lost card stops working
+*/
+
+ALTER TYPE attendance_change_source ADD VALUE IF NOT EXISTS 'kiosk';
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS card_code text NOT NULL
+    DEFAULT upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 10));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_students_card_code ON students(card_code);
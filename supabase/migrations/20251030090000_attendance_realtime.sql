@@ -0,0 +1,28 @@
+/*
+  # Live attendance updates
+
+  1. Changes
+    - `attendance` is added to the `supabase_realtime` publication so the Dashboard and
+      rosters receive inserts, updates and deletes as they happen
+
+  2. Security
+    - No policy changes; Realtime only delivers rows the subscriber may read under the
+      existing "Read visible attendance" policy
+
+  3. Data Integrity
+    - No data changes
+*/
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+    AND NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime'
+        AND schemaname = 'public'
+        AND tablename = 'attendance'
+    )
+  THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE attendance;
+  END IF;
+END $$;
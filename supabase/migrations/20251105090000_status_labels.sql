@@ -0,0 +1,76 @@
+/*
+  # Indonesian status labels (Hadir, Sakit, Izin, Alpa)
+
+  1. Changes
+    - `school_settings`
+      - `status_labels` (text, default 'en'): 'id' makes the roster, charts and register
+        export use Hadir/Sakit/Izin/Alpa instead of Present/Absent/Late/Excused
+    - The categories are read from the existing status and absence reason, so no attendance
+      data changes: Present and Late are Hadir, a sick or medical reason is Sakit, other
+      Excused absences are Izin and other Absent days are Alpa
+    - `attendance_history`
+      - `old_absence_reason`, `new_absence_reason` (absence_reason)
+      - `old_absence_note`, `new_absence_note` (text)
+    - `record_attendance_history()` also records changes to the absence reason or note, since
+      the reason alone can turn Izin into Sakit
+
+  2. Security
+    - No policy changes
+
+  3. Data Integrity
+    - Only 'en' and 'id' are accepted
+    - History rows written before this migration have no reasons; their reason columns stay null
+*/
+
+ALTER TABLE school_settings
+  ADD COLUMN IF NOT EXISTS status_labels text NOT NULL DEFAULT 'en'
+    CHECK (status_labels IN ('en', 'id'));
+
+ALTER TABLE attendance_history
+  ADD COLUMN IF NOT EXISTS old_absence_reason absence_reason,
+  ADD COLUMN IF NOT EXISTS new_absence_reason absence_reason,
+  ADD COLUMN IF NOT EXISTS old_absence_note text,
+  ADD COLUMN IF NOT EXISTS new_absence_note text;
+
+-- As before, plus the absence reason and note: a change to either is recorded even when the
+-- status stays the same
+CREATE OR REPLACE FUNCTION record_attendance_history()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  direct boolean := auth.uid() IS NOT NULL;
+BEGIN
+  IF TG_OP = 'UPDATE'
+    AND NEW.status IS NOT DISTINCT FROM OLD.status
+    AND NEW.absence_reason IS NOT DISTINCT FROM OLD.absence_reason
+    AND NEW.absence_note IS NOT DISTINCT FROM OLD.absence_note THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO attendance_history (
+    attendance_id, student_id, date, old_status, new_status,
+    old_absence_reason, new_absence_reason, old_absence_note, new_absence_note,
+    changed_by, changed_by_email, source
+  )
+  VALUES (
+    NEW.id,
+    NEW.student_id,
+    NEW.date,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END,
+    NEW.status,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.absence_reason END,
+    NEW.absence_reason,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.absence_note END,
+    NEW.absence_note,
+    CASE WHEN direct THEN auth.uid() ELSE NEW.recorded_by END,
+    CASE WHEN direct THEN auth.jwt() ->> 'email' ELSE NEW.recorded_by_email END,
+    CASE WHEN direct THEN 'direct'::attendance_change_source
+      ELSE COALESCE(NEW.change_source, 'direct'::attendance_change_source) END
+  );
+
+  RETURN NULL;
+END;
+$$;